@@ -1,164 +1,54 @@
 "use client";
 
 import { useState, useEffect, useRef, useCallback, useMemo } from "react";
-
-const API_BASE = typeof window !== "undefined" ? "" : "";
-
-function formatPrice(v) {
-  if (v == null) return "-";
-  if (v < 0.00001) return `$${v.toExponential(2)}`;
-  if (v < 0.01) return `$${v.toFixed(6)}`;
-  if (v < 1) return `$${v.toFixed(4)}`;
-  return `$${v.toFixed(2)}`;
-}
-
-function formatCompact(v) {
-  if (v == null) return "-";
-  if (v >= 1_000_000) return `$${(v / 1_000_000).toFixed(2)}M`;
-  if (v >= 1_000) return `$${(v / 1_000).toFixed(1)}K`;
-  return `$${v.toFixed(0)}`;
-}
-
-function formatPct(v) {
-  if (v == null) return "-";
-  const sign = v >= 0 ? "+" : "";
-  return `${sign}${v.toFixed(1)}%`;
-}
-
-function formatAge(createdAt) {
-  if (!createdAt) return "-";
-  const ms = Date.now() - createdAt;
-  const hours = Math.floor(ms / 3600000);
-  if (hours < 1) return `${Math.floor(ms / 60000)}m`;
-  if (hours < 24) return `${hours}h`;
-  return `${Math.floor(hours / 24)}d ${hours % 24}h`;
-}
-
-function truncAddr(addr) {
-  if (!addr) return "";
-  return `${addr.slice(0, 4)}...${addr.slice(-4)}`;
-}
-
-function CopyAddress({ addr }) {
-  const [copied, setCopied] = useState(false);
-  const handleCopy = async (e) => {
-    e.stopPropagation();
+import Link from "next/link";
+import { API_BASE, TOKEN_KEY, getToken, apiFetch, streamUrl, downloadFile } from "../lib/api";
+import { TIMEFRAMES, getRsi, getRsiClass, getRsiBarColor } from "../lib/indicators";
+import {
+  COLUMNS_BY_KEY, DEFAULT_COLUMNS, normalizeColumns, toggleIndicatorColumns, exportFields, changesVisibleCell,
+} from "../lib/columns";
+import { readViewFromUrl, writeViewToUrl, loadLayouts, storeLayouts } from "../lib/view";
+import { EMPTY_FILTER, compileFilter, countActiveRules, loadPresets, storePresets } from "../lib/filters";
+import CopyAddress from "../components/CopyAddress";
+import RiskBadge from "../components/RiskBadge";
+import CandleChart from "../components/CandleChart";
+import ColumnChooser from "../components/ColumnChooser";
+import FilterBuilder from "../components/FilterBuilder";
+import NotificationCenter, { useNotifications } from "../components/NotificationCenter";
+
+function LoginPanel({ onLogin, onCancel }) {
+  const [username, setUsername] = useState("");
+  const [password, setPassword] = useState("");
+  const [error, setError] = useState(null);
+
+  const submit = async (e) => {
+    e.preventDefault();
+    setError(null);
     try {
-      await navigator.clipboard.writeText(addr);
-      setCopied(true);
-      setTimeout(() => setCopied(false), 1500);
-    } catch {}
-  };
-  return (
-    <span className="copy-addr" onClick={handleCopy} title={addr}>
-      {truncAddr(addr)}
-      {copied && <span className="copy-tooltip">Copied!</span>}
-    </span>
-  );
-}
-
-// 24h candlestick chart cache
-const ohlcvCache = {};
-
-function CandlestickChart({ pairAddress }) {
-  const [candles, setCandles] = useState(ohlcvCache[pairAddress] || null);
-  const [loading, setLoading] = useState(!ohlcvCache[pairAddress]);
-
-  useEffect(() => {
-    if (ohlcvCache[pairAddress]) {
-      setCandles(ohlcvCache[pairAddress]);
-      setLoading(false);
-      return;
+      const res = await fetch(`${API_BASE}/api/auth/login`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ username, password }),
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || `HTTP ${res.status}`);
+      onLogin(data);
+    } catch (err) {
+      setError(err.message);
     }
-    let cancelled = false;
-    (async () => {
-      try {
-        const res = await fetch(
-          `https://api.geckoterminal.com/api/v2/networks/solana/pools/${pairAddress}/ohlcv/hour?aggregate=1&limit=24&currency=usd`
-        );
-        if (!res.ok) throw new Error("fetch failed");
-        const data = await res.json();
-        const list = data?.data?.attributes?.ohlcv_list || [];
-        const parsed = list
-          .slice()
-          .reverse()
-          .map((c) => ({ o: +c[1], h: +c[2], l: +c[3], c: +c[4] }));
-        ohlcvCache[pairAddress] = parsed;
-        if (!cancelled) { setCandles(parsed); setLoading(false); }
-      } catch {
-        if (!cancelled) setLoading(false);
-      }
-    })();
-    return () => { cancelled = true; };
-  }, [pairAddress]);
-
-  if (loading) return <span style={{ color: "var(--text-dim)", fontSize: 11 }}>Loading...</span>;
-  if (!candles || candles.length < 2) return <span style={{ color: "var(--text-dim)", fontSize: 11 }}>No data</span>;
-
-  const W = 300, H = 150, pad = 8;
-  const allH = candles.map((c) => c.h);
-  const allL = candles.map((c) => c.l);
-  const min = Math.min(...allL);
-  const max = Math.max(...allH);
-  const range = max - min || 1;
-  const barW = Math.max(2, (W - pad * 2) / candles.length - 2);
-
-  const toY = (v) => pad + (1 - (v - min) / range) * (H - pad * 2);
+  };
 
   return (
-    <svg width={W} height={H} viewBox={`0 0 ${W} ${H}`}>
-      {candles.map((c, i) => {
-        const x = pad + (i / candles.length) * (W - pad * 2) + barW / 2;
-        const up = c.c >= c.o;
-        const color = up ? "var(--accent)" : "var(--red)";
-        const bodyTop = toY(Math.max(c.o, c.c));
-        const bodyBot = toY(Math.min(c.o, c.c));
-        const bodyH = Math.max(1, bodyBot - bodyTop);
-        return (
-          <g key={i}>
-            <line x1={x} x2={x} y1={toY(c.h)} y2={toY(c.l)} stroke={color} strokeWidth="1" />
-            <rect x={x - barW / 2} y={bodyTop} width={barW} height={bodyH} fill={color} />
-          </g>
-        );
-      })}
-    </svg>
+    <form className="login-panel" onSubmit={submit}>
+      <input className="search-box" placeholder="Username" value={username} onChange={(e) => setUsername(e.target.value)} autoFocus />
+      <input className="search-box" type="password" placeholder="Password" value={password} onChange={(e) => setPassword(e.target.value)} />
+      <button className="rsi-btn active" type="submit">Sign in</button>
+      {onCancel && <button className="rsi-btn" type="button" onClick={onCancel}>Cancel</button>}
+      {error && <span className="login-error">{error}</span>}
+    </form>
   );
 }
 
-function getRsiClass(rsi) {
-  if (rsi == null) return "neutral";
-  if (rsi >= 25 && rsi <= 55) return "rsi-good";
-  if (rsi > 55) return "overbought";
-  return "rsi-low";
-}
-
-function getRsiBarColor(rsi) {
-  if (rsi == null) return "var(--border)";
-  if (rsi >= 25 && rsi <= 55) return "var(--accent)";
-  if (rsi > 55) return "var(--red)";
-  return "var(--text-dim)";
-}
-
-function getAthClass(pctFromAth) {
-  if (pctFromAth == null) return "";
-  if (pctFromAth > -10) return "ath-near";
-  if (pctFromAth < -40) return "ath-far";
-  return "";
-}
-
-const COLUMNS = [
-  { key: "symbol", label: "Token", sortKey: (p) => p.baseToken?.symbol?.toLowerCase() || "" },
-  { key: "priceUsd", label: "Price", sortKey: (p) => p.priceUsd ?? 0 },
-  { key: "marketCap", label: "MCap", sortKey: (p) => p.marketCap ?? 0 },
-  { key: "liquidity", label: "Liquidity", sortKey: (p) => p.liquidity ?? 0 },
-  { key: "volume24h", label: "24h Vol", sortKey: (p) => p.volume24h ?? 0 },
-  { key: "priceChange24h", label: "24h%", sortKey: (p) => p.priceChange24h ?? 0 },
-  { key: "rsi", label: "RSI", sortKey: null },
-  { key: "athPct", label: "% from ATH", sortKey: null },
-  { key: "ath", label: "ATH", sortKey: (p) => p.ath ?? 0 },
-  { key: "age", label: "Age", sortKey: (p) => p.pairCreatedAt ?? 0 },
-];
-
 function SkeletonRows() {
   const widths = [180, 70, 80, 80, 80, 60, 60, 70, 70, 50];
   return (
@@ -179,88 +69,266 @@ export default function Home() {
   const [stats, setStats] = useState(null);
   const [loading, setLoading] = useState(true);
   const [sseError, setSseError] = useState(null);
+  // A watchlist, settings or export request that failed; shown in the same banner
+  const [actionError, setActionError] = useState(null);
+  const reportFailure = (what) => (err) => setActionError(`${what}: ${err.message}`);
   const [search, setSearch] = useState("");
   const [sortCol, setSortCol] = useState("marketCap");
   const [sortDir, setSortDir] = useState("desc");
   const [rsiTimeframe, setRsiTimeframe] = useState("5m");
+  const [columns, setColumns] = useState(DEFAULT_COLUMNS);
+  const [layouts, setLayouts] = useState({});
+  // Set once the view has been read from the URL, so defaults never overwrite it
+  const [viewReady, setViewReady] = useState(false);
   const [flashedRows, setFlashedRows] = useState(new Set());
   const [refreshKey, setRefreshKey] = useState(0);
   const [hoveredRow, setHoveredRow] = useState(null);
+  const [filterProfiles, setFilterProfiles] = useState([]);
+  const [activeProfile, setActiveProfile] = useState("all");
+  const [watchOnly, setWatchOnly] = useState(false);
+  const [filter, setFilter] = useState(EMPTY_FILTER);
+  const [showFilters, setShowFilters] = useState(false);
+  const [presets, setPresets] = useState([]);
+  const [watchlist, setWatchlist] = useState(new Set());
+  const [user, setUser] = useState(null);
+  const [authRequired, setAuthRequired] = useState(false);
+  const [showLogin, setShowLogin] = useState(false);
+  const [alerts, setAlerts] = useState([]);
   const eventSourceRef = useRef(null);
   const reconnectTimeoutRef = useRef(null);
+  const lastEventIdRef = useRef(null);
+  // Latest rendered pairs and view, read by the stream handlers to decide what flashes
+  const pairsRef = useRef(pairs);
+  const viewRef = useRef({ columns, tf: rsiTimeframe });
+  pairsRef.current = pairs;
+  viewRef.current = { columns, tf: rsiTimeframe };
+
+  // Server alerts and local watch notifications share the toast stack
+  const showToast = useCallback((alert) => {
+    setAlerts((prev) => [alert, ...prev].slice(0, 5));
+    setTimeout(() => setAlerts((prev) => prev.filter((a) => a.id !== alert.id)), 10000);
+  }, []);
+
+  const notifications = useNotifications(pairs, loading, showToast);
+
+  // SSE connection. Closing also cancels a pending reconnect, so a backoff
+  // timer cannot open a second stream next to a fresh one.
+  const disconnectSSE = useCallback(() => {
+    if (eventSourceRef.current) eventSourceRef.current.close();
+    eventSourceRef.current = null;
+    clearTimeout(reconnectTimeoutRef.current);
+    reconnectTimeoutRef.current = null;
+  }, []);
 
-  // SSE connection
   const connectSSE = useCallback(() => {
-    if (eventSourceRef.current) {
-      eventSourceRef.current.close();
-    }
+    disconnectSSE();
 
     setSseError(null);
-    const es = new EventSource(`${API_BASE}/api/stream`);
+    // Resume from the last event seen; the server replays what we missed
+    // or falls back to a snapshot
+    const es = new EventSource(streamUrl(lastEventIdRef.current));
     eventSourceRef.current = es;
 
-    es.addEventListener("snapshot", (e) => {
-      try {
-        const data = JSON.parse(e.data);
-        setPairs(data.pairs || {});
-        setStats(data.stats || null);
-        setLoading(false);
-        setSseError(null);
-      } catch (err) {
-        console.error("Snapshot parse error:", err);
-      }
+    const on = (event, handler) =>
+      es.addEventListener(event, (e) => {
+        if (e.lastEventId) lastEventIdRef.current = e.lastEventId;
+        try {
+          handler(JSON.parse(e.data));
+        } catch (err) {
+          console.error(`${event} parse error:`, err);
+        }
+      });
+
+    const flash = (addr) => {
+      setFlashedRows((prev) => new Set(prev).add(addr));
+      setTimeout(() => {
+        setFlashedRows((prev) => {
+          const next = new Set(prev);
+          next.delete(addr);
+          return next;
+        });
+      }, 1000);
+    };
+
+    es.onopen = () => setSseError(null);
+
+    on("snapshot", (data) => {
+      setPairs(data.pairs || {});
+      setStats(data.stats || null);
+      setLoading(false);
+    });
+
+    on("pair:add", (pair) => {
+      setPairs((prev) => ({ ...prev, [pair.pairAddress]: pair }));
+      flash(pair.pairAddress);
     });
 
-    es.addEventListener("update", (e) => {
-      try {
-        const data = JSON.parse(e.data);
-        if (data.pairs) {
-          const updatedAddrs = new Set();
-          setPairs((prev) => {
-            const next = { ...prev };
-            for (const p of data.pairs) {
-              const addr = p.pairAddress;
-              if (addr) {
-                next[addr] = p;
-                updatedAddrs.add(addr);
-              }
-            }
-            return next;
-          });
-          // Flash updated rows
-          setFlashedRows(updatedAddrs);
-          setTimeout(() => setFlashedRows(new Set()), 1000);
-        }
-        if (data.stats) setStats(data.stats);
-        setRefreshKey((k) => k + 1);
-      } catch (err) {
-        console.error("Update parse error:", err);
-      }
+    on("pair:patch", ({ pairAddress, changes }) => {
+      setPairs((prev) => {
+        if (!prev[pairAddress]) return prev;
+        return { ...prev, [pairAddress]: { ...prev[pairAddress], ...changes } };
+      });
+      // Flash only when something the row shows changed, not on every cycle's churn
+      const before = pairsRef.current[pairAddress];
+      const { columns: visible, tf } = viewRef.current;
+      if (before && changesVisibleCell(before, { ...before, ...changes }, visible, tf)) flash(pairAddress);
+    });
+
+    on("pair:remove", ({ pairAddress }) => {
+      setPairs((prev) => {
+        const next = { ...prev };
+        delete next[pairAddress];
+        return next;
+      });
     });
 
+    on("stats", (data) => {
+      setStats(data);
+      setRefreshKey((k) => k + 1);
+    });
+
+    on("alert", showToast);
+
     es.addEventListener("heartbeat", () => {
       // Keep-alive, no action needed
     });
 
     es.onerror = () => {
+      if (eventSourceRef.current !== es) return; // replaced meanwhile
       es.close();
       setSseError("Connection lost. Reconnecting...");
       reconnectTimeoutRef.current = setTimeout(connectSSE, 3000);
     };
+  }, [showToast, disconnectSSE]);
+
+  useEffect(() => {
+    connectSSE();
+    return disconnectSSE;
+  }, [connectSSE, disconnectSSE]);
+
+  // Who is signed in, and whether the server allows anonymous access
+  useEffect(() => {
+    fetch(`${API_BASE}/api/auth/config`)
+      .then((res) => (res.ok ? res.json() : null))
+      .then((data) => setAuthRequired(!!data?.authRequired))
+      .catch(() => {});
+    if (!getToken()) return;
+    apiFetch("/api/auth/me")
+      .then((res) => (res.ok ? res.json() : null))
+      .then((data) => {
+        if (data?.user) setUser(data.user);
+        else localStorage.removeItem(TOKEN_KEY);
+      })
+      .catch(() => {});
   }, []);
 
+  // The caller's own watchlist (the shared one when signed out)
   useEffect(() => {
+    apiFetch("/api/watchlist")
+      .then((res) => (res.ok ? res.json() : null))
+      .then((data) => data && setWatchlist(new Set(data.pairs.map((e) => e.pairAddress))))
+      .catch(() => {});
+  }, [user]);
+
+  const handleLogin = ({ token, user: u }) => {
+    localStorage.setItem(TOKEN_KEY, token);
+    setUser(u);
+    setShowLogin(false);
+    lastEventIdRef.current = null;
     connectSSE();
-    return () => {
-      if (eventSourceRef.current) eventSourceRef.current.close();
-      if (reconnectTimeoutRef.current) clearTimeout(reconnectTimeoutRef.current);
-    };
-  }, [connectSSE]);
+  };
+
+  const handleLogout = async () => {
+    await apiFetch("/api/auth/logout", { method: "POST" }).catch(() => {});
+    localStorage.removeItem(TOKEN_KEY);
+    setUser(null);
+    lastEventIdRef.current = null;
+    connectSSE();
+  };
+
+  // Sort, search, timeframe and columns from the URL, then kept in sync with it
+  useEffect(() => {
+    const view = readViewFromUrl();
+    setSortCol(view.sort);
+    setSortDir(view.dir);
+    setSearch(view.q);
+    setRsiTimeframe(view.tf);
+    setColumns(view.columns);
+    setLayouts(loadLayouts());
+    setPresets(loadPresets());
+    setViewReady(true);
+  }, []);
+
+  useEffect(() => {
+    if (viewReady) writeViewToUrl({ sort: sortCol, dir: sortDir, q: search, tf: rsiTimeframe, columns });
+  }, [viewReady, sortCol, sortDir, search, rsiTimeframe, columns]);
+
+  // Signed-in users keep their layouts and filter presets in account settings as well
+  useEffect(() => {
+    if (!user) return;
+    apiFetch("/api/me/settings")
+      .then((res) => (res.ok ? res.json() : null))
+      .then((data) => {
+        if (data?.columnLayouts) setLayouts((prev) => ({ ...prev, ...data.columnLayouts }));
+        if (data?.savedFilters) {
+          setPresets((prev) => [...prev.filter((p) => !data.savedFilters.some((s) => s.name === p.name)), ...data.savedFilters]);
+        }
+      })
+      .catch(() => {});
+  }, [user]);
+
+  const putSettings = (changes) => {
+    if (!user) return;
+    apiFetch("/api/me/settings", {
+      method: "PUT",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(changes),
+    })
+      .then((res) => {
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      })
+      .catch(reportFailure("Saving settings failed"));
+  };
+
+  const saveLayouts = (next) => {
+    setLayouts(next);
+    storeLayouts(next);
+    putSettings({ columnLayouts: next });
+  };
+
+  const savePresets = (next) => {
+    setPresets(next);
+    storePresets(next);
+    putSettings({ savedFilters: next });
+  };
+
+  // Filter profile metadata
+  useEffect(() => {
+    let cancelled = false;
+    apiFetch("/api/filters")
+      .then((res) => (res.ok ? res.json() : null))
+      .then((data) => {
+        if (!cancelled && data?.profiles) setFilterProfiles(data.profiles.filter((p) => p.active));
+      })
+      .catch(() => {});
+    return () => { cancelled = true; };
+  }, [user]);
 
   // Sort + filter
   const sortedPairs = useMemo(() => {
     let list = Object.values(pairs);
 
+    // Profile filter
+    if (activeProfile !== "all") {
+      list = list.filter((p) => p.profiles?.includes(activeProfile));
+    }
+
+    if (watchOnly) list = list.filter((p) => watchlist.has(p.pairAddress));
+
+    // Filter builder rules
+    const matches = compileFilter(filter);
+    if (matches) list = list.filter(matches);
+
     // Search filter
     if (search) {
       const q = search.toLowerCase();
@@ -272,31 +340,75 @@ export default function Home() {
       );
     }
 
-    // Compute sort keys dynamically for RSI and ATH columns
-    const getSortValue = (p) => {
-      if (sortCol === "rsi") {
-        return rsiTimeframe === "5m" ? (p.rsi5m ?? -1) : (p.rsi15m ?? -1);
-      }
-      if (sortCol === "athPct") {
-        if (p.ath == null || p.priceUsd == null) return -9999;
-        return ((p.priceUsd - p.ath) / p.ath) * 100;
-      }
-      const col = COLUMNS.find((c) => c.key === sortCol);
-      if (col?.sortKey) return col.sortKey(p);
-      return 0;
-    };
-
+    // Missing values sort last in either direction
+    const col = COLUMNS_BY_KEY[sortCol];
     list.sort((a, b) => {
-      const va = getSortValue(a);
-      const vb = getSortValue(b);
-      if (typeof va === "string") {
-        return sortDir === "asc" ? va.localeCompare(vb) : vb.localeCompare(va);
-      }
-      return sortDir === "asc" ? va - vb : vb - va;
+      const va = col.value(a, rsiTimeframe) ?? null;
+      const vb = col.value(b, rsiTimeframe) ?? null;
+      if (va == null || vb == null) return (va == null) - (vb == null);
+      const cmp = typeof va === "string" ? va.localeCompare(vb) : va - vb;
+      return sortDir === "asc" ? cmp : -cmp;
     });
 
     return list;
-  }, [pairs, search, sortCol, sortDir, rsiTimeframe]);
+  }, [pairs, search, sortCol, sortDir, rsiTimeframe, activeProfile, watchOnly, watchlist, filter]);
+
+  // Star/unstar optimistically, rolling back if the server refuses
+  const toggleWatch = async (pair) => {
+    const addr = pair.pairAddress;
+    const watched = !watchlist.has(addr);
+    const setWatched = (v) =>
+      setWatchlist((prev) => {
+        const next = new Set(prev);
+        if (v) next.add(addr);
+        else next.delete(addr);
+        return next;
+      });
+    setWatched(watched);
+    try {
+      const res = watched
+        ? await apiFetch("/api/watchlist", {
+            method: "POST",
+            headers: { "Content-Type": "application/json" },
+            body: JSON.stringify({ pairAddress: addr }),
+          })
+        : await apiFetch(`/api/watchlist/${addr}`, { method: "DELETE" });
+      if (!res.ok && res.status !== 404) throw new Error(`HTTP ${res.status}`);
+    } catch (err) {
+      reportFailure("Watchlist update failed")(err);
+      setWatched(!watched);
+    }
+  };
+
+  const visibleColumns = columns.map((key) => COLUMNS_BY_KEY[key]);
+  const showIndicators = visibleColumns.some((c) => c.indicator);
+
+  // Hiding the sorted column falls back to the default sort
+  const changeColumns = (next) => {
+    const keys = normalizeColumns(next);
+    if (!keys.includes(sortCol)) setSortCol("marketCap");
+    setColumns(keys);
+  };
+
+  const activeRules = countActiveRules(filter);
+
+  const shownProfiles =
+    activeProfile === "all" ? filterProfiles : filterProfiles.filter((p) => p.id === activeProfile);
+
+  // Download what the table shows: its rows in order and its visible columns
+  // POSTed: hundreds of addresses would not fit in a URL
+  const exportView = (format) => {
+    const body = {
+      format,
+      fields: exportFields(columns, rsiTimeframe),
+      pairs: sortedPairs.map((p) => p.pairAddress),
+    };
+    downloadFile("/api/export", `qba-pairs.${format}`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(body),
+    }).catch(reportFailure("Export failed"));
+  };
 
   const handleSort = (key) => {
     if (sortCol === key) {
@@ -317,17 +429,21 @@ export default function Home() {
         </div>
         <div className="header-right">
           <div className="rsi-selector">
+            {TIMEFRAMES.map((tf) => (
+              <button
+                key={tf}
+                className={`rsi-btn ${rsiTimeframe === tf ? "active" : ""}`}
+                onClick={() => setRsiTimeframe(tf)}
+              >
+                RSI {tf}
+              </button>
+            ))}
             <button
-              className={`rsi-btn ${rsiTimeframe === "5m" ? "active" : ""}`}
-              onClick={() => setRsiTimeframe("5m")}
+              className={`rsi-btn ${showIndicators ? "active" : ""}`}
+              onClick={() => changeColumns(toggleIndicatorColumns(columns))}
+              title="Show EMA, MACD, Bollinger, VWAP and StochRSI columns"
             >
-              RSI 5m
-            </button>
-            <button
-              className={`rsi-btn ${rsiTimeframe === "15m" ? "active" : ""}`}
-              onClick={() => setRsiTimeframe("15m")}
-            >
-              RSI 15m
+              Indicators
             </button>
           </div>
           <input
@@ -337,29 +453,109 @@ export default function Home() {
             value={search}
             onChange={(e) => setSearch(e.target.value)}
           />
+          <NotificationCenter notifications={notifications} pairs={pairs} />
+          <ColumnChooser
+            columns={columns}
+            onChange={changeColumns}
+            layouts={layouts}
+            onSaveLayout={(name) => saveLayouts({ ...layouts, [name]: { columns } })}
+            onDeleteLayout={(name) => {
+              const { [name]: _, ...rest } = layouts;
+              saveLayouts(rest);
+            }}
+          />
+          {user ? (
+            <button className="rsi-btn" onClick={handleLogout} title="Sign out">
+              {user.username} &#x2715;
+            </button>
+          ) : (
+            <button className="rsi-btn" onClick={() => setShowLogin((v) => !v)}>
+              Sign in
+            </button>
+          )}
         </div>
       </header>
 
+      {!user && (showLogin || authRequired) && (
+        <LoginPanel onLogin={handleLogin} onCancel={authRequired ? null : () => setShowLogin(false)} />
+      )}
+
       {/* Ticker bar */}
       <div className="ticker-bar">
-        <span className="filter-tag">SOL</span>
-        <span className="filter-tag">PumpSwap + PumpFun</span>
-        <span className="filter-tag">Liq &gt; $10K</span>
-        <span className="filter-tag">MCap $30K-$300K</span>
-        <span className="filter-tag">Age 2-1000h</span>
-        <span className="filter-tag">24h Vol $80K-$180K</span>
-        <span style={{ marginLeft: "auto", color: "var(--text-dim)" }}>
-          {stats?.totalPairs ?? 0} pairs tracked
+        <button
+          className={`rsi-btn ${watchOnly ? "active" : ""}`}
+          onClick={() => setWatchOnly((v) => !v)}
+          title="Show only starred pairs"
+        >
+          &#9733; Watchlist{watchlist.size ? ` (${watchlist.size})` : ""}
+        </button>
+        <button
+          className={`rsi-btn ${showFilters || activeRules ? "active" : ""}`}
+          onClick={() => setShowFilters((v) => !v)}
+          title="Filter by RSI, market cap, liquidity, volume, change, ATH distance and age"
+        >
+          Filters{activeRules ? ` (${activeRules})` : ""}
+        </button>
+        {filterProfiles.length > 1 && (
+          <div className="rsi-selector">
+            {[{ id: "all", label: "All" }, ...filterProfiles].map((p) => (
+              <button
+                key={p.id}
+                className={`rsi-btn ${activeProfile === p.id ? "active" : ""}`}
+                onClick={() => setActiveProfile(p.id)}
+              >
+                {p.label}
+              </button>
+            ))}
+          </div>
+        )}
+        {shownProfiles.map((profile) => (
+          <div key={profile.id} className="filter-group">
+            {shownProfiles.length > 1 && <span className="filter-group-label">{profile.label}:</span>}
+            {profile.rules.map((rule) => (
+              <span key={rule.field} className="filter-tag">{rule.label}</span>
+            ))}
+          </div>
+        ))}
+        <div className="rsi-selector" style={{ marginLeft: "auto" }}>
+          {["csv", "json"].map((format) => (
+            <button
+              key={format}
+              className="rsi-btn"
+              onClick={() => exportView(format)}
+              disabled={!sortedPairs.length}
+              title="Download the pairs and columns shown"
+            >
+              Export {format.toUpperCase()}
+            </button>
+          ))}
+        </div>
+        <span style={{ color: "var(--text-dim)", whiteSpace: "nowrap" }}>
+          {activeProfile === "all" && !watchOnly && !activeRules
+            ? `${stats?.totalPairs ?? 0} pairs tracked`
+            : `${sortedPairs.length}/${stats?.totalPairs ?? 0} pairs`}
         </span>
         <div key={refreshKey} className="refresh-bar" />
       </div>
 
-      {/* SSE error banner */}
-      {sseError && (
+      {showFilters && (
+        <FilterBuilder
+          filter={filter}
+          onChange={setFilter}
+          matchCount={sortedPairs.length}
+          totalCount={Object.keys(pairs).length}
+          presets={presets}
+          onSavePreset={(name) => savePresets([...presets.filter((p) => p.name !== name), { name, filter }])}
+          onDeletePreset={(name) => savePresets(presets.filter((p) => p.name !== name))}
+        />
+      )}
+
+      {/* Error banner: the stream dropped, or a request failed */}
+      {(sseError || actionError) && (
         <div className="error-banner">
-          <span>&#9888;</span> {sseError}
+          <span>&#9888;</span> {sseError || actionError}
           <button
-            onClick={connectSSE}
+            onClick={sseError ? connectSSE : () => setActionError(null)}
             style={{
               marginLeft: 12,
               background: "transparent",
@@ -372,29 +568,57 @@ export default function Home() {
               borderRadius: 3,
             }}
           >
-            Retry
+            {sseError ? "Retry" : "Dismiss"}
           </button>
         </div>
       )}
 
+      {/* Fired alerts */}
+      {alerts.length > 0 && (
+        <div className="alert-stack">
+          {alerts.map((a) => (
+            <div
+              key={a.id}
+              className="alert-toast"
+              onClick={() => setAlerts((prev) => prev.filter((x) => x.id !== a.id))}
+            >
+              <span className="alert-symbol">{a.symbol}</span>
+              <span className="alert-rule">{a.ruleName}</span>
+              <div>{a.message}</div>
+            </div>
+          ))}
+        </div>
+      )}
+
       {/* Main content */}
       <div className="table-container" style={{ flex: 1 }}>
         {loading ? (
           <SkeletonRows />
         ) : sortedPairs.length === 0 ? (
           <div className="empty-state">
-            <h2>{search ? "No matches found" : "Waiting for data..."}</h2>
-            <p>{search ? "Try a different search term" : "The collector is discovering pairs"}</p>
+            <h2>{search || activeProfile !== "all" || watchOnly || activeRules ? "No matches found" : "Waiting for data..."}</h2>
+            <p>
+              {search
+                ? "Try a different search term"
+                : activeRules
+                  ? "No tracked pairs match the filter rules"
+                  : watchOnly
+                    ? "Star a pair to keep it tracked even when it leaves the filters"
+                    : activeProfile !== "all"
+                      ? "No tracked pairs match this profile"
+                      : "The collector is discovering pairs"}
+            </p>
           </div>
         ) : (
           <table>
             <thead>
               <tr>
-                {COLUMNS.map((col) => (
+                {visibleColumns.map((col) => (
                   <th
                     key={col.key}
                     className={sortCol === col.key ? "sorted" : ""}
                     onClick={() => handleSort(col.key)}
+                    title={col.title}
                   >
                     {col.label}
                     {sortCol === col.key && (
@@ -406,23 +630,24 @@ export default function Home() {
             </thead>
             <tbody>
               {sortedPairs.map((pair) => {
-                const rsi = rsiTimeframe === "5m" ? pair.rsi5m : pair.rsi15m;
-                const pctFromAth =
-                  pair.ath != null && pair.priceUsd != null
-                    ? ((pair.priceUsd - pair.ath) / pair.ath) * 100
-                    : null;
+                const rsi = getRsi(pair, rsiTimeframe);
 
-                return (
-                  <tr
-                    key={pair.pairAddress}
-                    className={flashedRows.has(pair.pairAddress) ? "flash-row" : ""}
-                    onMouseEnter={() => setHoveredRow(pair.pairAddress)}
-                    onMouseLeave={() => setHoveredRow(null)}
-                    style={{ position: "relative" }}
-                  >
-                    {/* Token */}
-                    <td>
+                // Token and RSI cells are drawn here; the rest come from the column definition
+                const cellContent = (col) => {
+                  if (col.key === "symbol") {
+                    return (
                       <div className="token-cell">
+                        <button
+                          className={`star-btn ${watchlist.has(pair.pairAddress) ? "active" : ""}`}
+                          onClick={() => toggleWatch(pair)}
+                          title={
+                            watchlist.has(pair.pairAddress)
+                              ? "Remove from watchlist"
+                              : "Add to watchlist: keep tracking regardless of filters"
+                          }
+                        >
+                          {watchlist.has(pair.pairAddress) ? "\u2605" : "\u2606"}
+                        </button>
                         {pair.imageUrl ? (
                           <img
                             className="token-icon"
@@ -436,28 +661,23 @@ export default function Home() {
                           <div className="token-icon" />
                         )}
                         <div className="token-info">
-                          <span className="token-symbol">{pair.baseToken?.symbol || "???"}</span>
+                          <Link className="token-symbol" href={`/pair/${pair.pairAddress}`} title="Open pair page">
+                            {pair.baseToken?.symbol || "???"}
+                          </Link>
                           <div className="token-meta">
                             {pair.dexId && <span className="dex-tag">{pair.dexId}</span>}
+                            {(pair.status === "new" || pair.status === "cooling") && (
+                              <span className={`status-tag ${pair.status}`}>{pair.status}</span>
+                            )}
+                            <RiskBadge safety={pair.safety} />
                             <CopyAddress addr={pair.pairAddress} />
                           </div>
                         </div>
                       </div>
-                    </td>
-                    {/* Price */}
-                    <td>{formatPrice(pair.priceUsd)}</td>
-                    {/* MCap */}
-                    <td>{formatCompact(pair.marketCap)}</td>
-                    {/* Liquidity */}
-                    <td>{formatCompact(pair.liquidity)}</td>
-                    {/* 24h Vol */}
-                    <td>{formatCompact(pair.volume24h)}</td>
-                    {/* 24h% */}
-                    <td className={pair.priceChange24h >= 0 ? "positive" : "negative"}>
-                      {formatPct(pair.priceChange24h)}
-                    </td>
-                    {/* RSI */}
-                    <td>
+                    );
+                  }
+                  if (col.key === "rsi") {
+                    return (
                       <div className="rsi-cell">
                         {rsi != null ? (
                           <>
@@ -478,22 +698,46 @@ export default function Home() {
                           <span style={{ color: "var(--text-dim)" }}>-</span>
                         )}
                       </div>
-                    </td>
-                    {/* % from ATH */}
-                    <td className={getAthClass(pctFromAth)}>
-                      {pctFromAth != null ? formatPct(pctFromAth) : "-"}
-                    </td>
-                    {/* ATH */}
-                    <td>{formatPrice(pair.ath)}</td>
-                    {/* Age */}
-                    <td>
-                      {formatAge(pair.pairCreatedAt)}
-                      {hoveredRow === pair.pairAddress && (
-                        <div className="sparkline-popup">
-                          <CandlestickChart pairAddress={pair.pairAddress} />
-                        </div>
-                      )}
-                    </td>
+                    );
+                  }
+                  const v = col.value(pair, rsiTimeframe);
+                  return v != null ? col.format(v) : <span style={{ color: "var(--text-dim)" }}>-</span>;
+                };
+                const cellClass = (col) => {
+                  const v = col.className ? col.value(pair, rsiTimeframe) : null;
+                  return v != null ? col.className(v) : "";
+                };
+
+                return (
+                  <tr
+                    key={pair.pairAddress}
+                    className={[
+                      flashedRows.has(pair.pairAddress) && "flash-row",
+                      pair.stale && "stale-row",
+                      pair.status === "cooling" && "cooling-row",
+                    ].filter(Boolean).join(" ")}
+                    title={
+                      pair.stale
+                        ? "Restored after restart, awaiting re-validation"
+                        : pair.status === "cooling"
+                        ? `Leaving tracking: ${pair.exitReason?.detail || pair.exitReason?.code || "missed discovery"}`
+                        : undefined
+                    }
+                    onMouseEnter={() => setHoveredRow(pair.pairAddress)}
+                    onMouseLeave={() => setHoveredRow(null)}
+                    style={{ position: "relative" }}
+                  >
+                    {visibleColumns.map((col, i) => (
+                      <td key={col.key} className={cellClass(col)}>
+                        {cellContent(col)}
+                        {/* Hover chart, anchored to the last cell */}
+                        {i === visibleColumns.length - 1 && hoveredRow === pair.pairAddress && (
+                          <div className="sparkline-popup">
+                            <CandleChart pairAddress={pair.pairAddress} ath={pair.ath} defaultTf="1h" compact />
+                          </div>
+                        )}
+                      </td>
+                    ))}
                   </tr>
                 );
               })}
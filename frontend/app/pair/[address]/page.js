@@ -0,0 +1,354 @@
+"use client";
+
+import { useState, useEffect, useMemo } from "react";
+import Link from "next/link";
+import { apiFetch, streamUrl } from "../../../lib/api";
+import { formatPrice, formatCompact, formatPct, formatAge, formatTime } from "../../../lib/format";
+import { TIMEFRAMES, INDICATOR_COLUMNS, getRsi, getRsiClass, getAthClass } from "../../../lib/indicators";
+import CopyAddress from "../../../components/CopyAddress";
+import RiskBadge from "../../../components/RiskBadge";
+import CandleChart from "../../../components/CandleChart";
+
+const TIMELINE_LABELS = {
+  tracked: "Tracked",
+  active: "No longer new",
+  cooling: "Cooling",
+  recovered: "Recovered",
+  removed: "Removed",
+  restored: "Restored after restart",
+  watched: "Watched",
+  unwatched: "Unwatched",
+  alert: "Alert",
+};
+
+// Small line chart for a metric over time: points are [{ t, v }]
+function LineChart({ points, format, color = "var(--accent)" }) {
+  const valid = points.filter((p) => p.v != null);
+  if (valid.length < 2) return <div className="pair-line-empty">Not enough history yet</div>;
+  const W = 300, H = 80, pad = 4;
+  const vs = valid.map((p) => p.v);
+  const min = Math.min(...vs);
+  const max = Math.max(...vs);
+  const range = max - min || 1;
+  const t0 = valid[0].t;
+  const tSpan = valid[valid.length - 1].t - t0 || 1;
+  const path = valid
+    .map((p) => `${pad + ((p.t - t0) / tSpan) * (W - pad * 2)},${pad + (1 - (p.v - min) / range) * (H - pad * 2)}`)
+    .join(" ");
+  return (
+    <div className="pair-line">
+      <svg viewBox={`0 0 ${W} ${H}`} preserveAspectRatio="none">
+        <polyline points={path} fill="none" stroke={color} strokeWidth="1.5" />
+      </svg>
+      <div className="pair-line-range">
+        <span>{format(min)}</span>
+        <span>{format(max)}</span>
+      </div>
+    </div>
+  );
+}
+
+/** Running ATH and drawdown from it, from the highs and closes of the candles. */
+function drawdownSeries(candles) {
+  let peak = 0;
+  return candles.map((c) => {
+    peak = Math.max(peak, c.h);
+    return { t: c.t * 1000, v: peak ? ((c.c - peak) / peak) * 100 : null };
+  });
+}
+
+export default function PairPage({ params }) {
+  const address = params.address;
+  const [pair, setPair] = useState(null);
+  const [tracked, setTracked] = useState(true);
+  const [timeline, setTimeline] = useState([]);
+  const [series, setSeries] = useState([]);
+  const [alerts, setAlerts] = useState([]);
+  const [history5m, setHistory5m] = useState([]);
+  const [error, setError] = useState(null);
+  const [live, setLive] = useState(false);
+
+  // Pair, timeline, sampled stats and the 5m history behind the drawdown
+  // chart; refreshed each minute for new samples
+  useEffect(() => {
+    let cancelled = false;
+    const load = () => {
+      apiFetch(`/api/pairs/${address}/candles?tf=5m`)
+        .then((res) => (res.ok ? res.json() : { candles: [] }))
+        .then((data) => !cancelled && setHistory5m(data.candles))
+        .catch(() => {});
+      return apiFetch(`/api/pairs/${address}`)
+        .then(async (res) => {
+          const data = await res.json();
+          if (!res.ok) throw new Error(data.error || `HTTP ${res.status}`);
+          if (cancelled) return;
+          setPair(data.pair);
+          setTracked(data.tracked);
+          setTimeline(data.timeline);
+          setSeries(data.series);
+          setError(null);
+        })
+        .catch((err) => !cancelled && setError(err.message));
+    };
+    load();
+    apiFetch(`/api/alerts/history?pair=${address}&limit=50`)
+      .then((res) => (res.ok ? res.json() : null))
+      .then((data) => !cancelled && data && setAlerts(data.alerts))
+      .catch(() => {});
+    const id = setInterval(load, 60_000);
+    return () => {
+      cancelled = true;
+      clearInterval(id);
+    };
+  }, [address]);
+
+  // Live updates for this pair from the shared stream
+  useEffect(() => {
+    let es = null;
+    let retry = null;
+    let lastEventId = null;
+    const connect = () => {
+      es = new EventSource(streamUrl(lastEventId));
+      const on = (event, handler) =>
+        es.addEventListener(event, (e) => {
+          if (e.lastEventId) lastEventId = e.lastEventId;
+          try {
+            handler(JSON.parse(e.data));
+          } catch (err) {
+            console.error(`${event} parse error:`, err);
+          }
+        });
+      es.onopen = () => setLive(true);
+      on("snapshot", (data) => {
+        const p = data.pairs?.[address];
+        if (p) {
+          setPair(p);
+          setTracked(true);
+        }
+      });
+      on("pair:add", (p) => {
+        if (p.pairAddress !== address) return;
+        setPair(p);
+        setTracked(true);
+        setTimeline((prev) => [...prev, { at: Date.now(), type: "tracked", detail: null }]);
+      });
+      on("pair:patch", ({ pairAddress, changes }) => {
+        if (pairAddress === address) setPair((prev) => (prev ? { ...prev, ...changes } : prev));
+      });
+      on("pair:remove", ({ pairAddress, reason }) => {
+        if (pairAddress !== address) return;
+        setTracked(false);
+        setPair((prev) => (prev ? { ...prev, reason } : prev));
+        setTimeline((prev) => [...prev, { at: Date.now(), type: "removed", detail: reason?.detail || reason?.code }]);
+      });
+      on("alert", (alert) => {
+        if (alert.pairAddress === address) setAlerts((prev) => [alert, ...prev]);
+      });
+      es.onerror = () => {
+        es.close();
+        setLive(false);
+        retry = setTimeout(connect, 3000);
+      };
+    };
+    connect();
+    return () => {
+      if (es) es.close();
+      clearTimeout(retry);
+    };
+  }, [address]);
+
+  // Lifecycle events and fired alerts, newest first
+  const events = useMemo(
+    () =>
+      [
+        ...timeline,
+        ...alerts.map((a) => ({ at: a.firedAt, type: "alert", detail: `${a.ruleName}: ${a.message}` })),
+      ].sort((a, b) => b.at - a.at),
+    [timeline, alerts]
+  );
+
+  if (error && !pair) {
+    return (
+      <div className="pair-page">
+        <Link href="/" className="back-link">&larr; All pairs</Link>
+        <div className="empty-state">
+          <h2>Pair not found</h2>
+          <p>{error}</p>
+        </div>
+      </div>
+    );
+  }
+  if (!pair) return <div className="pair-page"><div className="empty-state"><p>Loading...</p></div></div>;
+
+  // Removed pairs come back as their removal record, with metrics under `last`
+  const current = tracked ? pair : { ...pair, ...pair.last };
+  const token = pair.baseToken || {};
+  const safety = pair.safety;
+  const pctFromAth =
+    current.ath != null && current.priceUsd != null ? ((current.priceUsd - current.ath) / current.ath) * 100 : null;
+  const status = tracked ? pair.status : "removed";
+  const dexUrl = pair.url || `https://dexscreener.com/solana/${address}`;
+
+  return (
+    <div className="pair-page">
+      <header className="header">
+        <div className="header-left">
+          <Link href="/" className="back-link">&larr;</Link>
+          {pair.imageUrl ? <img className="token-icon" src={pair.imageUrl} alt="" /> : <div className="token-icon" />}
+          <h1>{token.symbol || "???"}</h1>
+          <span style={{ color: "var(--text-dim)" }}>{token.name}</span>
+          {status && status !== "active" && <span className={`status-tag ${status}`}>{status}</span>}
+          {pair.watched && <span className="star-btn active">&#9733;</span>}
+        </div>
+        <div className="header-right">
+          <div className={`live-dot ${live ? "" : "offline"}`} title={live ? "Live" : "Reconnecting"} />
+          <a className="rsi-btn" href={dexUrl} target="_blank" rel="noreferrer">Dexscreener</a>
+          {token.address && (
+            <a className="rsi-btn" href={`https://solscan.io/token/${token.address}`} target="_blank" rel="noreferrer">
+              Solscan
+            </a>
+          )}
+        </div>
+      </header>
+
+      {!tracked && (
+        <div className="error-banner">
+          No longer tracked{pair.reason ? `: ${pair.reason.detail || pair.reason.code}` : ""}. Showing the last known values.
+        </div>
+      )}
+
+      <div className="pair-stats">
+        <div><span className="label">Price</span>{formatPrice(current.priceUsd)}</div>
+        <div><span className="label">MCap</span>{formatCompact(current.marketCap)}</div>
+        <div><span className="label">Liquidity</span>{formatCompact(current.liquidity)}</div>
+        <div><span className="label">24h Vol</span>{formatCompact(current.volume24h)}</div>
+        <div className={current.priceChange24h >= 0 ? "positive" : "negative"}>
+          <span className="label">24h%</span>{formatPct(current.priceChange24h)}
+        </div>
+        <div><span className="label">ATH</span>{formatPrice(current.ath)}</div>
+        <div className={getAthClass(pctFromAth)}><span className="label">From ATH</span>{formatPct(pctFromAth)}</div>
+        <div><span className="label">Age</span>{formatAge(pair.pairCreatedAt)}</div>
+      </div>
+
+      <section className="pair-section">
+        <h2>Chart</h2>
+        <CandleChart pairAddress={address} ath={current.ath} />
+      </section>
+
+      <div className="pair-grid">
+        <section className="pair-section">
+          <h2>Indicators</h2>
+          {tracked ? (
+            <table className="pair-table">
+              <thead>
+                <tr>
+                  <th></th>
+                  {TIMEFRAMES.map((t) => <th key={t}>{t}</th>)}
+                </tr>
+              </thead>
+              <tbody>
+                <tr>
+                  <td>RSI</td>
+                  {TIMEFRAMES.map((t) => {
+                    const rsi = getRsi(pair, t);
+                    return (
+                      <td key={t}>
+                        {rsi != null ? <span className={`rsi-badge ${getRsiClass(rsi)}`}>{rsi.toFixed(1)}</span> : "-"}
+                      </td>
+                    );
+                  })}
+                </tr>
+                {INDICATOR_COLUMNS.map((col) => (
+                  <tr key={col.key}>
+                    <td title={col.title}>{col.label}</td>
+                    {TIMEFRAMES.map((t) => {
+                      const v = pair.indicators?.[t]?.[col.key];
+                      return (
+                        <td key={t} className={v != null ? col.className(v) : ""}>
+                          {v != null ? col.format(v) : "-"}
+                        </td>
+                      );
+                    })}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          ) : (
+            <p className="pair-line-empty">RSI 5m {current.rsi5m?.toFixed(1) ?? "-"}, 15m {current.rsi15m?.toFixed(1) ?? "-"} at removal</p>
+          )}
+        </section>
+
+        <section className="pair-section">
+          <h2>Token</h2>
+          <dl className="pair-meta">
+            <dt>Name</dt><dd>{token.name || "-"}</dd>
+            <dt>Token</dt><dd>{token.address ? <CopyAddress addr={token.address} /> : "-"}</dd>
+            <dt>Pair</dt><dd><CopyAddress addr={address} /></dd>
+            <dt>DEX</dt><dd>{pair.dexId ? <span className="dex-tag">{pair.dexId}</span> : "-"}</dd>
+            <dt>Created</dt><dd>{formatTime(pair.pairCreatedAt)}</dd>
+            <dt>First seen</dt><dd>{formatTime(pair.firstSeenAt)}</dd>
+            <dt>Profiles</dt><dd>{pair.profiles?.length ? pair.profiles.join(", ") : "-"}</dd>
+            <dt>Solscan</dt>
+            <dd>
+              <a href={`https://solscan.io/account/${address}`} target="_blank" rel="noreferrer">pair account</a>
+            </dd>
+          </dl>
+        </section>
+
+        <section className="pair-section">
+          <h2>Safety</h2>
+          {safety ? (
+            <dl className="pair-meta">
+              <dt>Risk</dt><dd><RiskBadge safety={safety} /></dd>
+              <dt>Mint authority</dt><dd>{safety.mintAuthority ? <CopyAddress addr={safety.mintAuthority} /> : "revoked"}</dd>
+              <dt>Freeze authority</dt><dd>{safety.freezeAuthority ? <CopyAddress addr={safety.freezeAuthority} /> : "revoked"}</dd>
+              <dt>Top 10 holders</dt><dd>{safety.top10Pct != null ? `${safety.top10Pct.toFixed(1)}%` : "-"}</dd>
+              <dt>In pool</dt><dd>{safety.poolPct != null ? `${safety.poolPct.toFixed(1)}%` : "-"}</dd>
+              {safety.bondingCurve && (
+                <>
+                  <dt>Bonding curve</dt>
+                  <dd>{safety.bondingCurve.complete ? "complete" : `${safety.bondingCurve.progressPct.toFixed(1)}% sold`}</dd>
+                </>
+              )}
+              <dt>Checked</dt><dd>{formatTime(safety.checkedAt)}</dd>
+            </dl>
+          ) : (
+            <p className="pair-line-empty">Not checked yet (needs SOLANA_RPC_URL on the server)</p>
+          )}
+        </section>
+
+        <section className="pair-section">
+          <h2>Drawdown from ATH</h2>
+          <LineChart points={drawdownSeries(history5m)} format={(v) => formatPct(v)} color="var(--red)" />
+        </section>
+
+        <section className="pair-section">
+          <h2>Liquidity</h2>
+          <LineChart points={series.map((s) => ({ t: s.t, v: s.liquidity }))} format={formatCompact} />
+        </section>
+
+        <section className="pair-section">
+          <h2>24h Volume</h2>
+          <LineChart points={series.map((s) => ({ t: s.t, v: s.volume24h }))} format={formatCompact} color="var(--blue)" />
+        </section>
+
+        <section className="pair-section">
+          <h2>Timeline</h2>
+          {events.length ? (
+            <ul className="pair-timeline">
+              {events.map((e, i) => (
+                <li key={`${e.at}-${i}`} className={`timeline-${e.type}`}>
+                  <span className="timeline-time">{formatTime(e.at)}</span>
+                  <span className="timeline-type">{TIMELINE_LABELS[e.type] || e.type}</span>
+                  {e.detail && <span className="timeline-detail">{e.detail}</span>}
+                </li>
+              ))}
+            </ul>
+          ) : (
+            <p className="pair-line-empty">No events since the server started</p>
+          )}
+        </section>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,272 @@
+import { useState, useEffect, useRef, useMemo, useCallback } from "react";
+import { apiFetch } from "../lib/api";
+import { formatPrice, formatCompact } from "../lib/format";
+import { TIMEFRAMES, rsiSeries } from "../lib/indicators";
+
+// Panel heights and initial zoom, in SVG units
+const SIZES = {
+  full: { W: 900, price: 260, volume: 60, rsi: 90, axis: 70, bars: 120, font: 11 },
+  compact: { W: 360, price: 120, volume: 28, rsi: 44, axis: 52, bars: 48, font: 9 },
+};
+const GAP = 8;
+const TIME_AXIS = 14;
+const MIN_BARS = 10;
+const ZOOM_STEP = 1.2;
+// The ATH line only widens the price scale when it is this close to the visible high
+const ATH_IN_RANGE = 1.25;
+// Bars requested from the upstream proxy when we have no stored candles
+const PROXY_LIMIT = 200;
+
+function formatBarTime(t, tf) {
+  const d = new Date(t * 1000);
+  const time = d.toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" });
+  if (tf === "5m" || tf === "15m") return time;
+  return `${d.toLocaleDateString([], { month: "short", day: "numeric" })} ${time}`;
+}
+
+/**
+ * Candlestick chart for one pair with volume, an RSI(14) panel with 30/70
+ * bands and the ATH as a dashed line. Drag to pan, wheel to zoom,
+ * double-click to reset; hovering shows a crosshair with the bar's OHLCV.
+ * Candles come from /api/pairs/:address/candles, or from the server's
+ * upstream proxy (/ohlcv) for pairs we hold no candles for, and refresh
+ * every minute.
+ */
+export default function CandleChart({ pairAddress, ath = null, compact = false, defaultTf = "5m" }) {
+  const size = compact ? SIZES.compact : SIZES.full;
+  const [tf, setTf] = useState(defaultTf);
+  const [candles, setCandles] = useState(null);
+  // `offset` bars are scrolled off the right edge; 0 follows the latest bar
+  const [view, setView] = useState({ count: size.bars, offset: 0 });
+  const [hover, setHover] = useState(null); // { i, y } in visible-bar index and SVG units
+  const svgRef = useRef(null);
+  const dragRef = useRef(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    const fetchCandles = (path) =>
+      apiFetch(path)
+        .then((res) => (res.ok ? res.json() : {}))
+        .then((data) => data.candles || []);
+    const load = () =>
+      fetchCandles(`/api/pairs/${pairAddress}/candles?tf=${tf}`)
+        .then((stored) =>
+          stored.length >= 2 ? stored : fetchCandles(`/api/pairs/${pairAddress}/ohlcv?tf=${tf}&limit=${PROXY_LIMIT}`)
+        )
+        .then((list) => !cancelled && setCandles(list))
+        .catch(() => !cancelled && setCandles([]));
+    load();
+    const id = setInterval(load, 60_000);
+    return () => {
+      cancelled = true;
+      clearInterval(id);
+    };
+  }, [pairAddress, tf]);
+
+  const n = candles?.length ?? 0;
+  const rsi = useMemo(() => rsiSeries((candles || []).map((c) => c.c)), [candles]);
+  const count = Math.min(Math.max(MIN_BARS, view.count), Math.max(n, MIN_BARS));
+  const offset = Math.min(view.offset, Math.max(0, n - count));
+  const end = n - offset;
+  const start = Math.max(0, end - count);
+  const bars = (candles || []).slice(start, end);
+
+  const plotW = size.W - size.axis;
+  const step = plotW / count;
+  const H = size.price + size.volume + size.rsi + GAP * 2 + TIME_AXIS;
+
+  // Client pixels to SVG units
+  const toSvg = useCallback(
+    (e) => {
+      const rect = svgRef.current.getBoundingClientRect();
+      return {
+        x: ((e.clientX - rect.left) / rect.width) * size.W,
+        y: ((e.clientY - rect.top) / rect.height) * H,
+      };
+    },
+    [size.W, H]
+  );
+
+  // Wheel zoom around the latest visible bar; React's onWheel is passive
+  useEffect(() => {
+    const svg = svgRef.current;
+    if (!svg) return;
+    const onWheel = (e) => {
+      e.preventDefault();
+      setView((v) => {
+        const next = e.deltaY > 0 ? v.count * ZOOM_STEP : v.count / ZOOM_STEP;
+        return { ...v, count: Math.round(Math.min(Math.max(MIN_BARS, next), Math.max(n, MIN_BARS))) };
+      });
+    };
+    svg.addEventListener("wheel", onWheel, { passive: false });
+    return () => svg.removeEventListener("wheel", onWheel);
+  }, [n, bars.length >= 2]);
+
+  const changeTf = (next) => {
+    setTf(next);
+    setView({ count: size.bars, offset: 0 });
+    setHover(null);
+  };
+
+  const onMouseDown = (e) => {
+    dragRef.current = { x: toSvg(e).x, offset };
+  };
+  const onMouseMove = (e) => {
+    const p = toSvg(e);
+    if (dragRef.current) {
+      const shift = Math.round((p.x - dragRef.current.x) / step);
+      setView((v) => ({ ...v, offset: Math.min(Math.max(0, dragRef.current.offset + shift), Math.max(0, n - count)) }));
+      return;
+    }
+    const i = Math.floor(p.x / step);
+    setHover(i >= 0 && i < bars.length && p.x <= plotW ? { i, y: p.y } : null);
+  };
+  const endDrag = () => {
+    dragRef.current = null;
+  };
+
+  if (candles === null) return <span className="chart-note">Loading...</span>;
+
+  const switcher = (
+    <div className="rsi-selector chart-tf">
+      {TIMEFRAMES.map((t) => (
+        <button key={t} className={`rsi-btn ${tf === t ? "active" : ""}`} onClick={() => changeTf(t)}>
+          {t}
+        </button>
+      ))}
+    </div>
+  );
+
+  if (bars.length < 2) {
+    return (
+      <div className={`candle-chart ${compact ? "compact" : ""}`}>
+        {switcher}
+        <span className="chart-note">No candles yet</span>
+      </div>
+    );
+  }
+
+  // Price scale
+  let min = Math.min(...bars.map((c) => c.l));
+  let max = Math.max(...bars.map((c) => c.h));
+  const athInRange = ath != null && ath <= max * ATH_IN_RANGE;
+  if (athInRange) max = Math.max(max, ath);
+  const pad = (max - min) * 0.05 || max * 0.01 || 1;
+  min -= pad;
+  max += pad;
+  const priceY = (v) => (1 - (v - min) / (max - min)) * size.price;
+  const priceTicks = [0, 1, 2, 3].map((k) => min + ((max - min) * (k + 0.5)) / 4);
+
+  // Volume and RSI panels
+  const volTop = size.price + GAP;
+  const maxVol = Math.max(...bars.map((c) => c.v || 0)) || 1;
+  const rsiTop = volTop + size.volume + GAP;
+  const rsiY = (v) => rsiTop + (1 - v / 100) * size.rsi;
+  const rsiPoints = bars
+    .map((c, i) => (rsi[start + i] != null ? `${(i + 0.5) * step},${rsiY(rsi[start + i])}` : null))
+    .filter(Boolean)
+    .join(" ");
+
+  const bodyW = Math.max(1, step * 0.7);
+  const hovered = hover ? bars[hover.i] : null;
+  const hoveredRsi = hover ? rsi[start + hover.i] : null;
+
+  return (
+    <div className={`candle-chart ${compact ? "compact" : ""}`}>
+      {switcher}
+      <div className="chart-wrap">
+        <svg
+          ref={svgRef}
+          viewBox={`0 0 ${size.W} ${H}`}
+          onMouseDown={onMouseDown}
+          onMouseMove={onMouseMove}
+          onMouseUp={endDrag}
+          onMouseLeave={() => {
+            endDrag();
+            setHover(null);
+          }}
+          onDoubleClick={() => setView({ count: size.bars, offset: 0 })}
+        >
+          {/* Price axis */}
+          {priceTicks.map((v) => (
+            <g key={v}>
+              <line x1={0} x2={plotW} y1={priceY(v)} y2={priceY(v)} className="chart-grid" />
+              <text x={size.W - 2} y={priceY(v) + 3} textAnchor="end" fontSize={size.font} className="chart-label">
+                {formatPrice(v)}
+              </text>
+            </g>
+          ))}
+
+          {/* Candles and volume */}
+          {bars.map((c, i) => {
+            const x = (i + 0.5) * step;
+            const color = c.c >= c.o ? "var(--accent)" : "var(--red)";
+            const top = priceY(Math.max(c.o, c.c));
+            const vh = ((c.v || 0) / maxVol) * size.volume;
+            return (
+              <g key={c.t}>
+                <line x1={x} x2={x} y1={priceY(c.h)} y2={priceY(c.l)} stroke={color} strokeWidth="1" />
+                <rect x={x - bodyW / 2} y={top} width={bodyW} height={Math.max(1, priceY(Math.min(c.o, c.c)) - top)} fill={color} />
+                <rect x={x - bodyW / 2} y={volTop + size.volume - vh} width={bodyW} height={vh} fill={color} opacity="0.35" />
+              </g>
+            );
+          })}
+
+          {/* ATH */}
+          {ath != null &&
+            (athInRange ? (
+              <g>
+                <line x1={0} x2={plotW} y1={priceY(ath)} y2={priceY(ath)} stroke="var(--yellow)" strokeDasharray="4 4" />
+                <text x={plotW - 4} y={priceY(ath) - 3} textAnchor="end" fontSize={size.font} fill="var(--yellow)">
+                  ATH {formatPrice(ath)}
+                </text>
+              </g>
+            ) : (
+              <text x={plotW - 4} y={size.font + 2} textAnchor="end" fontSize={size.font} fill="var(--yellow)">
+                ATH {formatPrice(ath)} &#8593;
+              </text>
+            ))}
+
+          {/* RSI */}
+          <rect x={0} y={rsiY(70)} width={plotW} height={rsiY(30) - rsiY(70)} fill="var(--accent-dim)" opacity="0.3" />
+          {[30, 70].map((level) => (
+            <g key={level}>
+              <line x1={0} x2={plotW} y1={rsiY(level)} y2={rsiY(level)} stroke="var(--text-dim)" strokeDasharray="3 3" />
+              <text x={size.W - 2} y={rsiY(level) + 3} textAnchor="end" fontSize={size.font} className="chart-label">
+                {level}
+              </text>
+            </g>
+          ))}
+          <polyline points={rsiPoints} fill="none" stroke="var(--blue)" strokeWidth="1.5" />
+          <text x={2} y={rsiTop + size.font} fontSize={size.font} className="chart-label">RSI 14</text>
+
+          {/* Time axis */}
+          <text x={0} y={H - 2} fontSize={size.font} className="chart-label">{formatBarTime(bars[0].t, tf)}</text>
+          <text x={plotW} y={H - 2} textAnchor="end" fontSize={size.font} className="chart-label">
+            {formatBarTime(bars[bars.length - 1].t, tf)}
+          </text>
+
+          {/* Crosshair */}
+          {hovered && (
+            <g className="chart-crosshair">
+              <line x1={(hover.i + 0.5) * step} x2={(hover.i + 0.5) * step} y1={0} y2={H - TIME_AXIS} />
+              {hover.y <= size.price && <line x1={0} x2={plotW} y1={hover.y} y2={hover.y} />}
+            </g>
+          )}
+        </svg>
+
+        {hovered && (
+          <div className={`chart-tooltip ${hover.i < bars.length / 2 ? "right" : "left"}`}>
+            <div>{formatBarTime(hovered.t, tf)}</div>
+            <div>O {formatPrice(hovered.o)}</div>
+            <div>H {formatPrice(hovered.h)}</div>
+            <div>L {formatPrice(hovered.l)}</div>
+            <div className={hovered.c >= hovered.o ? "positive" : "negative"}>C {formatPrice(hovered.c)}</div>
+            <div>V {formatCompact(hovered.v)}</div>
+            {hoveredRsi != null && <div>RSI {hoveredRsi.toFixed(1)}</div>}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,103 @@
+import { useState, useEffect, useRef } from "react";
+import { COLUMNS, COLUMNS_BY_KEY, DEFAULT_COLUMNS } from "../lib/columns";
+
+/**
+ * Dropdown to show, hide and reorder table columns, and to save, apply and
+ * delete named layouts. `columns` is the ordered list of visible keys.
+ */
+export default function ColumnChooser({ columns, onChange, layouts, onSaveLayout, onDeleteLayout }) {
+  const [open, setOpen] = useState(false);
+  const [name, setName] = useState("");
+  const ref = useRef(null);
+
+  // Close when clicking outside
+  useEffect(() => {
+    if (!open) return;
+    const onDown = (e) => {
+      if (ref.current && !ref.current.contains(e.target)) setOpen(false);
+    };
+    document.addEventListener("mousedown", onDown);
+    return () => document.removeEventListener("mousedown", onDown);
+  }, [open]);
+
+  const hidden = COLUMNS.filter((c) => !columns.includes(c.key));
+  const names = Object.keys(layouts).sort();
+
+  const move = (i, by) => {
+    const next = [...columns];
+    [next[i], next[i + by]] = [next[i + by], next[i]];
+    onChange(next);
+  };
+
+  const save = (e) => {
+    e.preventDefault();
+    if (!name.trim()) return;
+    onSaveLayout(name.trim());
+    setName("");
+  };
+
+  return (
+    <div className="column-chooser" ref={ref}>
+      <button className={`rsi-btn ${open ? "active" : ""}`} onClick={() => setOpen((v) => !v)} title="Choose and reorder columns">
+        Columns
+      </button>
+      {open && (
+        <div className="column-panel">
+          <div className="column-layouts">
+            {names.map((n) => (
+              <span key={n} className="layout-chip">
+                <button className="rsi-btn" onClick={() => onChange(layouts[n].columns)} title="Apply layout">
+                  {n}
+                </button>
+                <button className="chip-remove" onClick={() => onDeleteLayout(n)} title="Delete layout">
+                  &#x2715;
+                </button>
+              </span>
+            ))}
+            <button className="rsi-btn" onClick={() => onChange(DEFAULT_COLUMNS)}>Default</button>
+          </div>
+          <form className="column-save" onSubmit={save}>
+            <input className="search-box" placeholder="Layout name" value={name} onChange={(e) => setName(e.target.value)} />
+            <button className="rsi-btn" type="submit" disabled={!name.trim()}>Save</button>
+          </form>
+          <ul className="column-list">
+            {columns.map((key, i) => {
+              const col = COLUMNS_BY_KEY[key];
+              return (
+                <li key={key}>
+                  <label>
+                    <input
+                      type="checkbox"
+                      checked
+                      disabled={col.required}
+                      onChange={() => onChange(columns.filter((k) => k !== key))}
+                    />
+                    {col.label}
+                  </label>
+                  {!col.required && (
+                    <span className="column-move">
+                      <button disabled={COLUMNS_BY_KEY[columns[i - 1]]?.required} onClick={() => move(i, -1)} title="Move left">
+                        &#9650;
+                      </button>
+                      <button disabled={i === columns.length - 1} onClick={() => move(i, 1)} title="Move right">
+                        &#9660;
+                      </button>
+                    </span>
+                  )}
+                </li>
+              );
+            })}
+            {hidden.map((col) => (
+              <li key={col.key} className="column-hidden">
+                <label title={col.title}>
+                  <input type="checkbox" checked={false} onChange={() => onChange([...columns, col.key])} />
+                  {col.label}
+                </label>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+}
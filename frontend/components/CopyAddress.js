@@ -0,0 +1,21 @@
+import { useState } from "react";
+import { truncAddr } from "../lib/format";
+
+export default function CopyAddress({ addr }) {
+  const [copied, setCopied] = useState(false);
+  const handleCopy = async (e) => {
+    e.stopPropagation();
+    e.preventDefault();
+    try {
+      await navigator.clipboard.writeText(addr);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 1500);
+    } catch {}
+  };
+  return (
+    <span className="copy-addr" onClick={handleCopy} title={addr}>
+      {truncAddr(addr)}
+      {copied && <span className="copy-tooltip">Copied!</span>}
+    </span>
+  );
+}
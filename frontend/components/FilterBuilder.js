@@ -0,0 +1,104 @@
+import { useState } from "react";
+import { TIMEFRAMES } from "../lib/indicators";
+import { FILTER_FIELDS, FILTER_FIELDS_BY_KEY, EMPTY_FILTER, BUILTIN_PRESETS, newRule } from "../lib/filters";
+
+/**
+ * Range rules combined with AND/OR, plus saved presets. Bounds accept
+ * shorthand like 50k or 1.5m; leave one empty for an open range.
+ */
+export default function FilterBuilder({ filter, onChange, matchCount, totalCount, presets, onSavePreset, onDeletePreset }) {
+  const [name, setName] = useState("");
+
+  const userNames = new Set(presets.map((p) => p.name));
+  const allPresets = [...BUILTIN_PRESETS.filter((p) => !userNames.has(p.name)), ...presets];
+
+  const updateRule = (i, changes) =>
+    onChange({ ...filter, rules: filter.rules.map((r, j) => (j === i ? { ...r, ...changes } : r)) });
+
+  const changeField = (i, field) => {
+    const tf = FILTER_FIELDS_BY_KEY[field].perTimeframe ? filter.rules[i].tf || TIMEFRAMES[0] : undefined;
+    updateRule(i, { field, tf });
+  };
+
+  const save = (e) => {
+    e.preventDefault();
+    if (!name.trim()) return;
+    onSavePreset(name.trim());
+    setName("");
+  };
+
+  return (
+    <div className="filter-panel">
+      <div className="filter-presets">
+        {allPresets.map((p) => (
+          <span key={p.name} className="layout-chip">
+            <button className="rsi-btn" onClick={() => onChange(p.filter)} title="Apply preset">
+              {p.name}
+            </button>
+            {userNames.has(p.name) && (
+              <button className="chip-remove" onClick={() => onDeletePreset(p.name)} title="Delete preset">
+                &#x2715;
+              </button>
+            )}
+          </span>
+        ))}
+        <form className="column-save" onSubmit={save}>
+          <input className="search-box" placeholder="Preset name" value={name} onChange={(e) => setName(e.target.value)} />
+          <button className="rsi-btn" type="submit" disabled={!name.trim() || !filter.rules.length}>
+            Save
+          </button>
+        </form>
+      </div>
+
+      <div className="filter-rules">
+        {filter.rules.map((rule, i) => (
+          <div key={i} className="filter-rule">
+            {i > 0 ? (
+              <button
+                className="rsi-btn filter-mode"
+                onClick={() => onChange({ ...filter, mode: filter.mode === "and" ? "or" : "and" })}
+                title="Switch between matching all rules and any rule"
+              >
+                {filter.mode.toUpperCase()}
+              </button>
+            ) : (
+              <span className="filter-mode" />
+            )}
+            <select className="search-box" value={rule.field} onChange={(e) => changeField(i, e.target.value)}>
+              {FILTER_FIELDS.map((f) => (
+                <option key={f.key} value={f.key}>{f.label}</option>
+              ))}
+            </select>
+            {FILTER_FIELDS_BY_KEY[rule.field]?.perTimeframe && (
+              <select className="search-box" value={rule.tf} onChange={(e) => updateRule(i, { tf: e.target.value })}>
+                {TIMEFRAMES.map((tf) => (
+                  <option key={tf} value={tf}>{tf}</option>
+                ))}
+              </select>
+            )}
+            <input className="search-box filter-bound" placeholder="min" value={rule.min} onChange={(e) => updateRule(i, { min: e.target.value })} />
+            <span>to</span>
+            <input className="search-box filter-bound" placeholder="max" value={rule.max} onChange={(e) => updateRule(i, { max: e.target.value })} />
+            <button className="chip-remove" onClick={() => onChange({ ...filter, rules: filter.rules.filter((_, j) => j !== i) })} title="Remove rule">
+              &#x2715;
+            </button>
+          </div>
+        ))}
+      </div>
+
+      <div className="filter-actions">
+        <button className="rsi-btn" onClick={() => onChange({ ...filter, rules: [...filter.rules, newRule()] })}>
+          + Rule
+        </button>
+        {filter.rules.length > 0 && (
+          <button className="rsi-btn" onClick={() => onChange(EMPTY_FILTER)}>
+            Clear
+          </button>
+        )}
+        <span className="filter-count">
+          {matchCount}/{totalCount} pairs match
+        </span>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,300 @@
+import { useState, useEffect, useRef } from "react";
+import { TIMEFRAMES } from "../lib/indicators";
+import { formatTime } from "../lib/format";
+import {
+  WATCH_TYPES, REFIRE_COOLDOWN_MS, DEFAULT_NOTIFY_SETTINGS, conditionHolds, describeWatch, notificationText,
+  loadWatches, storeWatches, loadNotifySettings, storeNotifySettings, playChime,
+} from "../lib/notify";
+
+const RECENT_LIMIT = 20;
+const SNOOZE_OPTIONS = [
+  { label: "15m", ms: 15 * 60_000 },
+  { label: "1h", ms: 60 * 60_000 },
+];
+
+/**
+ * Check the user's watch conditions whenever a pair is added or patched.
+ * A condition notifies when it starts holding, at most once per
+ * REFIRE_COOLDOWN_MS per pair, unless snoozed. The first batch of pairs
+ * after page load is only a baseline, so opening the page does not replay
+ * every condition that already holds. `onFire` receives each notification.
+ */
+export function useNotifications(pairs, loading, onFire) {
+  const [watches, setWatchesState] = useState([]);
+  const [settings, setSettingsState] = useState(DEFAULT_NOTIFY_SETTINGS);
+  const [permission, setPermission] = useState("default");
+  const [recent, setRecent] = useState([]); // newest first
+  const [unread, setUnread] = useState(0);
+  const conditionState = useRef(new Map()); // `${watchId}:${pairAddress}` -> { active, lastFired, snoozedUntil }
+  const prevPairsRef = useRef(null);
+  const watchesRef = useRef(watches);
+  const settingsRef = useRef(settings);
+  const onFireRef = useRef(onFire);
+  watchesRef.current = watches;
+  settingsRef.current = settings;
+  onFireRef.current = onFire;
+
+  useEffect(() => {
+    setWatchesState(loadWatches());
+    setSettingsState(loadNotifySettings());
+    setPermission(typeof Notification === "undefined" ? "unsupported" : Notification.permission);
+  }, []);
+
+  const setWatches = (next) => {
+    setWatchesState(next);
+    storeWatches(next);
+  };
+
+  const updateSettings = (changes) => {
+    const next = { ...settings, ...changes };
+    setSettingsState(next);
+    storeNotifySettings(next);
+  };
+
+  useEffect(() => {
+    if (loading) return;
+    const prev = prevPairsRef.current;
+    prevPairsRef.current = pairs;
+    const now = Date.now();
+    const state = conditionState.current;
+    const { desktop, sound, snoozedUntil } = settingsRef.current;
+    const fired = [];
+
+    for (const [addr, pair] of Object.entries(pairs)) {
+      if (prev && prev[addr] === pair) continue;
+      const isNew = !!prev && !prev[addr];
+      for (const watch of watchesRef.current) {
+        const key = `${watch.id}:${addr}`;
+        const entry = state.get(key) || { active: false, lastFired: 0, snoozedUntil: 0 };
+        const holds = conditionHolds(watch, pair, isNew);
+        const fire =
+          holds && !entry.active && prev != null
+          && now - entry.lastFired > REFIRE_COOLDOWN_MS
+          && now > Math.max(entry.snoozedUntil, snoozedUntil);
+        entry.active = holds;
+        state.set(key, entry);
+        if (!fire) continue;
+        entry.lastFired = now;
+        fired.push({
+          id: `${key}:${now}`,
+          key,
+          pairAddress: addr,
+          symbol: pair.baseToken?.symbol || "???",
+          imageUrl: pair.imageUrl,
+          ruleName: describeWatch(watch),
+          message: notificationText(watch, pair),
+          at: now,
+        });
+      }
+    }
+
+    // Forget pairs that left tracking
+    if (prev) {
+      for (const addr of Object.keys(prev)) {
+        if (pairs[addr]) continue;
+        for (const key of state.keys()) if (key.endsWith(`:${addr}`)) state.delete(key);
+      }
+    }
+
+    if (!fired.length) return;
+    setRecent((list) => [...[...fired].reverse(), ...list].slice(0, RECENT_LIMIT));
+    if (document.hidden || !document.hasFocus()) setUnread((n) => n + fired.length);
+    if (sound) playChime();
+    for (const item of fired) {
+      if (desktop && typeof Notification !== "undefined" && Notification.permission === "granted") {
+        // Same tag replaces rather than stacks a still-visible popup for the same condition
+        const n = new Notification(`${item.symbol}: ${item.ruleName}`, { body: item.message, tag: item.key, icon: item.imageUrl || undefined });
+        n.onclick = () => {
+          window.focus();
+          n.close();
+        };
+      }
+      onFireRef.current?.(item);
+    }
+  }, [pairs, loading]);
+
+  // Unread badge in the tab title, cleared when the user comes back
+  const baseTitle = useRef(null);
+  useEffect(() => {
+    baseTitle.current ??= document.title;
+    document.title = unread ? `(${unread}) ${baseTitle.current}` : baseTitle.current;
+  }, [unread]);
+
+  useEffect(() => {
+    const clear = () => {
+      if (!document.hidden) setUnread(0);
+    };
+    document.addEventListener("visibilitychange", clear);
+    window.addEventListener("focus", clear);
+    return () => {
+      document.removeEventListener("visibilitychange", clear);
+      window.removeEventListener("focus", clear);
+    };
+  }, []);
+
+  return {
+    watches,
+    settings,
+    permission,
+    recent,
+    unread,
+    addWatch: (watch) => setWatches([...watches, { ...watch, id: Date.now().toString(36) }]),
+    removeWatch: (id) => setWatches(watches.filter((w) => w.id !== id)),
+    updateSettings,
+    requestPermission: () => Notification.requestPermission().then(setPermission),
+    markRead: () => setUnread(0),
+    // Silence one condition for one pair
+    snooze: (key, ms) => {
+      const entry = conditionState.current.get(key);
+      if (entry) entry.snoozedUntil = Date.now() + ms;
+    },
+  };
+}
+
+/** Bell button with a dropdown to manage watch conditions and see recent notifications. */
+export default function NotificationCenter({ notifications, pairs }) {
+  const { watches, settings, permission, recent, unread } = notifications;
+  const [open, setOpen] = useState(false);
+  const [draft, setDraft] = useState({ type: "rsiBelow", tf: TIMEFRAMES[0], value: "30", pairAddress: "" });
+  const ref = useRef(null);
+
+  useEffect(() => {
+    if (!open) return;
+    const onDown = (e) => {
+      if (ref.current && !ref.current.contains(e.target)) setOpen(false);
+    };
+    document.addEventListener("mousedown", onDown);
+    return () => document.removeEventListener("mousedown", onDown);
+  }, [open]);
+
+  const toggle = () => {
+    if (!open) notifications.markRead();
+    setOpen((v) => !v);
+  };
+
+  const type = WATCH_TYPES[draft.type];
+  const value = parseFloat(draft.value);
+  const canAdd = !type.hasValue || Number.isFinite(value);
+
+  const add = (e) => {
+    e.preventDefault();
+    if (!canAdd) return;
+    notifications.addWatch({
+      type: draft.type,
+      ...(type.perTimeframe && { tf: draft.tf }),
+      ...(type.hasValue && { value }),
+      ...(draft.pairAddress && draft.type !== "newPair" && { pairAddress: draft.pairAddress }),
+    });
+  };
+
+  const symbolOf = (addr) => pairs[addr]?.baseToken?.symbol || `${addr.slice(0, 6)}...`;
+  const pairOptions = Object.values(pairs).sort((a, b) =>
+    (a.baseToken?.symbol || "").localeCompare(b.baseToken?.symbol || "")
+  );
+  const snoozed = settings.snoozedUntil > Date.now();
+
+  return (
+    <div className="column-chooser" ref={ref}>
+      <button className={`rsi-btn ${open || unread ? "active" : ""}`} onClick={toggle} title="Notifications">
+        &#128276;{unread ? ` ${unread}` : ""}
+      </button>
+      {open && (
+        <div className="column-panel notify-panel">
+          <div className="notify-section">
+            {permission === "unsupported" ? (
+              <span className="notify-dim">Desktop notifications are not supported in this browser</span>
+            ) : permission === "granted" ? (
+              <label>
+                <input type="checkbox" checked={settings.desktop} onChange={(e) => notifications.updateSettings({ desktop: e.target.checked })} />
+                Desktop popups
+              </label>
+            ) : permission === "denied" ? (
+              <span className="notify-dim">Desktop notifications are blocked for this site</span>
+            ) : (
+              <button className="rsi-btn" onClick={notifications.requestPermission}>Enable desktop popups</button>
+            )}
+            <label>
+              <input type="checkbox" checked={settings.sound} onChange={(e) => notifications.updateSettings({ sound: e.target.checked })} />
+              Sound
+            </label>
+            <button className="rsi-btn" onClick={playChime} title="Play the notification sound">Test</button>
+          </div>
+
+          <div className="notify-section">
+            {snoozed ? (
+              <>
+                <span className="notify-dim">Snoozed until {formatTime(settings.snoozedUntil)}</span>
+                <button className="rsi-btn" onClick={() => notifications.updateSettings({ snoozedUntil: 0 })}>Resume</button>
+              </>
+            ) : (
+              <>
+                <span className="notify-dim">Snooze all</span>
+                {SNOOZE_OPTIONS.map((o) => (
+                  <button key={o.label} className="rsi-btn" onClick={() => notifications.updateSettings({ snoozedUntil: Date.now() + o.ms })}>
+                    {o.label}
+                  </button>
+                ))}
+              </>
+            )}
+          </div>
+
+          <ul className="column-list">
+            {watches.map((w) => (
+              <li key={w.id}>
+                <span>
+                  {describeWatch(w)} <span className="notify-dim">{w.pairAddress ? symbolOf(w.pairAddress) : "all pairs"}</span>
+                </span>
+                <button className="chip-remove" onClick={() => notifications.removeWatch(w.id)} title="Remove condition">
+                  &#x2715;
+                </button>
+              </li>
+            ))}
+          </ul>
+
+          <form className="notify-add" onSubmit={add}>
+            <select className="search-box" value={draft.type} onChange={(e) => setDraft({ ...draft, type: e.target.value })}>
+              {Object.entries(WATCH_TYPES).map(([key, t]) => (
+                <option key={key} value={key}>{t.label}</option>
+              ))}
+            </select>
+            {type.perTimeframe && (
+              <select className="search-box" value={draft.tf} onChange={(e) => setDraft({ ...draft, tf: e.target.value })}>
+                {TIMEFRAMES.map((tf) => (
+                  <option key={tf} value={tf}>{tf}</option>
+                ))}
+              </select>
+            )}
+            {type.hasValue && (
+              <input className="search-box filter-bound" value={draft.value} onChange={(e) => setDraft({ ...draft, value: e.target.value })} />
+            )}
+            {draft.type !== "newPair" && (
+              <select className="search-box" value={draft.pairAddress} onChange={(e) => setDraft({ ...draft, pairAddress: e.target.value })}>
+                <option value="">All pairs</option>
+                {pairOptions.map((p) => (
+                  <option key={p.pairAddress} value={p.pairAddress}>{p.baseToken?.symbol || p.pairAddress}</option>
+                ))}
+              </select>
+            )}
+            <button className="rsi-btn" type="submit" disabled={!canAdd}>Add</button>
+          </form>
+
+          {recent.length > 0 && (
+            <ul className="column-list notify-recent">
+              {recent.map((n) => (
+                <li key={n.id}>
+                  <span>
+                    <span className="notify-symbol">{n.symbol}</span> {n.message}
+                    <span className="notify-dim"> {formatTime(n.at)}</span>
+                  </span>
+                  <button className="rsi-btn" onClick={() => notifications.snooze(n.key, 60 * 60_000)} title="Mute this condition for this pair for 1h">
+                    Snooze 1h
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
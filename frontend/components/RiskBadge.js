@@ -0,0 +1,19 @@
+/**
+ * Token safety result from the server's RPC checks: risk level with the
+ * reasons in the tooltip. Nothing is shown until the token has been checked.
+ */
+export default function RiskBadge({ safety }) {
+  if (!safety) return null;
+  const reasons = safety.flags.map((f) => f.detail);
+  if (safety.top10Pct != null && !safety.flags.some((f) => f.code === "holder_concentration")) {
+    reasons.push(`Top 10 holders own ${safety.top10Pct.toFixed(1)}%`);
+  }
+  if (safety.bondingCurve && !safety.bondingCurve.complete) {
+    reasons.push(`Bonding curve ${safety.bondingCurve.progressPct.toFixed(0)}% sold`);
+  }
+  return (
+    <span className={`risk-tag ${safety.risk}`} title={reasons.join("\n") || "Authorities revoked"}>
+      {safety.risk === "medium" ? "med" : safety.risk} risk
+    </span>
+  );
+}
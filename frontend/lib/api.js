@@ -0,0 +1,36 @@
+export const API_BASE = typeof window !== "undefined" ? "" : "";
+export const TOKEN_KEY = "qba:token";
+
+export function getToken() {
+  return typeof window !== "undefined" ? localStorage.getItem(TOKEN_KEY) : null;
+}
+
+// fetch() with the signed-in user's session token
+export function apiFetch(path, options = {}) {
+  const token = getToken();
+  const headers = { ...options.headers, ...(token ? { Authorization: `Bearer ${token}` } : {}) };
+  return fetch(`${API_BASE}${path}`, { ...options, headers });
+}
+
+// Download an authenticated response as a file, named by its Content-Disposition
+export async function downloadFile(path, fallbackName, options) {
+  const res = await apiFetch(path, options);
+  if (!res.ok) throw new Error((await res.json().catch(() => null))?.error || `HTTP ${res.status}`);
+  const name = res.headers.get("Content-Disposition")?.match(/filename="(.+)"/)?.[1] || fallbackName;
+  const url = URL.createObjectURL(await res.blob());
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = name;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
+// EventSource cannot send headers, so the session token goes in the query,
+// next to the last event id to resume from
+export function streamUrl(lastEventId) {
+  const params = new URLSearchParams();
+  if (lastEventId) params.set("lastEventId", lastEventId);
+  if (getToken()) params.set("token", getToken());
+  const query = params.toString();
+  return `${API_BASE}/api/stream${query ? `?${query}` : ""}`;
+}
@@ -0,0 +1,97 @@
+import { formatPrice, formatCompact, formatCount, formatPct, formatAge } from "./format";
+import { INDICATOR_COLUMNS, getRsi, getAthClass } from "./indicators";
+
+const signClass = (v) => (v >= 0 ? "positive" : "negative");
+
+export function pctFromAth(p) {
+  return p.ath != null && p.priceUsd != null ? ((p.priceUsd - p.ath) / p.ath) * 100 : null;
+}
+
+/**
+ * Every column the table can show. `value(pair, tf)` is what the column
+ * sorts by and, through `format` and `className`, what plain cells show;
+ * null sorts last. Token, RSI and Age cells are drawn by the page itself.
+ * `exportAs(tf)` names the /api/export fields for the column when they
+ * differ from its key.
+ */
+export const COLUMNS = [
+  {
+    key: "symbol", label: "Token", required: true,
+    value: (p) => p.baseToken?.symbol?.toLowerCase() || "",
+    exportAs: () => ["symbol", "name", "pairAddress"],
+  },
+  { key: "priceUsd", label: "Price", value: (p) => p.priceUsd, format: formatPrice },
+  { key: "marketCap", label: "MCap", value: (p) => p.marketCap, format: formatCompact },
+  { key: "liquidity", label: "Liquidity", value: (p) => p.liquidity, format: formatCompact },
+  { key: "volume24h", label: "24h Vol", value: (p) => p.volume24h, format: formatCompact },
+  { key: "priceChange5m", label: "5m%", title: "Price change over 5 minutes", value: (p) => p.priceChange5m, format: formatPct, className: signClass },
+  { key: "priceChange1h", label: "1h%", title: "Price change over 1 hour", value: (p) => p.priceChange1h, format: formatPct, className: signClass },
+  { key: "priceChange6h", label: "6h%", title: "Price change over 6 hours", value: (p) => p.priceChange6h, format: formatPct, className: signClass },
+  { key: "priceChange24h", label: "24h%", value: (p) => p.priceChange24h, format: formatPct, className: signClass },
+  { key: "buys1h", label: "Buys 1h", value: (p) => p.buys1h, format: formatCount },
+  { key: "sells1h", label: "Sells 1h", value: (p) => p.sells1h, format: formatCount },
+  { key: "buys24h", label: "Buys 24h", value: (p) => p.buys24h, format: formatCount },
+  { key: "sells24h", label: "Sells 24h", value: (p) => p.sells24h, format: formatCount },
+  {
+    key: "rsi", label: "RSI", title: "RSI(14) for the selected timeframe",
+    value: (p, tf) => getRsi(p, tf),
+    // rsi5m/rsi15m are always set; the registry may not run RSI on those timeframes
+    exportAs: (tf) => [tf === "5m" || tf === "15m" ? `rsi${tf}` : `indicators.${tf}.rsi`],
+  },
+  ...INDICATOR_COLUMNS.map((c) => ({
+    ...c,
+    value: (p, tf) => p.indicators?.[tf]?.[c.key],
+    exportAs: (tf) => [`indicators.${tf}.${c.key}`],
+  })),
+  { key: "athPct", label: "% from ATH", value: pctFromAth, format: formatPct, className: getAthClass },
+  { key: "ath", label: "ATH", value: (p) => p.ath, format: formatPrice },
+  { key: "age", label: "Age", value: (p) => p.pairCreatedAt, format: formatAge, exportAs: () => ["pairCreatedAt"] },
+];
+
+export const COLUMNS_BY_KEY = Object.fromEntries(COLUMNS.map((c) => [c.key, c]));
+
+export const DEFAULT_COLUMNS = [
+  "symbol", "priceUsd", "marketCap", "liquidity", "volume24h", "priceChange24h", "rsi", "athPct", "ath", "age",
+];
+
+/**
+ * Clean up a column list from the URL, storage or a saved layout: drop
+ * unknown keys and duplicates and keep the Token column first.
+ */
+export function normalizeColumns(keys) {
+  const known = [...new Set(keys || [])].filter((k) => COLUMNS_BY_KEY[k] && !COLUMNS_BY_KEY[k].required);
+  if (!known.length) return DEFAULT_COLUMNS;
+  return [...COLUMNS.filter((c) => c.required).map((c) => c.key), ...known];
+}
+
+/** Indicator columns on or off in one go, placed after RSI (or at the end). */
+export function toggleIndicatorColumns(keys) {
+  const indicatorKeys = INDICATOR_COLUMNS.map((c) => c.key);
+  if (keys.some((k) => indicatorKeys.includes(k))) return keys.filter((k) => !indicatorKeys.includes(k));
+  const at = keys.includes("rsi") ? keys.indexOf("rsi") + 1 : keys.length;
+  return [...keys.slice(0, at), ...indicatorKeys, ...keys.slice(at)];
+}
+
+// Pair fields shown on every row whatever the columns: status tag, star, risk badge
+const ROW_FIELDS = ["status", "watched", "safety"];
+
+// What a cell shows for a value; RSI and plain numbers at one decimal as drawn
+const shownValue = (col, v) => (col.format ? col.format(v) : typeof v === "number" ? v.toFixed(1) : v);
+
+/**
+ * Whether updating a pair from `prev` to `next` changes anything the row
+ * shows with these columns, so every-cycle churn (a price moving past the
+ * displayed precision, hidden indicators, timestamps) does not count.
+ */
+export function changesVisibleCell(prev, next, keys, tf) {
+  if (ROW_FIELDS.some((f) => JSON.stringify(prev[f]) !== JSON.stringify(next[f]))) return true;
+  return keys.some((k) => {
+    const col = COLUMNS_BY_KEY[k];
+    return col && shownValue(col, col.value(prev, tf)) !== shownValue(col, col.value(next, tf));
+  });
+}
+
+/** /api/export fields for the visible columns, in order. */
+export function exportFields(keys, tf) {
+  return keys.flatMap((k) => COLUMNS_BY_KEY[k].exportAs?.(tf) ?? [k]);
+}
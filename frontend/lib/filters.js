@@ -0,0 +1,89 @@
+import { TIMEFRAMES, getRsi } from "./indicators";
+import { pctFromAth } from "./columns";
+
+const RISK_SCORES = { low: 0, medium: 1, high: 2 };
+
+// Fields the filter builder can constrain. Rules are { field, tf?, min, max }
+// with the bounds kept as typed ("50k", "-10", "" for none); RSI rules also
+// name a timeframe.
+export const FILTER_FIELDS = [
+  { key: "rsi", label: "RSI", perTimeframe: true, value: (p, tf) => getRsi(p, tf) },
+  { key: "marketCap", label: "MCap $", value: (p) => p.marketCap },
+  { key: "liquidity", label: "Liquidity $", value: (p) => p.liquidity },
+  { key: "volume24h", label: "24h Vol $", value: (p) => p.volume24h },
+  { key: "priceChange24h", label: "24h %", value: (p) => p.priceChange24h },
+  { key: "athPct", label: "% from ATH", value: pctFromAth },
+  { key: "riskScore", label: "Risk (0-2)", value: (p) => RISK_SCORES[p.safety?.risk] ?? null },
+  { key: "top10Pct", label: "Top 10 %", value: (p) => p.safety?.top10Pct },
+  { key: "ageHours", label: "Age (h)", value: (p) => (p.pairCreatedAt ? (Date.now() - p.pairCreatedAt) / 3_600_000 : null) },
+];
+
+export const FILTER_FIELDS_BY_KEY = Object.fromEntries(FILTER_FIELDS.map((f) => [f.key, f]));
+
+export const EMPTY_FILTER = { mode: "and", rules: [] };
+
+export function newRule(field = "rsi") {
+  return { field, tf: FILTER_FIELDS_BY_KEY[field].perTimeframe ? TIMEFRAMES[0] : undefined, min: "", max: "" };
+}
+
+// Shipped examples; user presets with the same name take their place
+export const BUILTIN_PRESETS = [
+  {
+    name: "Oversold near ATH",
+    filter: { mode: "and", rules: [{ field: "rsi", tf: "5m", min: "", max: "30" }, { field: "athPct", min: "-15", max: "" }] },
+  },
+  {
+    name: "Fresh and liquid",
+    filter: { mode: "and", rules: [{ field: "ageHours", min: "", max: "6" }, { field: "liquidity", min: "50k", max: "" }] },
+  },
+  {
+    name: "Low risk",
+    filter: { mode: "and", rules: [{ field: "riskScore", min: "", max: "0" }, { field: "top10Pct", min: "", max: "25" }] },
+  },
+];
+
+const SUFFIXES = { k: 1e3, m: 1e6, b: 1e9 };
+
+/** Parse a bound typed by the user: "30", "-12.5", "50k", "1.2m". Null when empty or invalid. */
+export function parseBound(text) {
+  const m = String(text ?? "").trim().toLowerCase().match(/^(-?\d*\.?\d+)\s*([kmb])?$/);
+  return m ? parseFloat(m[1]) * (SUFFIXES[m[2]] || 1) : null;
+}
+
+// Rules with a known field and at least one valid bound, bounds parsed;
+// rules still being typed are ignored
+function activeRules(filter) {
+  return filter.rules
+    .map((rule) => ({ field: FILTER_FIELDS_BY_KEY[rule.field], tf: rule.tf, min: parseBound(rule.min), max: parseBound(rule.max) }))
+    .filter((r) => r.field && (r.min != null || r.max != null));
+}
+
+export function countActiveRules(filter) {
+  return activeRules(filter).length;
+}
+
+/** Compile a filter into a predicate over pairs, or null when no rule is active. */
+export function compileFilter(filter) {
+  const checks = activeRules(filter).map(({ field, tf, min, max }) => (pair) => {
+    const v = field.value(pair, tf);
+    return v != null && (min == null || v >= min) && (max == null || v <= max);
+  });
+  if (!checks.length) return null;
+  return filter.mode === "or" ? (p) => checks.some((check) => check(p)) : (p) => checks.every((check) => check(p));
+}
+
+const PRESETS_KEY = "qba:filterPresets";
+
+// User presets: [{ name, filter }], the same shape as the `savedFilters`
+// account setting they are synced to when signed in
+export function loadPresets() {
+  try {
+    return JSON.parse(localStorage.getItem(PRESETS_KEY)) || [];
+  } catch {
+    return [];
+  }
+}
+
+export function storePresets(presets) {
+  localStorage.setItem(PRESETS_KEY, JSON.stringify(presets));
+}
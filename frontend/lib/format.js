@@ -0,0 +1,46 @@
+export function formatPrice(v) {
+  if (v == null) return "-";
+  if (v < 0.00001) return `$${v.toExponential(2)}`;
+  if (v < 0.01) return `$${v.toFixed(6)}`;
+  if (v < 1) return `$${v.toFixed(4)}`;
+  return `$${v.toFixed(2)}`;
+}
+
+export function formatCompact(v) {
+  if (v == null) return "-";
+  if (v >= 1_000_000) return `$${(v / 1_000_000).toFixed(2)}M`;
+  if (v >= 1_000) return `$${(v / 1_000).toFixed(1)}K`;
+  return `$${v.toFixed(0)}`;
+}
+
+export function formatCount(v) {
+  if (v == null) return "-";
+  if (v >= 1_000_000) return `${(v / 1_000_000).toFixed(2)}M`;
+  if (v >= 10_000) return `${(v / 1_000).toFixed(1)}K`;
+  return String(v);
+}
+
+export function formatPct(v, digits = 1) {
+  if (v == null) return "-";
+  const sign = v >= 0 ? "+" : "";
+  return `${sign}${v.toFixed(digits)}%`;
+}
+
+export function formatAge(createdAt) {
+  if (!createdAt) return "-";
+  const ms = Date.now() - createdAt;
+  const hours = Math.floor(ms / 3600000);
+  if (hours < 1) return `${Math.floor(ms / 60000)}m`;
+  if (hours < 24) return `${hours}h`;
+  return `${Math.floor(hours / 24)}d ${hours % 24}h`;
+}
+
+export function formatTime(ms) {
+  if (!ms) return "-";
+  return new Date(ms).toLocaleString([], { month: "short", day: "numeric", hour: "2-digit", minute: "2-digit" });
+}
+
+export function truncAddr(addr) {
+  if (!addr) return "";
+  return `${addr.slice(0, 4)}...${addr.slice(-4)}`;
+}
@@ -0,0 +1,98 @@
+import { formatPct } from "./format";
+
+export const TIMEFRAMES = ["5m", "15m", "1h", "4h"];
+
+export function getRsi(pair, tf) {
+  return pair.indicators?.[tf]?.rsi ?? (tf === "5m" ? pair.rsi5m : tf === "15m" ? pair.rsi15m : null);
+}
+
+export function getRsiClass(rsi) {
+  if (rsi == null) return "neutral";
+  if (rsi >= 25 && rsi <= 55) return "rsi-good";
+  if (rsi > 55) return "overbought";
+  return "rsi-low";
+}
+
+export function getRsiBarColor(rsi) {
+  if (rsi == null) return "var(--border)";
+  if (rsi >= 25 && rsi <= 55) return "var(--accent)";
+  if (rsi > 55) return "var(--red)";
+  return "var(--text-dim)";
+}
+
+export function getAthClass(pctFromAth) {
+  if (pctFromAth == null) return "";
+  if (pctFromAth > -10) return "ath-near";
+  if (pctFromAth < -40) return "ath-far";
+  return "";
+}
+
+// Optional indicator columns, read from pair.indicators[timeframe]
+export const INDICATOR_COLUMNS = [
+  {
+    key: "emaSpreadPct",
+    label: "EMA 9/21",
+    title: "EMA(9) vs EMA(21) spread",
+    format: (v) => formatPct(v, 2),
+    className: (v) => (v >= 0 ? "positive" : "negative"),
+  },
+  {
+    key: "macdHistPct",
+    label: "MACD H",
+    title: "MACD histogram as % of price",
+    format: (v) => formatPct(v, 2),
+    className: (v) => (v >= 0 ? "positive" : "negative"),
+  },
+  {
+    key: "bbPctB",
+    label: "%B",
+    title: "Bollinger %B (0 = lower band, 100 = upper band)",
+    format: (v) => (v * 100).toFixed(0),
+    className: (v) => (v > 1 ? "negative" : v < 0 ? "positive" : ""),
+  },
+  {
+    key: "vwapDistPct",
+    label: "VWAP",
+    title: "Distance from VWAP",
+    format: (v) => formatPct(v),
+    className: (v) => (v >= 0 ? "positive" : "negative"),
+  },
+  {
+    key: "stochK",
+    label: "StochRSI",
+    title: "Stochastic RSI %K",
+    format: (v) => v.toFixed(0),
+    className: (v) => (v > 80 ? "negative" : v < 20 ? "positive" : ""),
+  },
+].map((c) => ({ ...c, indicator: true, sortKey: null }));
+
+/**
+ * RSI with Wilder's smoothing for every close, null until `period` changes
+ * are available. The only RSI math in the frontend: the table shows the
+ * server's values, and this mirrors server/src/rsi.js computeRSISeries
+ * (which computeRSI also uses), so chart and table agree.
+ * @param {number[]} closes - oldest first
+ * @returns {(number|null)[]} aligned to closes
+ */
+export function rsiSeries(closes, period = 14) {
+  const out = closes.map(() => null);
+  if (closes.length < period + 1) return out;
+  let avgGain = 0;
+  let avgLoss = 0;
+  for (let i = 1; i <= period; i++) {
+    const change = closes[i] - closes[i - 1];
+    if (change > 0) avgGain += change;
+    else avgLoss -= change;
+  }
+  avgGain /= period;
+  avgLoss /= period;
+  const toRsi = () => (avgLoss === 0 ? 100 : 100 - 100 / (1 + avgGain / avgLoss));
+  out[period] = toRsi();
+  for (let i = period + 1; i < closes.length; i++) {
+    const change = closes[i] - closes[i - 1];
+    avgGain = (avgGain * (period - 1) + Math.max(change, 0)) / period;
+    avgLoss = (avgLoss * (period - 1) + Math.max(-change, 0)) / period;
+    out[i] = toRsi();
+  }
+  return out;
+}
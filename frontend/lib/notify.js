@@ -0,0 +1,100 @@
+import { getRsi } from "./indicators";
+import { pctFromAth } from "./columns";
+import { formatPct } from "./format";
+
+// Browser-side watch conditions, checked against every pair update from the
+// SSE stream. A watch is { id, type, value?, tf?, pairAddress? };
+// without a pairAddress it applies to every tracked pair.
+export const WATCH_TYPES = {
+  rsiBelow: { label: "RSI below", hasValue: true, perTimeframe: true },
+  rsiAbove: { label: "RSI above", hasValue: true, perTimeframe: true },
+  athPctAbove: { label: "% from ATH above", hasValue: true },
+  newPair: { label: "New pair appears" },
+};
+
+// A condition that clears and holds again within this window does not notify twice
+export const REFIRE_COOLDOWN_MS = 15 * 60_000;
+
+const WATCHES_KEY = "qba:notifyWatches";
+const SETTINGS_KEY = "qba:notifySettings";
+
+export const DEFAULT_NOTIFY_SETTINGS = { desktop: true, sound: false, snoozedUntil: 0 };
+
+/** Whether the watch's condition holds for the pair; `isNew` is true for a just-added pair. */
+export function conditionHolds(watch, pair, isNew) {
+  if (watch.pairAddress && watch.pairAddress !== pair.pairAddress) return false;
+  switch (watch.type) {
+    case "rsiBelow": {
+      const rsi = getRsi(pair, watch.tf);
+      return rsi != null && rsi < watch.value;
+    }
+    case "rsiAbove": {
+      const rsi = getRsi(pair, watch.tf);
+      return rsi != null && rsi > watch.value;
+    }
+    case "athPctAbove": {
+      const pct = pctFromAth(pair);
+      return pct != null && pct > watch.value;
+    }
+    case "newPair":
+      return isNew;
+    default:
+      return false;
+  }
+}
+
+export function describeWatch(watch) {
+  const type = WATCH_TYPES[watch.type];
+  if (!type) return watch.type;
+  const label = type.perTimeframe ? type.label.replace("RSI", `RSI ${watch.tf}`) : type.label;
+  return type.hasValue ? `${label} ${watch.value}` : label;
+}
+
+export function notificationText(watch, pair) {
+  switch (watch.type) {
+    case "rsiBelow":
+    case "rsiAbove":
+      return `RSI ${watch.tf} at ${getRsi(pair, watch.tf).toFixed(1)}`;
+    case "athPctAbove":
+      return `${formatPct(pctFromAth(pair))} from ATH`;
+    case "newPair":
+      return "New pair tracked";
+    default:
+      return describeWatch(watch);
+  }
+}
+
+function load(key, fallback) {
+  try {
+    return JSON.parse(localStorage.getItem(key)) ?? fallback;
+  } catch {
+    return fallback;
+  }
+}
+
+export const loadWatches = () => load(WATCHES_KEY, []);
+export const storeWatches = (watches) => localStorage.setItem(WATCHES_KEY, JSON.stringify(watches));
+export const loadNotifySettings = () => ({ ...DEFAULT_NOTIFY_SETTINGS, ...load(SETTINGS_KEY, {}) });
+export const storeNotifySettings = (settings) => localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+
+let audioContext = null;
+
+/** A short two-tone chime through Web Audio, so no sound file is needed. */
+export function playChime() {
+  try {
+    audioContext ||= new AudioContext();
+    const now = audioContext.currentTime;
+    [880, 1320].forEach((freq, i) => {
+      const osc = audioContext.createOscillator();
+      const gain = audioContext.createGain();
+      osc.frequency.value = freq;
+      gain.gain.setValueAtTime(0.15, now + i * 0.12);
+      gain.gain.exponentialRampToValueAtTime(0.001, now + i * 0.12 + 0.2);
+      osc.connect(gain).connect(audioContext.destination);
+      osc.start(now + i * 0.12);
+      osc.stop(now + i * 0.12 + 0.2);
+    });
+  } catch {
+    // Audio blocked until the user interacts with the page
+  }
+}
@@ -0,0 +1,48 @@
+import { TIMEFRAMES } from "./indicators";
+import { COLUMNS_BY_KEY, DEFAULT_COLUMNS, normalizeColumns } from "./columns";
+
+// Table view state mirrored in the URL so a view can be bookmarked or shared:
+//   ?sort=liquidity&dir=asc&q=bonk&tf=1h&cols=symbol,priceUsd,rsi
+// Defaults are left out of the URL.
+export const DEFAULT_VIEW = { sort: "marketCap", dir: "desc", q: "", tf: "5m", columns: DEFAULT_COLUMNS };
+
+const LAYOUTS_KEY = "qba:layouts";
+
+export function readViewFromUrl(search = window.location.search) {
+  const params = new URLSearchParams(search);
+  const view = { ...DEFAULT_VIEW };
+  if (COLUMNS_BY_KEY[params.get("sort")]) view.sort = params.get("sort");
+  if (params.get("dir") === "asc" || params.get("dir") === "desc") view.dir = params.get("dir");
+  if (params.get("q")) view.q = params.get("q");
+  if (TIMEFRAMES.includes(params.get("tf"))) view.tf = params.get("tf");
+  if (params.get("cols")) view.columns = normalizeColumns(params.get("cols").split(","));
+  return view;
+}
+
+/** Replace (not push) the current history entry, keeping unrelated params. */
+export function writeViewToUrl(view) {
+  const params = new URLSearchParams(window.location.search);
+  const put = (key, value, fallback) => (value && value !== fallback ? params.set(key, value) : params.delete(key));
+  put("sort", view.sort, DEFAULT_VIEW.sort);
+  put("dir", view.dir, DEFAULT_VIEW.dir);
+  put("q", view.q, DEFAULT_VIEW.q);
+  put("tf", view.tf, DEFAULT_VIEW.tf);
+  put("cols", view.columns.join(","), DEFAULT_COLUMNS.join(","));
+  const query = params.toString();
+  const url = `${window.location.pathname}${query ? `?${query}` : ""}`;
+  if (url !== `${window.location.pathname}${window.location.search}`) window.history.replaceState(null, "", url);
+}
+
+// Named layouts: { [name]: { columns: [key] } }, the same shape as the
+// `columnLayouts` account setting they are synced to when signed in
+export function loadLayouts() {
+  try {
+    return JSON.parse(localStorage.getItem(LAYOUTS_KEY)) || {};
+  } catch {
+    return {};
+  }
+}
+
+export function storeLayouts(layouts) {
+  localStorage.setItem(LAYOUTS_KEY, JSON.stringify(layouts));
+}
@@ -0,0 +1,393 @@
+import { createHmac, randomUUID } from "node:crypto";
+import { lookup } from "node:dns/promises";
+import { isIP } from "node:net";
+import { getRedis, persistFailures } from "./redis.js";
+import { TIMEFRAMES } from "./resample.js";
+import { createLogger } from "./logger.js";
+
+const RULES_KEY = "qba:alerts:rules";
+const HISTORY_KEY = "qba:alerts:history";
+const HISTORY_LIMIT = 500;
+const DEFAULT_COOLDOWN_SEC = 15 * 60;
+
+const WEBHOOK_URL = process.env.ALERT_WEBHOOK_URL || "";
+const WEBHOOK_SECRET = process.env.ALERT_WEBHOOK_SECRET || "";
+
+let rules = new Map(); // id -> rule
+let history = []; // newest first
+let previous = null; // pairAddress -> metrics seen at the last evaluation
+const lastFired = new Map(); // `${ruleId}:${pairAddress}` -> ms, pruned by pruneLastFired
+
+const log = createLogger("alerts");
+
+const rsiOf = (m, tf) => m?.rsi?.[tf] ?? null;
+const fmt = (v) => (v == null ? "-" : +v.toPrecision(4));
+
+// --- Rule types ---
+// `check(prev, curr, params)` returns { message, value } when the rule fires.
+// `prev` is null for a pair that just entered tracking.
+
+const RULE_TYPES = {
+  rsi_cross_below: {
+    defaults: { timeframe: "5m", level: 30 },
+    check(prev, curr, { timeframe, level }) {
+      const before = rsiOf(prev, timeframe);
+      const now = rsiOf(curr, timeframe);
+      if (before == null || now == null || !(before >= level && now < level)) return null;
+      return { message: `RSI ${timeframe} crossed below ${level} (${now.toFixed(1)})`, value: now };
+    },
+  },
+  rsi_cross_above: {
+    defaults: { timeframe: "5m", level: 70 },
+    check(prev, curr, { timeframe, level }) {
+      const before = rsiOf(prev, timeframe);
+      const now = rsiOf(curr, timeframe);
+      if (before == null || now == null || !(before <= level && now > level)) return null;
+      return { message: `RSI ${timeframe} crossed above ${level} (${now.toFixed(1)})`, value: now };
+    },
+  },
+  near_ath: {
+    defaults: { withinPct: 5 },
+    check(prev, curr, { withinPct }) {
+      if (!(curr.priceUsd > 0) || !(curr.ath > 0)) return null;
+      const fromAth = ((curr.ath - curr.priceUsd) / curr.ath) * 100;
+      if (fromAth > withinPct) return null;
+      return { message: `Price ${fmt(curr.priceUsd)} within ${fromAth.toFixed(1)}% of ATH ${fmt(curr.ath)}`, value: fromAth };
+    },
+  },
+  liquidity_drop: {
+    defaults: { pct: 30 },
+    check(prev, curr, { pct }) {
+      if (!(prev?.liquidity > 0) || curr.liquidity == null) return null;
+      const drop = ((prev.liquidity - curr.liquidity) / prev.liquidity) * 100;
+      if (drop < pct) return null;
+      return { message: `Liquidity dropped ${drop.toFixed(1)}% in one cycle ($${Math.round(curr.liquidity)})`, value: drop };
+    },
+  },
+  new_pair: {
+    defaults: {},
+    check(prev) {
+      if (prev) return null;
+      return { message: "Entered tracking", value: null };
+    },
+  },
+};
+
+function metricsOf(p) {
+  const rsi = {};
+  for (const tf of Object.keys(TIMEFRAMES)) rsi[tf] = p.indicators?.[tf]?.rsi ?? null;
+  return { rsi, priceUsd: p.priceUsd, ath: p.ath, liquidity: p.liquidity };
+}
+
+// --- Validation ---
+
+function httpError(statusCode, message) {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+}
+
+const badRequest = (message) => httpError(400, message);
+
+// Loopback, private, link-local (cloud metadata) and unspecified addresses,
+// written as IP literals or localhost. Names that resolve to them are caught
+// when the webhook is delivered (see checkWebhookTarget).
+function isInternalHost(hostname) {
+  const host = hostname.replace(/^\[|\]$/g, "").replace(/\.$/, "").toLowerCase();
+  if (host === "localhost" || host.endsWith(".localhost")) return true;
+  if (isIP(host) === 4) {
+    const [a, b] = host.split(".").map(Number);
+    return a === 0 || a === 10 || a === 127 || (a === 169 && b === 254) || (a === 172 && b >= 16 && b <= 31) || (a === 192 && b === 168)
+      || (a === 100 && b >= 64 && b <= 127);
+  }
+  if (isIP(host) === 6) {
+    // IPv4-mapped, which URL normalizes to hex (::ffff:7f00:1)
+    const mapped = host.match(/^::ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})$/);
+    if (mapped) {
+      const [hi, lo] = mapped.slice(1).map((h) => parseInt(h, 16));
+      return isInternalHost([hi >> 8, hi & 255, lo >> 8, lo & 255].join("."));
+    }
+    if (host.startsWith("::ffff:")) return isInternalHost(host.slice(7));
+    return host === "::" || host === "::1" || /^f[cd]/.test(host) || /^fe[89ab]/.test(host);
+  }
+  return false;
+}
+
+function validateWebhookUrl(value) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch {
+    throw badRequest("webhookUrl must be an http(s) URL");
+  }
+  if (url.protocol !== "http:" && url.protocol !== "https:") throw badRequest("webhookUrl must be an http(s) URL");
+  if (isInternalHost(url.hostname)) throw badRequest("webhookUrl must not point at a private or loopback address");
+}
+
+/**
+ * @param {string|null} owner - owner of a new rule
+ * @param {string|null} caller - signed-in user making the change; setting a
+ *   webhookUrl requires one, since the server POSTs to it
+ */
+function normalizeRule(input, existing = null, owner = null, caller = null) {
+  const merged = { ...existing, ...input };
+  const type = RULE_TYPES[merged.type];
+  if (!type) throw badRequest(`type must be one of ${Object.keys(RULE_TYPES).join(", ")}`);
+
+  const params = { ...type.defaults, ...(existing?.type === merged.type ? existing.params : {}), ...input.params };
+  if (params.timeframe != null && !TIMEFRAMES[params.timeframe]) {
+    throw badRequest(`params.timeframe must be one of ${Object.keys(TIMEFRAMES).join(", ")}`);
+  }
+  for (const [k, v] of Object.entries(params)) {
+    if (k !== "timeframe" && typeof v !== "number") throw badRequest(`params.${k} must be a number`);
+  }
+
+  const cooldownSec = merged.cooldownSec ?? DEFAULT_COOLDOWN_SEC;
+  if (typeof cooldownSec !== "number" || cooldownSec < 0) throw badRequest("cooldownSec must be a non-negative number");
+  if (input.webhookUrl != null && input.webhookUrl !== "" && input.webhookUrl !== existing?.webhookUrl) {
+    if (!caller) throw httpError(403, "Sign in to set a webhookUrl");
+    validateWebhookUrl(input.webhookUrl);
+  }
+
+  return {
+    id: existing?.id || randomUUID(),
+    name: merged.name || merged.type,
+    type: merged.type,
+    params,
+    pairAddress: merged.pairAddress || null,
+    cooldownSec,
+    enabled: merged.enabled !== false,
+    webhookUrl: merged.webhookUrl || null,
+    owner: existing ? existing.owner ?? null : owner,
+    createdAt: existing?.createdAt || Date.now(),
+    updatedAt: Date.now(),
+  };
+}
+
+// --- Persistence ---
+
+export async function loadAlertRules() {
+  const r = getRedis();
+  if (!r) return;
+  try {
+    const [raw, hist] = await Promise.all([r.hgetall(RULES_KEY), r.lrange(HISTORY_KEY, 0, HISTORY_LIMIT - 1)]);
+    rules = new Map();
+    for (const v of Object.values(raw || {})) {
+      const rule = typeof v === "string" ? JSON.parse(v) : v;
+      rules.set(rule.id, rule);
+    }
+    history = (hist || []).map((v) => (typeof v === "string" ? JSON.parse(v) : v));
+    log.info(`Alerts: loaded ${rules.size} rules and ${history.length} history entries`);
+  } catch (err) {
+    log.error(`Alerts: load error: ${err.message}`);
+  }
+}
+
+async function saveRule(rule) {
+  const r = getRedis();
+  if (!r) return;
+  try {
+    await r.hset(RULES_KEY, { [rule.id]: JSON.stringify(rule) });
+  } catch (err) {
+    persistFailures.inc({ kind: "alerts" });
+    log.error(`Alerts: rule persist error: ${err.message}`);
+  }
+}
+
+async function recordHistory(fired) {
+  history = [...fired.slice().reverse(), ...history].slice(0, HISTORY_LIMIT);
+  const r = getRedis();
+  if (!r) return;
+  try {
+    await r.lpush(HISTORY_KEY, ...fired.map((a) => JSON.stringify(a)));
+    await r.ltrim(HISTORY_KEY, 0, HISTORY_LIMIT - 1);
+  } catch (err) {
+    persistFailures.inc({ kind: "alerts" });
+    log.error(`Alerts: history persist error: ${err.message}`);
+  }
+}
+
+// --- CRUD ---
+// Rules without an owner are shared. A user sees and edits shared rules and
+// their own; other users' rules behave as if they did not exist.
+
+const visibleTo = (owner) => (rule) => !rule?.owner || rule.owner === owner;
+
+/** @param {string|null} owner - username, or null for anonymous callers */
+export function listAlertRules(owner = null) {
+  return Array.from(rules.values()).filter(visibleTo(owner));
+}
+
+export function getAlertRule(id, owner = null) {
+  const rule = rules.get(id);
+  return rule && visibleTo(owner)(rule) ? rule : null;
+}
+
+/**
+ * @param {string|null} owner - owner of the new rule, null for a shared one
+ * @param {string|null} caller - signed-in user creating it (see normalizeRule)
+ */
+export async function createAlertRule(input, owner = null, caller = owner) {
+  const rule = normalizeRule(input, null, owner, caller);
+  rules.set(rule.id, rule);
+  await saveRule(rule);
+  return rule;
+}
+
+export async function updateAlertRule(id, input, owner = null) {
+  const existing = getAlertRule(id, owner);
+  if (!existing) return null;
+  const rule = normalizeRule(input, existing, null, owner);
+  rules.set(id, rule);
+  await saveRule(rule);
+  return rule;
+}
+
+export async function deleteAlertRule(id, owner = null) {
+  if (!getAlertRule(id, owner)) return false;
+  rules.delete(id);
+  for (const key of lastFired.keys()) {
+    if (key.startsWith(`${id}:`)) lastFired.delete(key);
+  }
+  const r = getRedis();
+  if (!r) return true;
+  try {
+    await r.hdel(RULES_KEY, id);
+  } catch (err) {
+    persistFailures.inc({ kind: "alerts" });
+    log.error(`Alerts: rule delete error: ${err.message}`);
+  }
+  return true;
+}
+
+/** Alert rules owned by a user, e.g. when the account is deleted. */
+export async function deleteAlertRulesOf(owner) {
+  for (const rule of listAlertRules(owner)) {
+    if (rule.owner === owner) await deleteAlertRule(rule.id, owner);
+  }
+}
+
+export function getAlertHistory({ limit = 100, pairAddress, owner = null } = {}) {
+  const list = history.filter((a) => visibleTo(owner)(a) && (!pairAddress || a.pairAddress === pairAddress));
+  return list.slice(0, limit);
+}
+
+// --- Delivery ---
+
+// A rule's webhook host is resolved before every delivery, since the name may
+// point at an internal address now even if it did not when the rule was saved.
+async function checkWebhookTarget(url) {
+  const { hostname } = new URL(url);
+  if (isInternalHost(hostname)) throw new Error("private or loopback address");
+  const host = hostname.replace(/^\[|\]$/g, "");
+  if (isIP(host)) return;
+  const addresses = await lookup(host, { all: true });
+  if (addresses.some((a) => isInternalHost(a.address))) throw new Error(`${host} resolves to a private or loopback address`);
+}
+
+/**
+ * POST an alert as JSON. The body is signed with HMAC-SHA256 over
+ * `${timestamp}.${body}` using ALERT_WEBHOOK_SECRET:
+ *   X-QBA-Timestamp: <ms>
+ *   X-QBA-Signature: sha256=<hex>
+ * Redirects are not followed. Rule webhooks are checked with
+ * checkWebhookTarget first; ALERT_WEBHOOK_URL is the operator's and trusted.
+ */
+async function deliverWebhook(url, alert) {
+  const body = JSON.stringify(alert);
+  const timestamp = String(Date.now());
+  const headers = { "Content-Type": "application/json", "X-QBA-Timestamp": timestamp };
+  if (WEBHOOK_SECRET) {
+    const sig = createHmac("sha256", WEBHOOK_SECRET).update(`${timestamp}.${body}`).digest("hex");
+    headers["X-QBA-Signature"] = `sha256=${sig}`;
+  }
+  try {
+    if (url !== WEBHOOK_URL) await checkWebhookTarget(url);
+    const res = await fetch(url, { method: "POST", headers, body, redirect: "manual", signal: AbortSignal.timeout(10000) });
+    if (res.status >= 300 && res.status < 400) throw new Error(`HTTP ${res.status} redirect not followed`);
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+  } catch (err) {
+    log.warn(`Alerts: webhook ${url} failed for ${alert.id}: ${err.message}`);
+  }
+}
+
+// --- Evaluation ---
+
+// Drop cooldowns that have run out, or whose rule or pair is gone
+function pruneLastFired(current, now) {
+  for (const [key, at] of lastFired) {
+    const sep = key.indexOf(":");
+    const rule = rules.get(key.slice(0, sep));
+    if (!rule || !current.has(key.slice(sep + 1)) || now - at >= rule.cooldownSec * 1000) lastFired.delete(key);
+  }
+}
+
+/**
+ * Evaluate every enabled rule against the current pairs, comparing with the
+ * metrics seen at the previous call. The first call only records a baseline,
+ * so a restart does not fire "new pair" for everything restored.
+ * Fired alerts are added to history and sent to webhooks.
+ * @param {Map<string, object>} pairs - tracked pairs by address
+ * @returns {object[]} alerts fired in this evaluation
+ */
+export function evaluateAlerts(pairs) {
+  const current = new Map();
+  for (const [addr, p] of pairs) current.set(addr, metricsOf(p));
+
+  if (!previous) {
+    previous = current;
+    return [];
+  }
+
+  const now = Date.now();
+  pruneLastFired(current, now);
+  const fired = [];
+  for (const rule of rules.values()) {
+    if (!rule.enabled) continue;
+    const check = RULE_TYPES[rule.type]?.check;
+    if (!check) continue;
+
+    for (const [addr, curr] of current) {
+      if (rule.pairAddress && rule.pairAddress !== addr) continue;
+      const key = `${rule.id}:${addr}`;
+      if (now - (lastFired.get(key) || 0) < rule.cooldownSec * 1000) continue;
+
+      const hit = check(previous.get(addr) || null, curr, rule.params);
+      if (!hit) continue;
+
+      lastFired.set(key, now);
+      const p = pairs.get(addr);
+      fired.push({
+        id: randomUUID(),
+        ruleId: rule.id,
+        ruleName: rule.name,
+        type: rule.type,
+        owner: rule.owner ?? null,
+        pairAddress: addr,
+        symbol: p.baseToken?.symbol || "???",
+        message: hit.message,
+        value: hit.value,
+        priceUsd: p.priceUsd,
+        firedAt: now,
+      });
+    }
+  }
+  previous = current;
+
+  if (fired.length) {
+    log.info(`Alerts: fired ${fired.length} (${fired.map((a) => `${a.symbol}:${a.type}`).join(", ")})`);
+    recordHistory(fired);
+    for (const alert of fired) {
+      const rule = rules.get(alert.ruleId);
+      // The operator's webhook only gets shared rules; personal alerts stay with their owner
+      for (const url of new Set([rule.webhookUrl, !rule.owner && WEBHOOK_URL].filter(Boolean))) {
+        deliverWebhook(url, alert);
+      }
+    }
+  }
+  return fired;
+}
+
+export const ALERT_RULE_TYPES = Object.fromEntries(
+  Object.entries(RULE_TYPES).map(([type, { defaults }]) => [type, { defaults }])
+);
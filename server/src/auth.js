@@ -0,0 +1,317 @@
+import { createHash, randomBytes, randomUUID, scrypt, timingSafeEqual } from "node:crypto";
+import { promisify } from "node:util";
+import { getRedis, persistFailures } from "./redis.js";
+import { TokenBucketLimiter } from "./rateLimiter.js";
+import { createLogger } from "./logger.js";
+
+const USERS_KEY = "qba:users"; // username -> user incl. password hash
+const SESSIONS_KEY = "qba:sessions"; // sha256(token) -> { username, expiresAt }
+const API_KEYS_KEY = "qba:apikeys"; // sha256(key) -> { id, username, name, createdAt }
+const SETTINGS_KEY = "qba:settings"; // username -> settings
+
+const SESSION_TTL_MS = parseInt(process.env.SESSION_TTL_HOURS || "168", 10) * 3_600_000;
+const MAGIC_TTL_MS = 15 * 60_000;
+const API_KEY_PREFIX = "qba_";
+const USERNAME_RE = /^[a-z0-9_.-]{2,32}$/;
+
+// Login attempts per client IP: a burst of 5, then one a minute
+const LOGIN_BURST = 5;
+const LOGIN_REFILL_PER_SEC = 1 / 60;
+const LOGIN_LIMITERS_MAX = 10_000;
+// Checked against when the user is unknown or has no password, so a miss
+// costs the same scrypt run as a wrong password
+const DUMMY_HASH = `${"0".repeat(32)}:${"0".repeat(128)}`;
+
+// Settings a user can store, with a check for each
+const SETTINGS_FIELDS = {
+  savedFilters: Array.isArray,
+  columnLayouts: (v) => v && typeof v === "object" && !Array.isArray(v),
+  preferences: (v) => v && typeof v === "object" && !Array.isArray(v),
+};
+const SETTINGS_MAX_BYTES = 64 * 1024;
+
+const scryptAsync = promisify(scrypt);
+
+let users = new Map();
+let sessions = new Map();
+let apiKeys = new Map();
+let settings = new Map();
+const magicTokens = new Map(); // sha256(token) -> { username, expiresAt }, memory only
+const loginLimiters = new Map(); // ip -> TokenBucketLimiter, memory only
+
+const log = createLogger("auth");
+
+function httpError(statusCode, message) {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+}
+
+const digest = (token) => createHash("sha256").update(token).digest("hex");
+const newToken = () => randomBytes(32).toString("base64url");
+
+async function hashPassword(password, salt = randomBytes(16).toString("hex")) {
+  const key = await scryptAsync(password, salt, 64);
+  return `${salt}:${key.toString("hex")}`;
+}
+
+async function verifyPassword(password, stored) {
+  const [salt, hex] = String(stored || "").split(":");
+  if (!salt || !hex) return false;
+  const key = await scryptAsync(password, salt, 64);
+  const expected = Buffer.from(hex, "hex");
+  // A truncated or hand-edited record would make timingSafeEqual throw
+  return expected.length === key.length && timingSafeEqual(key, expected);
+}
+
+/** User fields safe to return from the API. */
+function publicUser(user) {
+  return { username: user.username, createdAt: user.createdAt };
+}
+
+function parseHash(raw) {
+  const map = new Map();
+  for (const [k, v] of Object.entries(raw || {})) map.set(k, typeof v === "string" ? JSON.parse(v) : v);
+  return map;
+}
+
+async function save(key, field, value) {
+  const r = getRedis();
+  if (!r) return;
+  try {
+    await r.hset(key, { [field]: JSON.stringify(value) });
+  } catch (err) {
+    persistFailures.inc({ kind: "auth" });
+    log.error(`Auth: persist error on ${key}: ${err.message}`);
+  }
+}
+
+async function remove(key, field) {
+  const r = getRedis();
+  if (!r) return;
+  try {
+    await r.hdel(key, field);
+  } catch (err) {
+    log.error(`Auth: delete error on ${key}: ${err.message}`);
+  }
+}
+
+// --- Persistence ---
+
+export async function loadAuth() {
+  const r = getRedis();
+  if (!r) return;
+  try {
+    const [u, s, k, st] = await Promise.all([
+      r.hgetall(USERS_KEY), r.hgetall(SESSIONS_KEY), r.hgetall(API_KEYS_KEY), r.hgetall(SETTINGS_KEY),
+    ]);
+    users = parseHash(u);
+    sessions = parseHash(s);
+    apiKeys = parseHash(k);
+    settings = parseHash(st);
+
+    const now = Date.now();
+    const expired = Array.from(sessions).filter(([, v]) => v.expiresAt <= now || !users.has(v.username));
+    for (const [id] of expired) sessions.delete(id);
+    if (expired.length) await r.hdel(SESSIONS_KEY, ...expired.map(([id]) => id));
+
+    log.info(`Auth: loaded ${users.size} users, ${sessions.size} sessions, ${apiKeys.size} API keys`);
+  } catch (err) {
+    log.error(`Auth: load error: ${err.message}`);
+  }
+}
+
+// --- Users ---
+
+export function listUsers() {
+  return Array.from(users.values()).map(publicUser);
+}
+
+export async function createUser({ username, password } = {}) {
+  const name = String(username || "").toLowerCase();
+  if (!USERNAME_RE.test(name)) throw httpError(400, "username must be 2-32 of a-z, 0-9, _ . -");
+  if (users.has(name)) throw httpError(409, "User already exists");
+  if (password != null && (typeof password !== "string" || password.length < 8)) {
+    throw httpError(400, "password must be at least 8 characters");
+  }
+  // Without a password the user can only sign in with a magic token
+  const user = {
+    username: name,
+    passwordHash: password ? await hashPassword(password) : null,
+    createdAt: Date.now(),
+  };
+  users.set(name, user);
+  await save(USERS_KEY, name, user);
+  log.info(`Auth: created user ${name}`);
+  return publicUser(user);
+}
+
+export async function deleteUser(username) {
+  if (!users.delete(username)) return false;
+  await remove(USERS_KEY, username);
+  for (const [id, s] of sessions) {
+    if (s.username === username) {
+      sessions.delete(id);
+      await remove(SESSIONS_KEY, id);
+    }
+  }
+  for (const [id, k] of apiKeys) {
+    if (k.username === username) {
+      apiKeys.delete(id);
+      await remove(API_KEYS_KEY, id);
+    }
+  }
+  settings.delete(username);
+  await remove(SETTINGS_KEY, username);
+  log.info(`Auth: deleted user ${username}`);
+  return true;
+}
+
+// --- Sessions ---
+
+async function startSession(username) {
+  const token = newToken();
+  const session = { username, expiresAt: Date.now() + SESSION_TTL_MS };
+  sessions.set(digest(token), session);
+  await save(SESSIONS_KEY, digest(token), session);
+  return { token, expiresAt: session.expiresAt, user: publicUser(users.get(username)) };
+}
+
+function takeLoginAttempt(ip) {
+  if (loginLimiters.size >= LOGIN_LIMITERS_MAX) {
+    // Full buckets hold nothing worth keeping
+    for (const [key, limiter] of loginLimiters) {
+      if (limiter.msUntilToken() === 0 && limiter.tokens >= LOGIN_BURST) loginLimiters.delete(key);
+    }
+  }
+  let limiter = loginLimiters.get(ip);
+  if (!limiter) {
+    limiter = new TokenBucketLimiter(LOGIN_BURST, LOGIN_REFILL_PER_SEC, "login");
+    loginLimiters.set(ip, limiter);
+  }
+  if (limiter.tryAcquire()) return;
+  const err = httpError(429, "Too many login attempts, try again later");
+  err.retryAfterMs = limiter.msUntilToken();
+  throw err;
+}
+
+/**
+ * @param {{ ip?: string }} client - attempts are limited per `ip` when given
+ */
+export async function login({ username, password } = {}, { ip } = {}) {
+  if (ip) takeLoginAttempt(ip);
+  const user = users.get(String(username || "").toLowerCase());
+  if (typeof password !== "string") throw httpError(401, "Invalid username or password");
+  const ok = await verifyPassword(password, user?.passwordHash || DUMMY_HASH);
+  if (!ok || !user?.passwordHash) throw httpError(401, "Invalid username or password");
+  return startSession(user.username);
+}
+
+export async function logout(token) {
+  const id = digest(token);
+  if (!sessions.delete(id)) return false;
+  await remove(SESSIONS_KEY, id);
+  return true;
+}
+
+/** One-time login token for a user, valid for 15 minutes. */
+export function createMagicToken(username) {
+  if (!users.has(username)) return null;
+  const now = Date.now();
+  // Tokens are only deleted on redemption otherwise
+  for (const [id, entry] of magicTokens) {
+    if (entry.expiresAt <= now) magicTokens.delete(id);
+  }
+  const token = newToken();
+  const expiresAt = now + MAGIC_TTL_MS;
+  magicTokens.set(digest(token), { username, expiresAt });
+  return { token, expiresAt };
+}
+
+export async function redeemMagicToken(token) {
+  const id = digest(String(token || ""));
+  const entry = magicTokens.get(id);
+  magicTokens.delete(id);
+  if (!entry || entry.expiresAt <= Date.now() || !users.has(entry.username)) {
+    throw httpError(401, "Invalid or expired token");
+  }
+  return startSession(entry.username);
+}
+
+// --- API keys ---
+
+export function listApiKeys(username) {
+  return Array.from(apiKeys.values())
+    .filter((k) => k.username === username)
+    .map(({ id, name, createdAt }) => ({ id, name, createdAt }));
+}
+
+/** The key itself is only returned here; only its hash is stored. */
+export async function createApiKey(username, { name } = {}) {
+  const key = `${API_KEY_PREFIX}${newToken()}`;
+  const entry = { id: randomUUID(), username, name: name || "API key", createdAt: Date.now() };
+  apiKeys.set(digest(key), entry);
+  await save(API_KEYS_KEY, digest(key), entry);
+  return { id: entry.id, name: entry.name, createdAt: entry.createdAt, key };
+}
+
+export async function deleteApiKey(username, id) {
+  for (const [hash, k] of apiKeys) {
+    if (k.id === id && k.username === username) {
+      apiKeys.delete(hash);
+      await remove(API_KEYS_KEY, hash);
+      return true;
+    }
+  }
+  return false;
+}
+
+// --- Resolving credentials ---
+
+/**
+ * The user behind a session token or API key, or null.
+ * @param {string} credential - value of `Authorization: Bearer ...`, `X-API-Key` or `?token=`
+ */
+export function authenticate(credential) {
+  // Repeated query parameters (?token=a&token=b) arrive as arrays
+  if (typeof credential !== "string" || !credential) return null;
+  const id = digest(credential);
+  if (credential.startsWith(API_KEY_PREFIX)) {
+    const key = apiKeys.get(id);
+    return key && users.has(key.username) ? { ...publicUser(users.get(key.username)), via: "apiKey" } : null;
+  }
+  const session = sessions.get(id);
+  if (!session) return null;
+  if (session.expiresAt <= Date.now()) {
+    sessions.delete(id);
+    remove(SESSIONS_KEY, id);
+    return null;
+  }
+  return users.has(session.username) ? { ...publicUser(users.get(session.username)), via: "session" } : null;
+}
+
+// --- Per-user settings ---
+
+export function getSettings(username) {
+  return settings.get(username) || {};
+}
+
+/**
+ * Merge top-level settings fields (savedFilters, columnLayouts, preferences).
+ * A field set to null is removed.
+ */
+export async function updateSettings(username, patch) {
+  if (!patch || typeof patch !== "object" || Array.isArray(patch)) throw httpError(400, "Body must be an object");
+  const next = { ...getSettings(username) };
+  for (const [k, v] of Object.entries(patch)) {
+    const valid = SETTINGS_FIELDS[k];
+    if (!valid) throw httpError(400, `Unknown setting "${k}"; allowed: ${Object.keys(SETTINGS_FIELDS).join(", ")}`);
+    if (v === null) delete next[k];
+    else if (!valid(v)) throw httpError(400, `Invalid value for "${k}"`);
+    else next[k] = v;
+  }
+  if (JSON.stringify(next).length > SETTINGS_MAX_BYTES) throw httpError(413, "Settings too large");
+  settings.set(username, next);
+  await save(SETTINGS_KEY, username, next);
+  return next;
+}
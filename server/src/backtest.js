@@ -0,0 +1,350 @@
+// Backtest RSI / ATH-distance entries against stored candles.
+//
+//   node src/backtest.js [options]
+//
+// Candles come from Redis when UPSTASH_REDIS_* is set, else from the offline
+// fixtures (FIXTURES_DIR or server/fixtures). Run with --help for options.
+import { readFile, readdir } from "node:fs/promises";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { parseArgs } from "node:util";
+import { computeRSISeries } from "./rsi.js";
+import { resample, TIMEFRAMES } from "./resample.js";
+import { parseOhlcvResponse } from "./providers/geckoterminal.js";
+import { restoreState, restoreCandles } from "./redis.js";
+import { CANDLE_RETENTION } from "./candleStore.js";
+import { logToStderr } from "./logger.js";
+
+export const DEFAULT_STRATEGY = {
+  timeframe: "5m",
+  rsiPeriod: 14,
+  // Enter at a bar close when RSI is inside [rsiMin, rsiMax] (the table's "good zone")
+  // and, if set, price is between minFromAthPct and maxFromAthPct below the running ATH
+  entry: { rsiMin: 25, rsiMax: 55, minFromAthPct: null, maxFromAthPct: null },
+  // Exit on whichever comes first; null disables a rule. A bar touching both
+  // the stop and the target counts as a stop.
+  exit: { takeProfitPct: 20, stopLossPct: 10, rsiAbove: 70, maxBars: null },
+  // Charged on entry and on exit
+  feePct: 0,
+};
+
+function badRequest(message) {
+  const err = new Error(message);
+  err.statusCode = 400;
+  return err;
+}
+
+/**
+ * Merge a partial strategy over the defaults and validate it.
+ * Throws errors with statusCode 400 on bad input.
+ */
+export function normalizeStrategy(input = {}) {
+  const s = {
+    ...DEFAULT_STRATEGY,
+    ...input,
+    entry: { ...DEFAULT_STRATEGY.entry, ...input.entry },
+    exit: { ...DEFAULT_STRATEGY.exit, ...input.exit },
+  };
+  if (!TIMEFRAMES[s.timeframe]) throw badRequest(`timeframe must be one of ${Object.keys(TIMEFRAMES).join(", ")}`);
+  if (!Number.isInteger(s.rsiPeriod) || s.rsiPeriod < 2) throw badRequest("rsiPeriod must be an integer ≥ 2");
+  const numbers = { ...prefix("entry", s.entry), ...prefix("exit", s.exit), feePct: s.feePct };
+  for (const [k, v] of Object.entries(numbers)) {
+    if (v != null && (typeof v !== "number" || !Number.isFinite(v) || v < 0)) {
+      throw badRequest(`${k} must be a non-negative number or null`);
+    }
+  }
+  if (s.entry.rsiMin != null && s.entry.rsiMax != null && s.entry.rsiMin > s.entry.rsiMax) {
+    throw badRequest("entry.rsiMin must not exceed entry.rsiMax");
+  }
+  return s;
+}
+
+function prefix(name, obj) {
+  return Object.fromEntries(Object.entries(obj).map(([k, v]) => [`${name}.${k}`, v]));
+}
+
+/**
+ * Replay one pair's 5m candles through the strategy, one position at a time.
+ * @param {object[]} candles - 5m candles { t, o, h, l, c, v }, oldest first
+ * @param {object} strategy - normalized strategy
+ * @returns {object[]} closed trades
+ */
+export function backtestCandles(candles, strategy) {
+  const { rsiPeriod, entry, exit, feePct } = strategy;
+  const bars = resample(candles, strategy.timeframe);
+  // rsi[i] is RSI at bars[i + rsiPeriod].c, the same value computeRSI gives for that prefix
+  const rsi = computeRSISeries(bars.map((b) => b.c), rsiPeriod);
+  const rsiAt = (i) => (i >= rsiPeriod ? rsi[i - rsiPeriod] : null);
+
+  const trades = [];
+  let ath = 0;
+  let open = null;
+
+  const close = (i, price, reason) => {
+    const gross = price / open.entryPrice;
+    const net = gross * (1 - feePct / 100) / (1 + feePct / 100);
+    trades.push({
+      ...open,
+      exitTime: bars[i].t,
+      exitPrice: price,
+      exitReason: reason,
+      exitRsi: rsiAt(i),
+      bars: i - open.entryIndex,
+      returnPct: (net - 1) * 100,
+    });
+    open = null;
+  };
+
+  for (let i = 0; i < bars.length; i++) {
+    const bar = bars[i];
+    const r = rsiAt(i);
+
+    if (open) {
+      const stop = exit.stopLossPct != null ? open.entryPrice * (1 - exit.stopLossPct / 100) : null;
+      const target = exit.takeProfitPct != null ? open.entryPrice * (1 + exit.takeProfitPct / 100) : null;
+      if (stop != null && bar.l <= stop) close(i, Math.min(stop, bar.o), "stop_loss");
+      else if (target != null && bar.h >= target) close(i, Math.max(target, bar.o), "take_profit");
+      else if (exit.rsiAbove != null && r != null && r >= exit.rsiAbove) close(i, bar.c, "rsi_exit");
+      else if (exit.maxBars != null && i - open.entryIndex >= exit.maxBars) close(i, bar.c, "max_bars");
+    }
+
+    // ATH is known up to and including this bar when deciding at its close
+    ath = Math.max(ath, bar.h);
+
+    if (!open && r != null && i < bars.length - 1) {
+      const fromAth = ath > 0 ? ((ath - bar.c) / ath) * 100 : null;
+      const ok =
+        (entry.rsiMin == null || r >= entry.rsiMin) &&
+        (entry.rsiMax == null || r <= entry.rsiMax) &&
+        (entry.minFromAthPct == null || fromAth >= entry.minFromAthPct) &&
+        (entry.maxFromAthPct == null || fromAth <= entry.maxFromAthPct);
+      if (ok) {
+        open = {
+          entryIndex: i,
+          entryTime: bar.t,
+          entryPrice: bar.c,
+          entryRsi: r,
+          entryFromAthPct: fromAth,
+        };
+      }
+    }
+  }
+  if (open) close(bars.length - 1, bars[bars.length - 1].c, "end_of_data");
+
+  return trades.map(({ entryIndex, ...t }) => t);
+}
+
+/**
+ * Win rate, average and compounded return, and max drawdown of the equity
+ * curve from compounding trade returns in exit order.
+ */
+export function summarize(trades) {
+  const sorted = trades.slice().sort((a, b) => a.exitTime - b.exitTime);
+  let equity = 1;
+  let peak = 1;
+  let maxDrawdown = 0;
+  for (const t of sorted) {
+    equity *= 1 + t.returnPct / 100;
+    peak = Math.max(peak, equity);
+    maxDrawdown = Math.max(maxDrawdown, (peak - equity) / peak);
+  }
+  const wins = trades.filter((t) => t.returnPct > 0).length;
+  const byReason = {};
+  for (const t of trades) byReason[t.exitReason] = (byReason[t.exitReason] || 0) + 1;
+  return {
+    trades: trades.length,
+    wins,
+    losses: trades.length - wins,
+    winRate: trades.length ? wins / trades.length : null,
+    avgReturnPct: trades.length ? trades.reduce((a, t) => a + t.returnPct, 0) / trades.length : null,
+    totalReturnPct: (equity - 1) * 100,
+    maxDrawdownPct: maxDrawdown * 100,
+    exitReasons: byReason,
+  };
+}
+
+/**
+ * Backtest a strategy over several pairs.
+ * @param {Map<string, object[]>} candlesByPair - pairAddress -> 5m candles
+ * @param {object} input - partial strategy, merged over DEFAULT_STRATEGY
+ */
+export function runBacktest(candlesByPair, input = {}) {
+  const strategy = normalizeStrategy(input);
+  const pairs = [];
+  const trades = [];
+  for (const [pairAddress, candles] of candlesByPair) {
+    const pairTrades = backtestCandles(candles, strategy).map((t) => ({ pairAddress, ...t }));
+    trades.push(...pairTrades);
+    pairs.push({ pairAddress, candles: candles.length, ...summarize(pairTrades) });
+  }
+  trades.sort((a, b) => a.entryTime - b.entryTime);
+  return { strategy, summary: summarize(trades), pairs, trades };
+}
+
+// --- CLI ---
+
+const DEFAULT_FIXTURES_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "../fixtures");
+
+async function loadFixtureCandles(dir, addrs) {
+  const files = (await readdir(path.join(dir, "ohlcv"))).filter((f) => f.endsWith(".json"));
+  const out = new Map();
+  for (const file of files) {
+    const addr = file.replace(/\.json$/, "");
+    if (addrs.length && !addrs.includes(addr)) continue;
+    out.set(addr, parseOhlcvResponse(JSON.parse(await readFile(path.join(dir, "ohlcv", file), "utf8"))));
+  }
+  return out;
+}
+
+async function loadRedisCandles(addrs) {
+  const targets = addrs.length ? addrs : Array.from((await restoreState()).keys());
+  return restoreCandles(targets, CANDLE_RETENTION);
+}
+
+const USAGE = `Usage: node src/backtest.js [options]
+
+  --pair <address>       Pair to test (repeatable); default: all available
+  --source <redis|fixtures>  Candle source (default: redis if configured)
+  --fixtures <dir>       Fixtures directory (default: server/fixtures)
+  --tf <5m|15m|1h|4h>    Timeframe (default: 5m)
+  --rsi-period <n>       RSI period (default: 14)
+  --entry-rsi <min-max>  Entry RSI band (default: 25-55); "30" or "30-" sets only
+                         the minimum, "-40" only the maximum
+  --ath-within <pct>     Only enter within pct below the running ATH
+  --ath-beyond <pct>     Only enter at least pct below the running ATH
+  --tp <pct>             Take profit (default: 20; "off" to disable)
+  --sl <pct>             Stop loss (default: 10; "off" to disable)
+  --exit-rsi <n>         Exit when RSI reaches n (default: 70; "off" to disable)
+  --max-bars <n>         Exit after n bars
+  --fee <pct>            Fee per side (default: 0)
+  --trades               Print every trade
+  --json                 Print the full result as JSON
+`;
+
+function cliNumber(v) {
+  if (v == null) return undefined;
+  if (v === "off") return null;
+  const n = Number(v);
+  if (!Number.isFinite(n)) throw badRequest(`Not a number: ${v}`);
+  return n;
+}
+
+// "25-55", "30" or "30-" (minimum only), "-40" (maximum only)
+function parseRsiBand(text) {
+  const m = String(text).match(/^\s*(\d*\.?\d+)?\s*(-)?\s*(\d*\.?\d+)?\s*$/);
+  if (!m || (m[1] == null && m[3] == null) || (m[3] != null && !m[2])) {
+    throw badRequest(`--entry-rsi must look like 25-55, 30- or -40, got "${text}"`);
+  }
+  const band = {};
+  if (m[1] != null) band.rsiMin = Number(m[1]);
+  if (m[3] != null) band.rsiMax = Number(m[3]);
+  return band;
+}
+
+const SOURCES = ["redis", "fixtures"];
+
+/** Candle source from parsed CLI flags; without --source, redis when configured. */
+export function sourceFromArgs(values, hasRedis) {
+  if (values.source == null) return hasRedis ? "redis" : "fixtures";
+  if (!SOURCES.includes(values.source)) {
+    throw badRequest(`--source must be one of ${SOURCES.join(", ")}, got "${values.source}"`);
+  }
+  return values.source;
+}
+
+/** Strategy overrides from parsed CLI flags; bounds not given keep their defaults. */
+export function strategyFromArgs(values) {
+  const strategy = { entry: {}, exit: {} };
+  if (values.tf) strategy.timeframe = values.tf;
+  if (values["rsi-period"]) strategy.rsiPeriod = cliNumber(values["rsi-period"]);
+  if (values["entry-rsi"]) Object.assign(strategy.entry, parseRsiBand(values["entry-rsi"]));
+  const set = (obj, key, flag) => {
+    const v = cliNumber(values[flag]);
+    if (v !== undefined) obj[key] = v;
+  };
+  set(strategy.entry, "maxFromAthPct", "ath-within");
+  set(strategy.entry, "minFromAthPct", "ath-beyond");
+  set(strategy.exit, "takeProfitPct", "tp");
+  set(strategy.exit, "stopLossPct", "sl");
+  set(strategy.exit, "rsiAbove", "exit-rsi");
+  set(strategy.exit, "maxBars", "max-bars");
+  set(strategy, "feePct", "fee");
+  return strategy;
+}
+
+const fmtPct = (v) => (v == null ? "-" : `${v >= 0 ? "+" : ""}${v.toFixed(2)}%`);
+const fmtTime = (t) => new Date(t * 1000).toISOString().slice(0, 16).replace("T", " ");
+
+function printReport({ strategy, summary, pairs, trades }, showTrades) {
+  console.log(`Strategy: ${JSON.stringify(strategy)}`);
+  console.log("");
+  for (const p of pairs) {
+    console.log(
+      `${p.pairAddress.slice(0, 8)}...  candles=${p.candles}  trades=${p.trades}  ` +
+      `win=${p.winRate == null ? "-" : (p.winRate * 100).toFixed(0) + "%"}  avg=${fmtPct(p.avgReturnPct)}  ` +
+      `total=${fmtPct(p.totalReturnPct)}  maxDD=${p.maxDrawdownPct.toFixed(2)}%`
+    );
+  }
+  if (showTrades) {
+    console.log("");
+    for (const t of trades) {
+      console.log(
+        `${t.pairAddress.slice(0, 8)}...  ${fmtTime(t.entryTime)} -> ${fmtTime(t.exitTime)}  ` +
+        `rsi=${t.entryRsi.toFixed(1)}  ${t.exitReason.padEnd(11)}  ${fmtPct(t.returnPct)}`
+      );
+    }
+  }
+  console.log("");
+  console.log(
+    `Total: ${summary.trades} trades, win rate ${summary.winRate == null ? "-" : (summary.winRate * 100).toFixed(1) + "%"}, ` +
+    `avg ${fmtPct(summary.avgReturnPct)}, compounded ${fmtPct(summary.totalReturnPct)}, max drawdown ${summary.maxDrawdownPct.toFixed(2)}%`
+  );
+}
+
+async function main() {
+  const { values } = parseArgs({
+    options: {
+      pair: { type: "string", multiple: true, default: [] },
+      source: { type: "string" },
+      fixtures: { type: "string" },
+      tf: { type: "string" },
+      "rsi-period": { type: "string" },
+      "entry-rsi": { type: "string" },
+      "ath-within": { type: "string" },
+      "ath-beyond": { type: "string" },
+      tp: { type: "string" },
+      sl: { type: "string" },
+      "exit-rsi": { type: "string" },
+      "max-bars": { type: "string" },
+      fee: { type: "string" },
+      trades: { type: "boolean", default: false },
+      json: { type: "boolean", default: false },
+      help: { type: "boolean", default: false },
+    },
+  });
+  if (values.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  // Keep stdout for the report; the Redis loaders log progress
+  logToStderr();
+
+  const hasRedis = process.env.UPSTASH_REDIS_URL && process.env.UPSTASH_REDIS_TOKEN;
+  const source = sourceFromArgs(values, hasRedis);
+  const candles = source === "redis"
+    ? await loadRedisCandles(values.pair)
+    : await loadFixtureCandles(values.fixtures || process.env.FIXTURES_DIR || DEFAULT_FIXTURES_DIR, values.pair);
+  if (!candles.size) throw new Error(`No candles found (source: ${source})`);
+
+  const result = runBacktest(candles, strategyFromArgs(values));
+  if (values.json) console.log(JSON.stringify(result, null, 2));
+  else printReport(result, values.trades);
+}
+
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  main().catch((err) => {
+    console.error(`backtest: ${err.message}`);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,134 @@
+// Per-pair 5m candle history. Candles are keyed by their open time `t`
+// (unix seconds), so re-fetching an overlapping window only replaces the
+// candles it covers and history older than the provider's window is kept.
+
+const RETENTION_HOURS = parseInt(process.env.CANDLE_RETENTION_HOURS || "168", 10);
+const MAX_PER_PAIR = parseInt(process.env.CANDLE_MAX_PER_PAIR || "2016", 10);
+
+export const CANDLE_RETENTION = { seconds: RETENTION_HOURS * 3600, maxPerPair: MAX_PER_PAIR };
+
+const series = new Map(); // pairAddress -> Map<t, candle>
+const dirty = new Map(); // pairAddress -> Map<t, candle> not yet persisted
+
+export function retentionCutoff() {
+  return Math.floor(Date.now() / 1000) - RETENTION_HOURS * 3600;
+}
+
+function sorted(bucket) {
+  return Array.from(bucket.values()).sort((a, b) => a.t - b.t);
+}
+
+function trim(addr, bucket) {
+  const cutoff = retentionCutoff();
+  for (const t of bucket.keys()) {
+    if (t < cutoff) bucket.delete(t);
+  }
+  if (bucket.size > MAX_PER_PAIR) {
+    const keys = Array.from(bucket.keys()).sort((a, b) => a - b);
+    for (const t of keys.slice(0, bucket.size - MAX_PER_PAIR)) bucket.delete(t);
+  }
+  if (!bucket.size) series.delete(addr);
+}
+
+/**
+ * Merge candles into a pair's history, replacing any with the same `t`.
+ * @param {string} addr
+ * @param {{ t: number, o: number, h: number, l: number, c: number, v: number }[]} candles
+ * @param {{ persist?: boolean }} options - `persist: false` for candles that came from Redis
+ * @returns {number} how many candles were new or changed
+ */
+export function appendCandles(addr, candles, { persist = true } = {}) {
+  if (!candles?.length) return 0;
+  let bucket = series.get(addr);
+  if (!bucket) {
+    bucket = new Map();
+    series.set(addr, bucket);
+  }
+
+  let changed = 0;
+  for (const c of candles) {
+    const prev = bucket.get(c.t);
+    if (prev && prev.o === c.o && prev.h === c.h && prev.l === c.l && prev.c === c.c && prev.v === c.v) continue;
+    bucket.set(c.t, c);
+    changed++;
+    if (persist) {
+      if (!dirty.has(addr)) dirty.set(addr, new Map());
+      dirty.get(addr).set(c.t, c);
+    }
+  }
+  trim(addr, bucket);
+  return changed;
+}
+
+/**
+ * Fold a live price into the still-forming 5m candle, opening it at the
+ * previous close if the provider has not returned it yet. Not persisted:
+ * the next OHLCV refresh replaces it with the provider's own candle.
+ * Pairs without any history are left alone until their first OHLCV fetch.
+ */
+export function updateLiveCandle(addr, price, nowMs = Date.now()) {
+  const bucket = series.get(addr);
+  if (!bucket || !(price > 0)) return;
+  const t = Math.floor(nowMs / 1000 / 300) * 300;
+  const cur = bucket.get(t);
+  if (cur) {
+    bucket.set(t, { ...cur, h: Math.max(cur.h, price), l: Math.min(cur.l, price), c: price });
+    return;
+  }
+  const lastT = Math.max(...bucket.keys());
+  if (lastT > t) return;
+  const open = bucket.get(lastT).c;
+  bucket.set(t, { t, o: open, h: Math.max(open, price), l: Math.min(open, price), c: price, v: 0 });
+  trim(addr, bucket);
+}
+
+/**
+ * 5m candles for a pair, oldest first.
+ * @param {string} addr
+ * @param {{ from?: number, to?: number, limit?: number }} range - unix seconds, inclusive;
+ *   `limit` keeps the most recent N
+ */
+export function getCandles(addr, { from = -Infinity, to = Infinity, limit } = {}) {
+  const bucket = series.get(addr);
+  if (!bucket) return [];
+  const list = sorted(bucket).filter((c) => c.t >= from && c.t <= to);
+  return limit ? list.slice(-limit) : list;
+}
+
+export function hasCandles(addr) {
+  return series.has(addr);
+}
+
+/** Hand over candles changed since the last call, for persistence. */
+export function takeDirtyCandles() {
+  const out = new Map(dirty);
+  dirty.clear();
+  return out;
+}
+
+/** Put back candles whose persist failed so the next cycle retries them. */
+export function markCandlesDirty(batch) {
+  for (const [addr, candles] of batch) {
+    if (!dirty.has(addr)) dirty.set(addr, new Map());
+    const pending = dirty.get(addr);
+    for (const [t, c] of candles) {
+      if (!pending.has(t)) pending.set(t, c);
+    }
+  }
+}
+
+/** Drop expired candles across all pairs, including ones no longer tracked. */
+export function pruneCandles() {
+  for (const [addr, bucket] of series) trim(addr, bucket);
+}
+
+export function clearCandles() {
+  series.clear();
+  dirty.clear();
+}
+
+export function candleStats() {
+  let total = 0;
+  for (const bucket of series.values()) total += bucket.size;
+  return { pairs: series.size, candles: total, retentionHours: RETENTION_HOURS, maxPerPair: MAX_PER_PAIR };
+}
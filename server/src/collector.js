@@ -1,26 +1,117 @@
 import { computeRSI } from "./rsi.js";
-import { persistState, clearPairs } from "./redis.js";
-
-const BOOSTS_URL = "https://api.dexscreener.com/token-boosts/top/v1";
-const TOKENS_URL = (addrs) =>
-  `https://api.dexscreener.com/latest/dex/tokens/${addrs}`;
-const GECKO_OHLCV = (addr) =>
-  `https://api.geckoterminal.com/api/v2/networks/solana/pools/${addr}/ohlcv/minute?aggregate=5&limit=100&currency=usd`;
-
+import {
+  persistState, persistAths, persistCandles, recordPairExits,
+  restoreState, restoreAths, restoreCandles, restorePairHistory,
+  clearPairs, clearCandleHistory,
+} from "./redis.js";
+import {
+  appendCandles, getCandles, updateLiveCandle, takeDirtyCandles, markCandlesDirty, pruneCandles, clearCandles,
+  CANDLE_RETENTION,
+} from "./candleStore.js";
+import { createMarketData } from "./providers/index.js";
+import { loadFilterProfiles, matchProfiles, explainMismatch } from "./filters.js";
+import { loadIndicatorConfig, computeIndicators } from "./indicators.js";
+import { resample, TIMEFRAMES } from "./resample.js";
+import { loadAlertRules, evaluateAlerts } from "./alerts.js";
+import { broadcast } from "./sse.js";
+import { histogram, gauge } from "./metrics.js";
+import { RefreshScheduler } from "./scheduler.js";
+import { isReplaying, startReplay, replayInterval } from "./recorder.js";
+import {
+  loadWatchlist, isWatched, watchedAddresses, addToWatchlist, removeFromWatchlist,
+} from "./watchlist.js";
+import { getSafety, requestSafetyChecks } from "./safety.js";
+import { createLogger, withCycle } from "./logger.js";
+
+// Restored pairs last updated longer ago than this are dropped on boot
+const RESTORE_MAX_AGE_MS = parseInt(process.env.RESTORE_MAX_AGE_MS || String(6 * 60 * 60_000), 10);
+// Lifecycle: how long a pair counts as new, and how long it may miss discovery before removal
+const PAIR_NEW_MS = parseInt(process.env.PAIR_NEW_MS || String(15 * 60_000), 10);
+const PAIR_GRACE_MS = parseInt(process.env.PAIR_GRACE_MS || String(10 * 60_000), 10);
+const PAIR_HISTORY_LIMIT = 200;
+// Per-pair detail kept in memory: lifecycle events, and stats sampled every 5m for 24h
+const TIMELINE_LIMIT = 50;
+const SERIES_STEP_MS = 5 * 60_000;
+const SERIES_LIMIT = 288;
+const PRICE_INTERVAL_MS = parseInt(process.env.PRICE_INTERVAL_MS || "10000", 10);
+// A pair's candles are refreshed at most this often; requests are paced by geckoLimiter
+const OHLCV_MIN_INTERVAL_MS = parseInt(process.env.OHLCV_MIN_INTERVAL_MS || "60000", 10);
+const OHLCV_CONCURRENCY = parseInt(process.env.OHLCV_CONCURRENCY || "1", 10);
+
+const cycleDuration = histogram("qba_cycle_duration_seconds", "Duration of collector cycles by cycle and outcome", {
+  buckets: [0.1, 0.5, 1, 2.5, 5, 10, 30, 60, 120, 300],
+});
+
+let market = null;
 let pairs = new Map();
+let aths = new Map(); // pairAddress -> ATH, kept after a pair leaves tracking
+let dirtyAths = new Map(); // ATHs raised since the last persist
+let pairHistory = []; // removed pairs, newest first
+const timelines = new Map(); // pairAddress -> [{ at, type, detail }], oldest first
+const series = new Map(); // pairAddress -> [{ t, priceUsd, marketCap, liquidity, volume24h }], oldest first
 let collectorStatus = "starting";
+let loopTimers = [];
 let lastDiscovery = null;
 let lastOhlcvUpdate = null;
+let lastPriceUpdate = null;
+let priceUpdateRunning = false;
+
+// --- Change feed ---
+// Per-field JSON of each pair as last published, so only changed fields go out
+let published = new Map();
+let publishedStats = null;
+const exitReasons = new Map(); // pairAddress -> reason, for pairs removed since the last publish
+
+/**
+ * Events that bring clients from `published` (per-field JSON of each pair as
+ * last sent, updated in place) to `current`: `pair:add` with the full pair,
+ * `pair:patch` with only the changed fields (removed ones as null), and
+ * `pair:remove` with the reason from `exitReasons`.
+ * @param {Map<string, object>} published
+ * @param {Map<string, object>} current - tracked pairs by address
+ * @param {Map<string, object>} exitReasons - pairAddress -> exit reason
+ * @returns {[string, object][]} [event, data] in broadcast order
+ */
+export function diffPairs(published, current, exitReasons) {
+  const events = [];
+  for (const [addr, p] of current) {
+    const fields = {};
+    for (const [k, v] of Object.entries(p)) fields[k] = JSON.stringify(v);
+
+    const prev = published.get(addr);
+    if (!prev) {
+      events.push(["pair:add", p]);
+    } else {
+      const changes = {};
+      for (const [k, json] of Object.entries(fields)) {
+        if (prev[k] !== json) changes[k] = p[k];
+      }
+      for (const k of Object.keys(prev)) {
+        if (!(k in fields)) changes[k] = null;
+      }
+      if (Object.keys(changes).length) events.push(["pair:patch", { pairAddress: addr, changes }]);
+    }
+    published.set(addr, fields);
+  }
 
-// --- SSE ---
-const sseClients = new Set();
-export function registerSSEClient(c) { sseClients.add(c); }
-export function removeSSEClient(c) { sseClients.delete(c); }
+  for (const addr of published.keys()) {
+    if (current.has(addr)) continue;
+    published.delete(addr);
+    events.push(["pair:remove", { pairAddress: addr, reason: exitReasons.get(addr) ?? null }]);
+  }
+  return events;
+}
+
+/** Broadcast what changed since the last call (see diffPairs), and `stats`. */
+function publishChanges() {
+  for (const [event, data] of diffPairs(published, pairs, exitReasons)) broadcast(event, data);
+  exitReasons.clear();
 
-function broadcast(event, data) {
-  const msg = `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
-  for (const c of sseClients) {
-    try { c.write(msg); } catch { sseClients.delete(c); }
+  const stats = getStats();
+  const statsJson = JSON.stringify(stats);
+  if (statsJson !== publishedStats) {
+    publishedStats = statsJson;
+    broadcast("stats", stats);
   }
 }
 
@@ -33,242 +124,614 @@ export function getStats() {
   const rsi = all.map((p) => p.rsi5m).filter((v) => v != null);
   return {
     totalPairs: pairs.size,
+    newPairs: all.filter((p) => p.status === "new").length,
+    coolingPairs: all.filter((p) => p.status === "cooling").length,
+    watchedPairs: all.filter((p) => p.watched).length,
     overbought: rsi.filter((r) => r > 70).length,
     oversold: rsi.filter((r) => r < 30).length,
     avgRsi: rsi.length ? +(rsi.reduce((a, b) => a + b, 0) / rsi.length).toFixed(1) : null,
     collectorStatus,
     lastDiscovery,
     lastOhlcvUpdate,
+    lastPriceUpdate,
   };
 }
 
-function log(msg) {
-  console.log(`[${new Date().toISOString()}] ${msg}`);
+const log = createLogger("collector");
+
+function recordAth(p, price) {
+  if (!(price > 0)) return;
+  if (p.ath == null || price > p.ath) p.ath = price;
+  if (!(aths.get(p.pairAddress) >= p.ath)) {
+    aths.set(p.pairAddress, p.ath);
+    dirtyAths.set(p.pairAddress, p.ath);
+  }
+}
+
+// Copy the fast-moving fields of a raw Dexscreener pair onto a tracked pair
+function applyLiveStats(p, raw) {
+  p.priceUsd = raw.priceUsd ? parseFloat(raw.priceUsd) : p.priceUsd;
+  p.marketCap = raw.marketCap ?? raw.fdv ?? p.marketCap;
+  p.liquidity = raw.liquidity?.usd ?? p.liquidity;
+  p.volume24h = raw.volume?.h24 ?? p.volume24h;
+  p.priceChange24h = raw.priceChange?.h24 ?? p.priceChange24h;
+  p.priceChange5m = raw.priceChange?.m5 ?? p.priceChange5m;
+  p.priceChange1h = raw.priceChange?.h1 ?? p.priceChange1h;
+  p.priceChange6h = raw.priceChange?.h6 ?? p.priceChange6h;
+  p.buys1h = raw.txns?.h1?.buys ?? p.buys1h;
+  p.sells1h = raw.txns?.h1?.sells ?? p.sells1h;
+  p.buys24h = raw.txns?.h24?.buys ?? p.buys24h;
+  p.sells24h = raw.txns?.h24?.sells ?? p.sells24h;
+  p.updatedAt = Date.now();
+  recordSample(p);
 }
 
-// --- Step 1: Fetch boosted/trending tokens ---
-async function fetchBoostedTokens() {
-  const res = await fetch(BOOSTS_URL, {
-    headers: { Accept: "application/json" },
-    signal: AbortSignal.timeout(15000),
-  });
-  if (!res.ok) throw new Error(`Boosts API HTTP ${res.status}`);
-  const data = await res.json();
-  return data; // array of { url, chainId, tokenAddress, icon, ... }
+// --- Pair detail: timeline and stat series ---
+
+function addEvent(addr, type, detail = null, at = Date.now()) {
+  const list = timelines.get(addr) || [];
+  list.push({ at, type, detail });
+  timelines.set(addr, list.slice(-TIMELINE_LIMIT));
 }
 
-// --- Step 2: Filter for Solana, extract token addresses ---
-function extractSolanaTokenAddresses(boosts) {
-  const addrs = [];
-  const seen = new Set();
-  for (const b of boosts) {
-    if (b.chainId !== "solana") continue;
-    const addr = b.tokenAddress;
-    if (addr && !seen.has(addr)) {
-      seen.add(addr);
-      addrs.push(addr);
-    }
-  }
-  return addrs;
+function recordSample(p) {
+  const t = p.updatedAt ?? Date.now();
+  const list = series.get(p.pairAddress) || [];
+  if (list.length && t - list[list.length - 1].t < SERIES_STEP_MS) return;
+  list.push({ t, priceUsd: p.priceUsd, marketCap: p.marketCap, liquidity: p.liquidity, volume24h: p.volume24h });
+  series.set(p.pairAddress, list.slice(-SERIES_LIMIT));
 }
 
-// --- Step 3: Batch lookup pairs for those tokens ---
-async function fetchPairsForTokens(tokenAddresses) {
-  const results = [];
-  // Dexscreener allows up to 30 addresses per request
-  for (let i = 0; i < tokenAddresses.length; i += 30) {
-    const batch = tokenAddresses.slice(i, i + 30).join(",");
-    try {
-      const res = await fetch(TOKENS_URL(batch), {
-        headers: { Accept: "application/json" },
-        signal: AbortSignal.timeout(15000),
-      });
-      if (!res.ok) throw new Error(`Tokens API HTTP ${res.status}`);
-      const data = await res.json();
-      if (data?.pairs) results.push(...data.pairs);
-    } catch (err) {
-      log(`Token batch fetch error: ${err.message}`);
-    }
-  }
-  return results;
+// Drop detail of pairs that are neither tracked nor in the removal history
+function pruneDetail() {
+  const keep = new Set([...pairs.keys(), ...pairHistory.map((e) => e.pairAddress)]);
+  for (const addr of timelines.keys()) if (!keep.has(addr)) timelines.delete(addr);
+  for (const addr of series.keys()) if (!keep.has(addr)) series.delete(addr);
+}
+
+/**
+ * Everything the pair page shows besides candles: the tracked pair (or its
+ * removal record), lifecycle timeline and 24h of sampled stats. Timeline and
+ * series live in memory only and restart empty. Null for unknown pairs.
+ */
+export function getPairDetail(addr) {
+  const pair = pairs.get(addr) ?? pairHistory.find((e) => e.pairAddress === addr);
+  if (!pair) return null;
+  return {
+    pair,
+    tracked: pairs.has(addr),
+    timeline: timelines.get(addr) || [],
+    series: series.get(addr) || [],
+  };
 }
 
-// --- Step 4: Strict filtering ---
+// --- Filtering: keep pairs matching any active profile ---
 function filterPairs(rawPairs) {
-  return rawPairs.filter((p) => {
-    if (p.chainId !== "solana") return false;
-    if (p.dexId !== "pumpswap" && p.dexId !== "pumpfun") return false;
-    if (!(p.liquidity?.usd >= 10000)) return false;
-    if (!(p.fdv >= 30000 && p.fdv <= 300000)) return false;
-    if (!(p.volume?.h24 >= 80000 && p.volume?.h24 <= 180000)) return false;
-    return true;
-  });
+  const passed = [];
+  for (const raw of rawPairs) {
+    const profiles = matchProfiles(raw);
+    if (profiles.length) passed.push({ raw, profiles });
+  }
+  return passed;
+}
+
+function createPair(raw, profiles, now) {
+  return {
+    pairAddress: raw.pairAddress,
+    baseToken: raw.baseToken || { symbol: "???", name: "Unknown" },
+    dexId: raw.dexId || "",
+    url: raw.url || "",
+    priceUsd: raw.priceUsd ? parseFloat(raw.priceUsd) : null,
+    marketCap: raw.marketCap ?? raw.fdv ?? null,
+    liquidity: raw.liquidity?.usd ?? null,
+    volume24h: raw.volume?.h24 ?? null,
+    priceChange24h: raw.priceChange?.h24 ?? null,
+    priceChange5m: raw.priceChange?.m5 ?? null,
+    priceChange1h: raw.priceChange?.h1 ?? null,
+    priceChange6h: raw.priceChange?.h6 ?? null,
+    buys1h: raw.txns?.h1?.buys ?? null,
+    sells1h: raw.txns?.h1?.sells ?? null,
+    buys24h: raw.txns?.h24?.buys ?? null,
+    sells24h: raw.txns?.h24?.sells ?? null,
+    pairCreatedAt: raw.pairCreatedAt ?? null,
+    imageUrl: raw.info?.imageUrl ?? null,
+    safety: getSafety(raw.baseToken?.address),
+    profiles,
+    rsi5m: null,
+    rsi15m: null,
+    indicators: {},
+    ath: aths.get(raw.pairAddress) ?? null,
+    status: "new",
+    firstSeenAt: now,
+    coolingSince: null,
+    exitReason: null,
+    watched: isWatched(raw.pairAddress),
+    stale: false,
+    updatedAt: now,
+  };
 }
 
 // --- Discovery ---
 async function runDiscovery() {
+  const endTimer = cycleDuration.startTimer({ cycle: "discovery" });
+  let outcome = "ok";
   try {
-    // Step 1
-    const boosts = await fetchBoostedTokens();
-    log(`Boosts: fetched ${boosts.length} boosted tokens`);
-
-    // Step 2
-    const solanaAddrs = extractSolanaTokenAddresses(boosts);
-    log(`Boosts: ${solanaAddrs.length} unique Solana token addresses`);
-
-    if (!solanaAddrs.length) {
-      log(`Discovery: no Solana tokens found, keeping existing ${pairs.size}`);
+    await trackWatched().catch((err) => log.error(`Watchlist: tracking error: ${err.message}`));
+    const rawPairs = await market.discoverPairs();
+    if (!rawPairs.length) {
+      log.info(`Discovery: no candidate pairs found, keeping existing ${pairs.size}`);
       return;
     }
+    log.info(`Discovery: ${rawPairs.length} candidate pairs`);
 
-    // Step 3
-    const rawPairs = await fetchPairsForTokens(solanaAddrs);
-    log(`Discovery: ${rawPairs.length} total pairs returned from token lookup`);
-
-    // Step 4
     const filtered = filterPairs(rawPairs);
-    log(`Discovery: ${filtered.length} pairs passed filters`);
-
-    // Step 5 - Log token names that passed
-    for (const p of filtered) {
-      log(`  PASS: ${p.baseToken?.symbol} (${p.baseToken?.name}) | dex=${p.dexId} liq=$${p.liquidity?.usd} fdv=$${p.fdv} vol24h=$${p.volume?.h24} | ${p.pairAddress}`);
+    log.info(`Discovery: ${filtered.length} pairs passed filters`);
+
+    // Log token names that passed
+    for (const { raw: p, profiles } of filtered) {
+      log.debug({
+        pairAddress: p.pairAddress, symbol: p.baseToken?.symbol, dex: p.dexId,
+        liquidity: p.liquidity?.usd, fdv: p.fdv, volume24h: p.volume?.h24, profiles,
+      }, `PASS: ${p.baseToken?.symbol} (${p.baseToken?.name})`);
     }
 
     if (!filtered.length) {
-      log(`Discovery: 0 pairs passed filters, keeping existing ${pairs.size}`);
+      log.info(`Discovery: 0 pairs passed filters, keeping existing ${pairs.size}`);
       return;
     }
 
-    const newAddrs = new Set();
-    for (const raw of filtered) {
+    const now = Date.now();
+    const passed = new Set();
+    for (const { raw, profiles } of filtered) {
       const addr = raw.pairAddress;
       if (!addr) continue;
-      newAddrs.add(addr);
+      passed.add(addr);
 
       if (!pairs.has(addr)) {
-        pairs.set(addr, {
-          pairAddress: addr,
-          baseToken: raw.baseToken || { symbol: "???", name: "Unknown" },
-          dexId: raw.dexId || "",
-          url: raw.url || "",
-          priceUsd: raw.priceUsd ? parseFloat(raw.priceUsd) : null,
-          marketCap: raw.marketCap ?? raw.fdv ?? null,
-          liquidity: raw.liquidity?.usd ?? null,
-          volume24h: raw.volume?.h24 ?? null,
-          priceChange24h: raw.priceChange?.h24 ?? null,
-          pairCreatedAt: raw.pairCreatedAt ?? null,
-          imageUrl: raw.info?.imageUrl ?? null,
-          rsi5m: null,
-          rsi15m: null,
-          ath: null,
-          candles5m: [],
-          updatedAt: Date.now(),
-        });
+        pairs.set(addr, createPair(raw, profiles, now));
+        addEvent(addr, "tracked", `Passed ${profiles.join(", ")}`, now);
+        recordSample(pairs.get(addr));
       } else {
         const existing = pairs.get(addr);
-        existing.priceUsd = raw.priceUsd ? parseFloat(raw.priceUsd) : existing.priceUsd;
-        existing.marketCap = raw.marketCap ?? raw.fdv ?? existing.marketCap;
-        existing.liquidity = raw.liquidity?.usd ?? existing.liquidity;
-        existing.volume24h = raw.volume?.h24 ?? existing.volume24h;
-        existing.priceChange24h = raw.priceChange?.h24 ?? existing.priceChange24h;
+        applyLiveStats(existing, raw);
         existing.imageUrl = raw.info?.imageUrl ?? existing.imageUrl;
-        existing.updatedAt = Date.now();
+        existing.profiles = profiles;
+        existing.stale = false;
+        if (existing.status === "cooling") log.info(`Lifecycle: ${existing.baseToken?.symbol} recovered after cooling`);
+        markTracked(existing, now);
       }
     }
 
-    // Remove pairs no longer passing filters
-    for (const addr of pairs.keys()) {
-      if (!newAddrs.has(addr)) pairs.delete(addr);
+    // Pairs that missed this cycle cool down, and leave once the grace period is over
+    const candidates = new Map(rawPairs.map((raw) => [raw.pairAddress, raw]));
+    for (const [addr, p] of pairs) {
+      p.watched = isWatched(addr);
+      if (passed.has(addr)) continue;
+      const raw = candidates.get(addr);
+      if (raw) applyLiveStats(p, raw);
+      if (p.watched) {
+        // Pinned: stays tracked whatever the filters say
+        p.profiles = raw ? matchProfiles(raw) : [];
+        p.stale = false;
+        markTracked(p, now);
+        continue;
+      }
+      const reason = raw
+        ? { code: "filter_failed", detail: explainMismatch(raw).join("; ") }
+        : { code: "left_discovery", detail: `No longer returned by ${market.describe().discovery.join("/")}` };
+      if (p.status !== "cooling") {
+        p.status = "cooling";
+        p.coolingSince = now;
+        addEvent(addr, "cooling", reason.detail, now);
+        log.info(`Lifecycle: ${p.baseToken?.symbol} cooling, ${reason.code}: ${reason.detail}`);
+      }
+      p.exitReason = reason;
+      if (now - p.coolingSince >= PAIR_GRACE_MS) removePair(p, now);
     }
 
     lastDiscovery = Date.now();
     collectorStatus = "running";
-    log(`Discovery: tracking ${pairs.size} pairs`);
-    broadcast("update", { pairs: Array.from(pairs.values()), stats: getStats() });
+    log.info(`Discovery: tracking ${pairs.size} pairs`);
+    publishChanges();
+    runAlerts();
+    requestSafetyChecks(pairs.values(), applySafety);
   } catch (err) {
-    log(`Discovery error: ${err.message}`);
+    outcome = "error";
+    log.error(`Discovery error: ${err.message}`);
+  } finally {
+    endTimer({ outcome });
   }
 }
 
-// --- OHLCV + RSI ---
-async function runOhlcvUpdate() {
-  const addrs = Array.from(pairs.keys());
-  if (!addrs.length) return;
-
-  let updated = 0;
-  for (const addr of addrs) {
-    try {
-      const res = await fetch(GECKO_OHLCV(addr), {
-        headers: { Accept: "application/json" },
-        signal: AbortSignal.timeout(15000),
-      });
-      if (!res.ok) {
-        if (res.status === 429) {
-          log(`GeckoTerminal 429, waiting 30s`);
-          await new Promise((r) => setTimeout(r, 30000));
-        }
-        throw new Error(`HTTP ${res.status}`);
-      }
-      const data = await res.json();
-      const ohlcvList = data?.data?.attributes?.ohlcv_list || [];
-      if (!ohlcvList.length) { await stagger(); continue; }
+// --- Token safety ---
+/** Attach a finished safety check to every tracked pair of that token. */
+function applySafety(mint, result) {
+  let changed = false;
+  for (const p of pairs.values()) {
+    if (p.baseToken?.address !== mint) continue;
+    p.safety = result;
+    changed = true;
+  }
+  if (changed) publishChanges();
+}
 
-      const candles = ohlcvList.slice().reverse().map((c) => ({
-        t: c[0], o: +c[1], h: +c[2], l: +c[3], c: +c[4], v: +c[5],
-      }));
+// --- Lifecycle ---
+// new -> active once PAIR_NEW_MS have passed since first seen; either becomes
+// cooling when it misses a discovery cycle, and is removed after PAIR_GRACE_MS
+// of cooling unless it passes again first.
+
+function markTracked(p, now) {
+  const prev = p.status;
+  p.status = now - (p.firstSeenAt ?? 0) < PAIR_NEW_MS ? "new" : "active";
+  p.coolingSince = null;
+  p.exitReason = null;
+  if (prev === "cooling") addEvent(p.pairAddress, "recovered", null, now);
+  else if (prev === "new" && p.status === "active") addEvent(p.pairAddress, "active", null, now);
+}
 
-      const p = pairs.get(addr);
-      if (!p) { await stagger(); continue; }
+function removePair(p, now) {
+  pairs.delete(p.pairAddress);
+  const entry = {
+    pairAddress: p.pairAddress,
+    baseToken: p.baseToken,
+    dexId: p.dexId,
+    url: p.url,
+    imageUrl: p.imageUrl,
+    profiles: p.profiles,
+    firstSeenAt: p.firstSeenAt ?? null,
+    coolingSince: p.coolingSince,
+    status: "removed",
+    removedAt: now,
+    reason: p.exitReason,
+    last: {
+      priceUsd: p.priceUsd,
+      marketCap: p.marketCap,
+      liquidity: p.liquidity,
+      volume24h: p.volume24h,
+      priceChange24h: p.priceChange24h,
+      rsi5m: p.rsi5m,
+      rsi15m: p.rsi15m,
+      ath: p.ath,
+    },
+  };
+  exitReasons.set(p.pairAddress, p.exitReason);
+  pairHistory = [entry, ...pairHistory].slice(0, PAIR_HISTORY_LIMIT);
+  addEvent(p.pairAddress, "removed", p.exitReason?.detail || p.exitReason?.code, now);
+  pruneDetail();
+  recordPairExits([entry], PAIR_HISTORY_LIMIT);
+  log.info(`Lifecycle: removed ${p.baseToken?.symbol} (${p.pairAddress.slice(0, 8)}...), ${p.exitReason?.code}`);
+}
 
-      p.candles5m = candles;
-      p.rsi5m = computeRSI(candles.map((c) => c.c), 14);
-      p.rsi15m = computeRSI(aggregate15m(candles), 14);
+/**
+ * Recently removed pairs, newest first, with why they left and their last metrics.
+ * @param {{ limit?: number, reason?: string }} options - `reason` filters by exit code
+ */
+export function getPairHistory({ limit = 50, reason } = {}) {
+  const list = reason ? pairHistory.filter((e) => e.reason?.code === reason) : pairHistory;
+  return list.slice(0, limit);
+}
 
-      const maxH = Math.max(...candles.map((c) => c.h));
-      if (p.ath == null || maxH > p.ath) p.ath = maxH;
-      if (p.priceUsd && p.priceUsd > p.ath) p.ath = p.priceUsd;
+// --- Watchlist ---
+// Watched pairs are tracked even when no filter profile matches them, so they
+// keep getting live stats and candles. They never cool down or get removed.
+
+/**
+ * Start tracking watched pairs that are not tracked yet, from the stats provider.
+ * @returns {Promise<Set<string>>} addresses the provider knew
+ */
+async function trackWatched(addrs = watchedAddresses()) {
+  const missing = addrs.filter((addr) => !pairs.has(addr));
+  if (!missing.length) return new Set();
+  const stats = await market.fetchPairStats(missing);
+  const now = Date.now();
+  const found = new Set();
+  for (const raw of stats) {
+    if (!raw.pairAddress || pairs.has(raw.pairAddress)) continue;
+    pairs.set(raw.pairAddress, createPair(raw, matchProfiles(raw), now));
+    addEvent(raw.pairAddress, "tracked", "Added from a watchlist", now);
+    recordSample(pairs.get(raw.pairAddress));
+    found.add(raw.pairAddress);
+    log.info(`Watchlist: tracking ${raw.baseToken?.symbol} (${raw.pairAddress.slice(0, 8)}...)`);
+  }
+  return found;
+}
 
-      updated++;
-    } catch (err) {
-      log(`OHLCV error ${addr.slice(0, 8)}...: ${err.message}`);
-    }
-    await stagger();
+/**
+ * Pin a pair. Returns null when the pair is neither tracked nor known to the
+ * stats provider.
+ */
+export async function watchPair(addr, { note, owner = null } = {}) {
+  if (!pairs.has(addr) && !(await trackWatched([addr])).has(addr)) return null;
+  const entry = await addToWatchlist(addr, { note, owner });
+  const p = pairs.get(addr);
+  p.watched = true;
+  addEvent(addr, "watched", owner ? `by ${owner}` : "shared watchlist");
+  if (p.status === "cooling") markTracked(p, Date.now());
+  publishChanges();
+  return entry;
+}
+
+/**
+ * Unpin a pair from one list. It stays tracked; once nobody watches it and it
+ * fails the filters, it starts cooling at the next discovery like any other pair.
+ */
+export async function unwatchPair(addr, owner = null) {
+  if (!(await removeFromWatchlist(addr, owner))) return false;
+  const p = pairs.get(addr);
+  if (p) {
+    p.watched = isWatched(addr);
+    addEvent(addr, "unwatched", owner ? `by ${owner}` : "shared watchlist");
+    publishChanges();
   }
+  return true;
+}
+
+// --- OHLCV + RSI ---
+/**
+ * Fetch fresh candles for one pair, fold them into its history and recompute
+ * indicators. Run by the OHLCV scheduler, never twice at once for a pair.
+ */
+async function refreshOhlcv(addr) {
+  const endTimer = cycleDuration.startTimer({ cycle: "ohlcv" });
+  let candles;
+  try {
+    candles = await market.fetchOHLCV(addr);
+  } catch (err) {
+    endTimer({ outcome: "error" });
+    throw err;
+  }
+  endTimer({ outcome: "ok" });
+  const p = pairs.get(addr);
+  if (!candles.length || !p) return;
+
+  appendCandles(addr, candles);
+  updateIndicators(p, getCandles(addr));
+  recordAth(p, Math.max(...candles.map((c) => c.h)));
+  recordAth(p, p.priceUsd);
 
   lastOhlcvUpdate = Date.now();
-  if (updated) broadcast("update", { pairs: Array.from(pairs.values()), stats: getStats() });
-  log(`OHLCV: updated ${updated}/${addrs.length} pairs`);
+  publishChanges();
+  runAlerts();
+}
+
+/**
+ * Recent volatility as the standard deviation of the last 12 5m log returns,
+ * in percent. Used to refresh fast-moving pairs before quiet ones.
+ */
+function volatilityOf(addr) {
+  const closes = getCandles(addr, { limit: 13 }).map((c) => c.c).filter((c) => c > 0);
+  if (closes.length < 3) return 0;
+  const returns = closes.slice(1).map((c, i) => Math.log(c / closes[i]));
+  const mean = returns.reduce((a, b) => a + b, 0) / returns.length;
+  const variance = returns.reduce((a, b) => a + (b - mean) ** 2, 0) / returns.length;
+  return Math.sqrt(variance) * 100;
 }
 
-function stagger() { return new Promise((r) => setTimeout(r, 10000)); }
+const ohlcvScheduler = new RefreshScheduler({
+  name: "OHLCV",
+  keys: () => Array.from(pairs.keys()),
+  run: refreshOhlcv,
+  volatility: volatilityOf,
+  minIntervalMs: replayInterval(OHLCV_MIN_INTERVAL_MS),
+  concurrency: OHLCV_CONCURRENCY,
+});
+
+export function getSchedulerStats() {
+  return ohlcvScheduler.stats();
+}
 
-function aggregate15m(candles) {
-  const closes = [];
-  for (let i = 2; i < candles.length; i += 3) closes.push(candles[i].c);
-  return closes;
+// The OHLCV proxy calls the same GeckoTerminal endpoint, so it waits out the
+// scheduler's 429 pause and extends it when it is rate limited itself.
+export const ohlcvPausedUntil = () => ohlcvScheduler.pausedUntil;
+export const pauseOhlcv = (ms) => ohlcvScheduler.pause(ms);
+
+// --- Metrics (read at scrape time) ---
+
+gauge("qba_tracked_pairs", "Tracked pairs by lifecycle status", {
+  collect: () => {
+    const counts = { new: 0, active: 0, cooling: 0 };
+    for (const p of pairs.values()) counts[p.status] = (counts[p.status] || 0) + 1;
+    return Object.entries(counts).map(([status, n]) => [{ status }, n]);
+  },
+});
+
+gauge("qba_watched_pairs", "Tracked pairs on at least one watchlist", {
+  collect: () => [[{}, Array.from(pairs.values()).filter((p) => p.watched).length]],
+});
+
+gauge("qba_ohlcv_queue_depth", "Pairs due for an OHLCV refresh", {
+  collect: () => [[{}, ohlcvScheduler.dueKeys().length]],
+});
+
+gauge("qba_ohlcv_paused", "1 while OHLCV refreshes are paused after a 429", {
+  collect: () => [[{}, ohlcvScheduler.pausedUntil > Date.now() ? 1 : 0]],
+});
+
+// --- Live prices ---
+/**
+ * Refresh price, liquidity, volume and price change for every tracked pair
+ * from the stats provider, fold the price into the forming 5m candle and
+ * recompute indicators intrabar.
+ */
+async function runPriceUpdate() {
+  if (priceUpdateRunning || !pairs.size) return;
+  priceUpdateRunning = true;
+  const endTimer = cycleDuration.startTimer({ cycle: "price" });
+  let outcome = "ok";
+  try {
+    const stats = await market.fetchPairStats(Array.from(pairs.keys()));
+    const now = Date.now();
+    for (const raw of stats) {
+      const p = pairs.get(raw.pairAddress);
+      if (!p) continue;
+      applyLiveStats(p, raw);
+      updateLiveCandle(p.pairAddress, p.priceUsd, now);
+      recordAth(p, p.priceUsd);
+      updateIndicators(p, getCandles(p.pairAddress));
+    }
+    lastPriceUpdate = now;
+    if (stats.length) {
+      publishChanges();
+      runAlerts();
+    }
+  } catch (err) {
+    outcome = "error";
+    log.error(`Price update error: ${err.message}`);
+  } finally {
+    endTimer({ outcome });
+    priceUpdateRunning = false;
+  }
+}
+
+/**
+ * Resample the 5m history into each supported timeframe and run that
+ * timeframe's indicators. RSI(14) is always present so the table and stats
+ * work whatever the registry says; rsi5m/rsi15m stay as top-level fields.
+ */
+function updateIndicators(p, history) {
+  const indicators = {};
+  for (const tf of Object.keys(TIMEFRAMES)) {
+    const bars = resample(history, tf);
+    indicators[tf] = { rsi: computeRSI(bars.map((b) => b.c), 14), ...computeIndicators(tf, bars) };
+  }
+  p.indicators = indicators;
+  p.rsi5m = indicators["5m"].rsi;
+  p.rsi15m = indicators["15m"].rsi;
+}
+
+// --- Alerts ---
+function runAlerts() {
+  try {
+    for (const alert of evaluateAlerts(pairs)) broadcast("alert", alert);
+  } catch (err) {
+    log.error(`Alerts error: ${err.message}`);
+  }
 }
 
 // --- Persistence ---
 async function runPersist() {
+  const endTimer = cycleDuration.startTimer({ cycle: "persist" });
+  let outcome = "ok";
   try {
     await persistState(pairs);
-    log(`Persisted ${pairs.size} pairs to Redis`);
+    const athBatch = dirtyAths;
+    dirtyAths = new Map();
+    if (!(await persistAths(athBatch))) {
+      // Retry next cycle, keeping any ATHs raised meanwhile
+      for (const [addr, ath] of athBatch) {
+        if (!(dirtyAths.get(addr) >= ath)) dirtyAths.set(addr, ath);
+      }
+    }
+
+    pruneCandles();
+    const candleBatch = takeDirtyCandles();
+    if (!(await persistCandles(candleBatch, CANDLE_RETENTION))) markCandlesDirty(candleBatch);
+
+    log.info(`Persisted ${pairs.size} pairs, ${athBatch.size} ATHs and candles for ${candleBatch.size} pairs to Redis`);
   } catch (err) {
-    log(`Persist error: ${err.message}`);
+    outcome = "error";
+    log.error(`Persist error: ${err.message}`);
+  } finally {
+    endTimer({ outcome });
   }
 }
 
-// --- Start ---
-export async function startCollector() {
-  log("Starting collector...");
-  await clearPairs();
-  await runDiscovery();
+// --- Warm restart ---
+/**
+ * Load persisted pairs and ATHs. Pairs are kept but flagged `stale` until the
+ * first discovery re-validates them; those not updated within
+ * RESTORE_MAX_AGE_MS are dropped outright.
+ */
+async function restore() {
+  const [restored, restoredAths, exits] = await Promise.all([
+    restoreState(), restoreAths(), restorePairHistory(PAIR_HISTORY_LIMIT),
+  ]);
+  aths = restoredAths;
+  pairHistory = exits;
+
+  const now = Date.now();
+  for (const [addr, p] of restored) {
+    const ageMin = Math.round((now - (p.updatedAt || 0)) / 60_000);
+    if (now - (p.updatedAt || 0) > RESTORE_MAX_AGE_MS) {
+      log.info(`Restore: dropping ${p.baseToken?.symbol} (${addr.slice(0, 8)}...), last updated ${ageMin}m ago`);
+      continue;
+    }
+    p.stale = true;
+    // State persisted before lifecycle tracking
+    if (!p.status) Object.assign(p, { status: "active", firstSeenAt: null, coolingSince: null, exitReason: null });
+    // State persisted before the candle store carried candles inline
+    if (p.candles5m) {
+      appendCandles(addr, p.candles5m);
+      delete p.candles5m;
+    }
+    recordAth(p, Math.max(p.ath ?? 0, aths.get(addr) ?? 0));
+    pairs.set(addr, p);
+    addEvent(addr, "restored", `Last updated ${ageMin}m before restart`, now);
+    log.info(`Restore: ${p.baseToken?.symbol} (${addr.slice(0, 8)}...) last updated ${ageMin}m ago`);
+  }
+  log.info(`Restore: kept ${pairs.size}/${restored.size} pairs pending re-validation`);
+
+  const history = await restoreCandles(Array.from(pairs.keys()), CANDLE_RETENTION);
+  for (const [addr, candles] of history) appendCandles(addr, candles, { persist: false });
+}
+
+/**
+ * Admin action: drop all tracked pairs and their candle history in memory and Redis.
+ * ATHs survive unless `includeAth` is set.
+ */
+export async function clearState({ includeAth = false } = {}) {
+  const addrs = Array.from(pairs.keys());
+  pairs.clear();
+  timelines.clear();
+  series.clear();
+  clearCandles();
+  if (includeAth) {
+    aths.clear();
+    dirtyAths.clear();
+  }
+  await clearPairs({ includeAth });
+  await clearCandleHistory(addrs);
+  log.info(`Cleared tracked pairs${includeAth ? " and ATHs" : ""}`);
+  publishChanges();
+}
 
-  setInterval(runDiscovery, 60_000);
-  setInterval(runOhlcvUpdate, 60_000);
-  setInterval(runPersist, 60_000);
-  setTimeout(runOhlcvUpdate, 5_000);
+// --- Start ---
+/**
+ * Start the background loops.
+ * @param {{ marketData?: ReturnType<typeof createMarketData> }} options -
+ *   market-data facade to use; defaults to the providers configured via env
+ */
+export async function startCollector({ marketData } = {}) {
+  market = marketData || createMarketData();
+  log.info(`Starting collector... providers: ${JSON.stringify(market.describe())}`);
+  if (isReplaying()) startReplay();
+  const profiles = loadFilterProfiles();
+  log.info(`Filter profiles: ${profiles.map((p) => `${p.id}${p.active ? "" : " (inactive)"}`).join(", ")}`);
+  const { timeframes } = loadIndicatorConfig();
+  log.info(`Indicators: ${Object.entries(timeframes).map(([tf, names]) => `${tf}=${names.join("+")}`).join(" ")}`);
+  await restore();
+  await loadWatchlist();
+  for (const p of pairs.values()) p.watched = isWatched(p.pairAddress);
+  await loadAlertRules();
+  runAlerts(); // baseline for restored pairs
+  await withCycle("discovery", runDiscovery);
+
+  // Replays run these on the recording's clock
+  loopTimers = [
+    setInterval(() => withCycle("discovery", runDiscovery), replayInterval(60_000)),
+    setInterval(() => withCycle("persist", runPersist), 60_000),
+    setInterval(() => withCycle("price", runPriceUpdate), replayInterval(PRICE_INTERVAL_MS)),
+  ];
+  ohlcvScheduler.start();
 
   collectorStatus = "running";
-  log(`Collector running with ${pairs.size} pairs`);
+  log.info(`Collector running with ${pairs.size} pairs`);
+}
+
+/** Stop the background loops; cycles already running finish on their own. */
+export function stopCollector() {
+  loopTimers.forEach(clearInterval);
+  loopTimers = [];
+  ohlcvScheduler.stop();
+  collectorStatus = "stopped";
 }
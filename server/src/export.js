@@ -0,0 +1,153 @@
+// Flat exports of tracked pairs for spreadsheets and notebooks, with
+// optional candle history. One row per pair, or with candles in CSV one row
+// per pair and candle (long format) since CSV cannot nest.
+import { getCandles } from "./candleStore.js";
+import { resample, TIMEFRAMES } from "./resample.js";
+
+const pctFromAth = (p) => (p.ath != null && p.priceUsd != null ? ((p.priceUsd - p.ath) / p.ath) * 100 : null);
+
+// Export field -> value read from a tracked pair
+const FIELDS = {
+  pairAddress: (p) => p.pairAddress,
+  symbol: (p) => p.baseToken?.symbol,
+  name: (p) => p.baseToken?.name,
+  tokenAddress: (p) => p.baseToken?.address,
+  dexId: (p) => p.dexId,
+  url: (p) => p.url,
+  status: (p) => p.status,
+  watched: (p) => p.watched,
+  profiles: (p) => p.profiles?.join(";"),
+  priceUsd: (p) => p.priceUsd,
+  marketCap: (p) => p.marketCap,
+  liquidity: (p) => p.liquidity,
+  volume24h: (p) => p.volume24h,
+  priceChange5m: (p) => p.priceChange5m,
+  priceChange1h: (p) => p.priceChange1h,
+  priceChange6h: (p) => p.priceChange6h,
+  priceChange24h: (p) => p.priceChange24h,
+  buys1h: (p) => p.buys1h,
+  sells1h: (p) => p.sells1h,
+  buys24h: (p) => p.buys24h,
+  sells24h: (p) => p.sells24h,
+  rsi5m: (p) => p.rsi5m,
+  rsi15m: (p) => p.rsi15m,
+  ath: (p) => p.ath,
+  athPct: pctFromAth,
+  risk: (p) => p.safety?.risk,
+  top10Pct: (p) => p.safety?.top10Pct,
+  mintAuthority: (p) => p.safety?.mintAuthority,
+  freezeAuthority: (p) => p.safety?.freezeAuthority,
+  pairCreatedAt: (p) => p.pairCreatedAt,
+  firstSeenAt: (p) => p.firstSeenAt,
+  updatedAt: (p) => p.updatedAt,
+};
+
+export const DEFAULT_EXPORT_FIELDS = [
+  "pairAddress", "symbol", "name", "dexId", "status", "priceUsd", "marketCap", "liquidity", "volume24h",
+  "priceChange24h", "rsi5m", "rsi15m", "ath", "athPct", "pairCreatedAt",
+];
+
+// Any indicator value, e.g. indicators.1h.macdHistPct
+const INDICATOR_FIELD = /^indicators\.(5m|15m|1h|4h)\.(\w+)$/;
+
+const FORMATS = {
+  csv: { contentType: "text/csv; charset=utf-8", ext: "csv" },
+  json: { contentType: "application/json; charset=utf-8", ext: "json" },
+  ndjson: { contentType: "application/x-ndjson; charset=utf-8", ext: "ndjson" },
+};
+
+const CANDLE_FIELDS = ["t", "o", "h", "l", "c", "v"];
+
+function badRequest(message) {
+  const err = new Error(message);
+  err.statusCode = 400;
+  return err;
+}
+
+function accessor(field) {
+  if (FIELDS[field]) return FIELDS[field];
+  const m = field.match(INDICATOR_FIELD);
+  if (m) return (p) => p.indicators?.[m[1]]?.[m[2]];
+  throw badRequest(`Unknown field "${field}"; allowed: ${Object.keys(FIELDS).join(", ")}, indicators.<tf>.<name>`);
+}
+
+// Comma-separated in a query string, or an array in a JSON body
+function list(value) {
+  if (!value) return null;
+  const items = Array.isArray(value) ? value.map(String) : String(value).split(",");
+  const cleaned = items.map((s) => s.trim()).filter(Boolean);
+  return cleaned.length ? cleaned : null;
+}
+
+/**
+ * Validate and default the query, or the JSON body of POST /api/export
+ * (lists may be arrays there). Throws errors with statusCode 400.
+ *   format   csv | json | ndjson (default csv)
+ *   fields   comma-separated export fields (default DEFAULT_EXPORT_FIELDS)
+ *   pairs    comma-separated addresses; rows follow this order (default: every tracked pair)
+ *   candles  1 to include candles, with tf (default 5m) and from/to in unix seconds
+ */
+export function normalizeExportQuery(query = {}) {
+  const format = query.format || "csv";
+  if (!FORMATS[format]) throw badRequest(`format must be one of ${Object.keys(FORMATS).join(", ")}`);
+  const fields = list(query.fields) || DEFAULT_EXPORT_FIELDS;
+  fields.forEach(accessor);
+
+  const options = { format, fields, pairs: list(query.pairs), candles: null };
+  if (query.candles === "1" || query.candles === "true" || query.candles === true) {
+    const tf = query.tf || "5m";
+    if (!TIMEFRAMES[tf]) throw badRequest(`tf must be one of ${Object.keys(TIMEFRAMES).join(", ")}`);
+    const from = query.from != null ? Number(query.from) : -Infinity;
+    const to = query.to != null ? Number(query.to) : Infinity;
+    if (Number.isNaN(from) || Number.isNaN(to)) throw badRequest("from and to must be unix timestamps in seconds");
+    options.candles = { tf, from, to };
+  }
+  return options;
+}
+
+function candlesOf(addr, { tf, from, to }) {
+  const tfSec = TIMEFRAMES[tf];
+  // Widen `from` to the start of its bar so the first bar is complete, as in /candles
+  return resample(getCandles(addr, { from: Math.floor(from / tfSec) * tfSec, to }), tf);
+}
+
+// Token names and symbols come from pool metadata; a leading =, +, -, @, tab
+// or CR would make a spreadsheet evaluate the cell as a formula
+function csvCell(value) {
+  if (value == null) return "";
+  const s = typeof value === "string" && /^[=+\-@\t\r]/.test(value) ? `'${value}` : String(value);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+const csvLine = (values) => values.map(csvCell).join(",");
+
+/**
+ * Render pairs in the requested format.
+ * @param {object[]} pairs - tracked pairs, in output order
+ * @param {ReturnType<typeof normalizeExportQuery>} options
+ * @returns {{ contentType: string, filename: string, body: string }}
+ */
+export function renderExport(pairs, { format, fields, candles }, now = new Date()) {
+  const getters = fields.map((f) => [f, accessor(f)]);
+  const rowOf = (p) => Object.fromEntries(getters.map(([f, get]) => [f, get(p) ?? null]));
+
+  let body;
+  if (format === "csv") {
+    const header = candles ? [...fields, ...CANDLE_FIELDS] : fields;
+    const lines = [csvLine(header)];
+    for (const p of pairs) {
+      const row = getters.map(([, get]) => get(p));
+      if (!candles) lines.push(csvLine(row));
+      else for (const c of candlesOf(p.pairAddress, candles)) lines.push(csvLine([...row, ...CANDLE_FIELDS.map((k) => c[k])]));
+    }
+    body = `${lines.join("\n")}\n`;
+  } else {
+    const rows = pairs.map((p) => (candles ? { ...rowOf(p), candles: candlesOf(p.pairAddress, candles) } : rowOf(p)));
+    body = format === "json"
+      ? JSON.stringify({ exportedAt: now.getTime(), ...(candles && { tf: candles.tf }), pairs: rows })
+      : rows.map((r) => `${JSON.stringify(r)}\n`).join("");
+  }
+
+  const stamp = now.toISOString().slice(0, 16).replace(/[-:T]/g, "");
+  return { contentType: FORMATS[format].contentType, filename: `qba-pairs-${stamp}.${FORMATS[format].ext}`, body };
+}
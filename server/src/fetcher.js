@@ -1,167 +1,117 @@
-import { dexLimiter, geckoLimiter, discoveryLimiter } from "./rateLimiter.js";
+import { isReplaying, replayFetch, recordExchange } from "./recorder.js";
+import { counter, histogram } from "./metrics.js";
+import { createLogger } from "./logger.js";
+
+const log = createLogger("fetcher");
 
 const MAX_RETRIES = 3;
 const BASE_DELAY = 1000;
 
-async function fetchWithRetry(url, limiter, retries = MAX_RETRIES) {
-  for (let attempt = 0; attempt <= retries; attempt++) {
-    try {
-      await limiter.acquire();
-      const res = await fetch(url, {
-        headers: {
-          Accept: "application/json",
-          "User-Agent":
-            "Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36",
-          Referer: "https://dexscreener.com/",
-          Origin: "https://dexscreener.com",
-        },
-        signal: AbortSignal.timeout(15000),
-      });
-      if (!res.ok) {
-        throw new Error(`HTTP ${res.status} ${res.statusText}`);
-      }
-      return await res.json();
-    } catch (err) {
-      if (attempt === retries) {
-        throw err;
-      }
-      const delay = BASE_DELAY * Math.pow(2, attempt);
-      console.error(
-        `[${new Date().toISOString()}] Retry ${attempt + 1}/${retries} for ${url}: ${err.message}. Waiting ${delay}ms`
-      );
-      await new Promise((r) => setTimeout(r, delay));
-    }
-  }
-}
-
-const DISCOVERY_ENDPOINTS = [
-  {
-    name: "io-internal",
-    url: "https://io.dexscreener.com/dex/search/pairs/solana?rankBy=trendingScoreH6&order=desc&dexIds=pumpswap,pumpfun&minLiq=10000&minMarketCap=30000&minAge=2&maxAge=1000&min24HVol=80000&max24HVol=180000&profile=0&launchpads=1",
-    extract: (data) => data?.pairs || data?.results || [],
-  },
-  {
-    name: "io-page-api",
-    url: "https://io.dexscreener.com/dex/search/pairs/solana?dexIds=pumpswap,pumpfun&minLiq=10000&minMarketCap=30000&minAge=2&maxAge=1000&min24HVol=80000&max24HVol=180000",
-    extract: (data) => data?.pairs || data?.results || [],
-  },
-  {
-    name: "official-search-combined",
-    url: null, // special: runs multiple searches
-    extract: null,
-  },
-];
-
 /**
- * Discover pairs by trying multiple Dexscreener endpoints in order.
- * io.dexscreener.com endpoints do server-side filtering.
- * Official search API fallback uses multiple queries + dedup.
+ * Parse a Retry-After header (delta seconds or HTTP date) into milliseconds.
+ * @returns {number|null}
  */
-export async function discoverPairs() {
-  for (const endpoint of DISCOVERY_ENDPOINTS) {
-    try {
-      console.log(`[${new Date().toISOString()}] Discovery: trying ${endpoint.name}...`);
-
-      // Special handling for combined official search fallback
-      if (endpoint.name === "official-search-combined") {
-        const result = await discoverViaOfficialSearch();
-        if (result.length > 0) return { pairs: result };
-        continue;
-      }
-
-      const data = await fetchWithRetry(endpoint.url, discoveryLimiter, 1);
-
-      const pairs = endpoint.extract(data);
-      // Only keep Solana pairs with a valid pairAddress
-      const valid = pairs.filter((p) => p.pairAddress && (p.chainId === "solana" || !p.chainId));
-
-      console.log(`[${new Date().toISOString()}] Discovery: ${endpoint.name} returned ${pairs.length} total, ${valid.length} solana pairs`);
-
-      // Log first 3 pairs
-      for (const p of valid.slice(0, 3)) {
-        console.log(`[${new Date().toISOString()}]   ${p.baseToken?.symbol || "?"} | dex=${p.dexId} liq=${p.liquidity?.usd} fdv=${p.fdv} vol24=${p.volume?.h24} addr=${p.pairAddress?.slice(0, 8)}...`);
-      }
-
-      if (valid.length > 0) {
-        console.log(`[${new Date().toISOString()}] Discovery: using ${endpoint.name} (${valid.length} pairs)`);
-        return { pairs: valid };
-      }
-    } catch (err) {
-      console.error(`[${new Date().toISOString()}] Discovery: ${endpoint.name} failed: ${err.message}`);
-    }
-  }
-
-  console.log(`[${new Date().toISOString()}] Discovery: all endpoints failed, returning empty`);
-  return { pairs: [] };
+export function parseRetryAfter(value, now = Date.now()) {
+  if (!value) return null;
+  const secs = Number(value);
+  if (Number.isFinite(secs)) return Math.max(0, secs * 1000);
+  const at = Date.parse(value);
+  return Number.isNaN(at) ? null : Math.max(0, at - now);
 }
 
-const SEARCH_QUERIES = ["pump", "pumpswap", "pumpfun", "sol meme", "doge", "pepe", "cat", "dog", "ai", "trump"];
+// --- Metrics ---
 
-/**
- * Fallback: search official API with multiple queries, deduplicate,
- * then keep only pumpswap/pumpfun Solana pairs.
- */
-async function discoverViaOfficialSearch() {
-  const results = await Promise.allSettled(
-    SEARCH_QUERIES.map((q) =>
-      fetchWithRetry(
-        `https://api.dexscreener.com/latest/dex/search?q=${encodeURIComponent(q)}`,
-        discoveryLimiter
-      )
-    )
-  );
+const upstreamRequests = counter("qba_upstream_requests_total", "Upstream HTTP requests by provider and status (or error)");
+const upstreamDuration = histogram("qba_upstream_request_duration_seconds", "Upstream HTTP request latency");
+const upstreamRateLimited = counter("qba_upstream_rate_limited_total", "Upstream responses with HTTP 429");
+const upstreamTimeouts = counter("qba_upstream_timeouts_total", "Upstream requests aborted by the 15s timeout");
 
-  const seen = new Set();
-  const allPairs = [];
-  for (const r of results) {
-    if (r.status !== "fulfilled" || !r.value?.pairs) continue;
-    for (const p of r.value.pairs) {
-      if (!p.pairAddress || seen.has(p.pairAddress)) continue;
-      if (p.chainId !== "solana") continue;
-      const dex = (p.dexId || "").toLowerCase();
-      if (dex !== "pumpswap" && dex !== "pumpfun") continue;
-      seen.add(p.pairAddress);
-      allPairs.push(p);
-    }
+/** Provider label from the URL host, e.g. api.dexscreener.com -> dexscreener. */
+function providerOf(url) {
+  try {
+    return new URL(url).hostname.split(".").slice(-2, -1)[0] || "unknown";
+  } catch {
+    return "unknown";
   }
+}
 
-  console.log(`[${new Date().toISOString()}] Discovery: official-search-combined found ${allPairs.length} pumpswap/pumpfun solana pairs from ${SEARCH_QUERIES.length} queries`);
-
-  for (const p of allPairs.slice(0, 3)) {
-    console.log(`[${new Date().toISOString()}]   ${p.baseToken?.symbol || "?"} | dex=${p.dexId} liq=${p.liquidity?.usd} fdv=${p.fdv} vol24=${p.volume?.h24} addr=${p.pairAddress?.slice(0, 8)}...`);
+// RPC endpoints (Helius, QuickNode, ...) carry the API key in the path or
+// query string, so only their origin is logged
+function loggableUrl(url) {
+  try {
+    return new URL(url).origin;
+  } catch {
+    return "[invalid url]";
   }
-
-  return allPairs;
 }
 
+export const BROWSER_HEADERS = {
+  "User-Agent":
+    "Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36",
+  Referer: "https://dexscreener.com/",
+  Origin: "https://dexscreener.com",
+};
+
 /**
- * Fetch live pair stats from official Dexscreener API in batches of 30
+ * GET a JSON document through a rate limiter, retrying with exponential backoff.
+ * Errors for non-2xx responses carry the HTTP `status`, and `retryAfterMs`
+ * when the server sent Retry-After; that delay replaces the backoff.
+ * Every attempt is recorded when UPSTREAM_RECORD_DIR is set; with
+ * UPSTREAM_REPLAY the answer comes from the recording instead (see recorder.js).
+ * With a `body` the request is a JSON POST (Solana JSON-RPC); those are neither
+ * recorded nor replayed, since recordings are keyed by URL alone.
+ * @param {string} url
+ * @param {import("./rateLimiter.js").TokenBucketLimiter} limiter
+ * @param {{ retries?: number, headers?: object, body?: object }} options
  */
-export async function fetchPairStats(addresses) {
-  if (!addresses.length) return [];
+export async function fetchWithRetry(url, limiter, { retries = MAX_RETRIES, headers = {}, body } = {}) {
+  const post = body !== undefined;
+  if (isReplaying() && !post) return replayFetch(url);
+  const record = post ? () => {} : recordExchange;
+  const shownUrl = post ? loggableUrl(url) : url;
 
-  const results = [];
-  for (let i = 0; i < addresses.length; i += 30) {
-    const batch = addresses.slice(i, i + 30);
-    const joined = batch.join(",");
-    const url = `https://api.dexscreener.com/latest/dex/pairs/solana/${joined}`;
+  const provider = providerOf(url);
+  for (let attempt = 0; attempt <= retries; attempt++) {
     try {
-      const data = await fetchWithRetry(url, dexLimiter);
-      if (data && data.pairs) {
-        results.push(...data.pairs);
+      await limiter.acquire();
+      const ts = Date.now();
+      const endTimer = upstreamDuration.startTimer({ provider });
+      let res;
+      try {
+        res = await fetch(url, {
+          method: post ? "POST" : "GET",
+          headers: { Accept: "application/json", ...(post && { "Content-Type": "application/json" }), ...headers },
+          body: post ? JSON.stringify(body) : undefined,
+          signal: AbortSignal.timeout(15000),
+        });
+      } catch (err) {
+        endTimer();
+        const timedOut = err.name === "TimeoutError";
+        upstreamRequests.inc({ provider, status: timedOut ? "timeout" : "error" });
+        if (timedOut) upstreamTimeouts.inc({ provider });
+        record({ ts, url, error: err.message, durationMs: Date.now() - ts });
+        throw err;
+      }
+      endTimer();
+      upstreamRequests.inc({ provider, status: String(res.status) });
+      if (res.status === 429) upstreamRateLimited.inc({ provider });
+      if (!res.ok) {
+        const err = new Error(`HTTP ${res.status} ${res.statusText}`);
+        err.status = res.status;
+        err.retryAfterMs = parseRetryAfter(res.headers.get("retry-after"));
+        record({ ts, url, status: res.status, retryAfterMs: err.retryAfterMs, body: null, durationMs: Date.now() - ts });
+        throw err;
       }
+      const data = await res.json();
+      record({ ts, url, status: res.status, body: data, durationMs: Date.now() - ts });
+      return data;
     } catch (err) {
-      console.error(`[${new Date().toISOString()}] fetchPairStats batch error:`, err.message);
+      if (attempt === retries) {
+        throw err;
+      }
+      const delay = err.retryAfterMs ?? BASE_DELAY * Math.pow(2, attempt);
+      log.warn(`Retry ${attempt + 1}/${retries} for ${shownUrl}: ${err.message}. Waiting ${delay}ms`);
+      await new Promise((r) => setTimeout(r, delay));
     }
   }
-  return results;
-}
-
-/**
- * Fetch 5m OHLCV from GeckoTerminal for a single pool
- */
-export async function fetchOHLCV(poolAddress) {
-  const url = `https://api.geckoterminal.com/api/v2/networks/solana/pools/${poolAddress}/ohlcv/minute?aggregate=5&limit=100&currency=usd`;
-  const data = await fetchWithRetry(url, geckoLimiter);
-  return data;
 }
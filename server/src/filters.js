@@ -0,0 +1,146 @@
+import { readFileSync } from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+const DEFAULT_FILTERS_PATH = path.resolve(
+  path.dirname(fileURLToPath(import.meta.url)),
+  "../config/filters.json"
+);
+
+// Display names and units for the fields rules usually target.
+// Any other dotted path into a Dexscreener pair works too.
+const FIELDS = {
+  chainId: { label: "Chain" },
+  dexId: { label: "DEX" },
+  "liquidity.usd": { label: "Liq", unit: "usd" },
+  fdv: { label: "MCap", unit: "usd" },
+  marketCap: { label: "MCap", unit: "usd" },
+  "volume.h24": { label: "24h Vol", unit: "usd" },
+  "volume.h6": { label: "6h Vol", unit: "usd" },
+  "volume.h1": { label: "1h Vol", unit: "usd" },
+  "priceChange.h24": { label: "24h%", unit: "pct" },
+  "priceChange.h1": { label: "1h%", unit: "pct" },
+  ageHours: { label: "Age", unit: "h" },
+};
+
+// Fields derived from the pair rather than read from it
+const VIRTUAL_FIELDS = {
+  ageHours: (p) => (p.pairCreatedAt ? (Date.now() - p.pairCreatedAt) / 3_600_000 : null),
+};
+
+let profiles = [];
+
+/**
+ * Read a rule's field from a raw Dexscreener pair, e.g. "volume.h24".
+ */
+export function getFieldValue(pair, field) {
+  if (VIRTUAL_FIELDS[field]) return VIRTUAL_FIELDS[field](pair);
+  let v = pair;
+  for (const key of field.split(".")) {
+    if (v == null) return null;
+    v = v[key];
+  }
+  return v ?? null;
+}
+
+function formatValue(v, unit) {
+  if (unit === "usd") {
+    if (v >= 1_000_000) return `$${+(v / 1_000_000).toFixed(2)}M`;
+    if (v >= 1_000) return `$${+(v / 1_000).toFixed(1)}K`;
+    return `$${v}`;
+  }
+  if (unit === "pct") return `${v}%`;
+  return `${v}`;
+}
+
+function ruleLabel(rule) {
+  if (rule.label) return rule.label;
+  const { label = rule.field, unit } = FIELDS[rule.field] || {};
+  if (rule.in) return `${label} ${rule.in.join(" + ")}`;
+  if (rule.min != null && rule.max != null) {
+    if (unit === "h") return `${label} ${rule.min}-${rule.max}h`;
+    return `${label} ${formatValue(rule.min, unit)}-${formatValue(rule.max, unit)}`;
+  }
+  if (rule.min != null) return `${label} ≥ ${formatValue(rule.min, unit)}${unit === "h" ? "h" : ""}`;
+  return `${label} ≤ ${formatValue(rule.max, unit)}${unit === "h" ? "h" : ""}`;
+}
+
+function validateProfile(profile, index) {
+  if (!profile?.id) throw new Error(`Filter profile #${index} has no id`);
+  if (!Array.isArray(profile.rules)) throw new Error(`Filter profile "${profile.id}" has no rules`);
+  for (const rule of profile.rules) {
+    if (!rule.field) throw new Error(`Filter profile "${profile.id}" has a rule without a field`);
+    const hasRange = rule.min != null || rule.max != null;
+    if (!hasRange && !Array.isArray(rule.in)) {
+      throw new Error(`Filter profile "${profile.id}" rule on ${rule.field} needs min, max or in`);
+    }
+  }
+}
+
+function ruleMatches(rule, pair) {
+  const v = getFieldValue(pair, rule.field);
+  if (rule.in) return rule.in.includes(v);
+  if (typeof v !== "number" || Number.isNaN(v)) return false;
+  if (rule.min != null && v < rule.min) return false;
+  if (rule.max != null && v > rule.max) return false;
+  return true;
+}
+
+/**
+ * Load filter profiles from FILTERS_PATH (default server/config/filters.json).
+ * FILTER_PROFILES=a,b overrides which profiles are active.
+ * Throws on a malformed config so a bad deploy fails at boot.
+ */
+export function loadFilterProfiles(file = process.env.FILTERS_PATH || DEFAULT_FILTERS_PATH) {
+  const config = JSON.parse(readFileSync(file, "utf8"));
+  const list = config.profiles || [];
+  list.forEach(validateProfile);
+
+  const override = process.env.FILTER_PROFILES
+    ? new Set(process.env.FILTER_PROFILES.split(",").map((s) => s.trim()))
+    : null;
+
+  profiles = list.map((p) => ({
+    id: p.id,
+    label: p.label || p.id,
+    active: override ? override.has(p.id) : p.active !== false,
+    rules: p.rules.map((r) => ({ ...r, label: ruleLabel(r) })),
+  }));
+  if (!profiles.some((p) => p.active)) throw new Error("No active filter profiles");
+  return profiles;
+}
+
+/** Profile metadata for the API and UI. */
+export function getFilterProfiles() {
+  return profiles;
+}
+
+/**
+ * Ids of the active profiles a raw Dexscreener pair satisfies.
+ * @returns {string[]}
+ */
+export function matchProfiles(pair) {
+  return profiles
+    .filter((p) => p.active && p.rules.every((r) => ruleMatches(r, pair)))
+    .map((p) => p.id);
+}
+
+/**
+ * Why a raw pair fails every active profile: the first failing rule of each,
+ * with the value it had, e.g. "default: 24h Vol $80.0K-$180.0K (was $195.2K)".
+ * @returns {string[]} empty if the pair matches a profile
+ */
+export function explainMismatch(pair) {
+  if (matchProfiles(pair).length) return [];
+  return profiles
+    .filter((p) => p.active)
+    .map((p) => {
+      const rule = p.rules.find((r) => !ruleMatches(r, pair));
+      const v = getFieldValue(pair, rule.field);
+      const unit = FIELDS[rule.field]?.unit;
+      const was = v == null ? "missing"
+        : typeof v === "number" ? `${formatValue(+v.toPrecision(4), unit)}${unit === "h" ? "h" : ""}`
+        : v;
+      return `${p.id}: ${rule.label} (was ${was})`;
+    });
+}
@@ -1,15 +1,173 @@
 import Fastify from "fastify";
 import cors from "@fastify/cors";
-import { startCollector, getSnapshot, getStats, registerSSEClient, removeSSEClient } from "./collector.js";
-import { clearPairs } from "./redis.js";
+import {
+  startCollector, getSnapshot, getStats, getSchedulerStats, getPairHistory, getPairDetail, clearState,
+  watchPair, unwatchPair,
+} from "./collector.js";
+import { getWatchlist, clearWatchlist } from "./watchlist.js";
+import { openStream, closeStream } from "./sse.js";
+import { getFilterProfiles } from "./filters.js";
+import { getCandles, hasCandles } from "./candleStore.js";
+import { runBacktest } from "./backtest.js";
+import { resample, TIMEFRAMES } from "./resample.js";
+import { getOhlcv, normalizeOhlcvQuery } from "./ohlcvProxy.js";
+import { normalizeExportQuery, renderExport } from "./export.js";
+import { counter, histogram, renderMetrics, METRICS_CONTENT_TYPE } from "./metrics.js";
+import { createLogger, redactUrl } from "./logger.js";
+import {
+  listAlertRules, getAlertRule, createAlertRule, updateAlertRule, deleteAlertRule,
+  getAlertHistory, deleteAlertRulesOf, ALERT_RULE_TYPES,
+} from "./alerts.js";
+import {
+  loadAuth, authenticate, login, logout, createUser, deleteUser, listUsers,
+  createMagicToken, redeemMagicToken, listApiKeys, createApiKey, deleteApiKey,
+  getSettings, updateSettings,
+} from "./auth.js";
 
 const PORT = parseInt(process.env.PORT || "3001", 10);
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN || "";
+// When set, every route except health, login and admin needs a signed-in user or API key
+const AUTH_REQUIRED = process.env.AUTH_REQUIRED === "1" || process.env.AUTH_REQUIRED === "true";
+const PUBLIC_ROUTES = new Set(["/api/health", "/api/auth/config", "/api/auth/login", "/api/auth/magic"]);
+// Reverse proxies in front of the server, so request.ip (used to limit logins) is the client's
+const TRUST_PROXY = parseInt(process.env.TRUST_PROXY || "0", 10);
 
-const fastify = Fastify({ logger: false });
+const log = createLogger("http");
+
+// One line per request from the onResponse hook below instead of Fastify's request/response pair
+const fastify = Fastify({ logger: log, disableRequestLogging: true, trustProxy: TRUST_PROXY || false });
 
 await fastify.register(cors, {
   origin: true,
-  methods: ["GET"],
+  methods: ["GET", "POST", "PUT", "DELETE"],
+});
+
+// --- Request metrics and logging ---
+const httpRequests = counter("qba_http_requests_total", "API requests by method, route and status");
+const httpDuration = histogram("qba_http_request_duration_seconds", "API response time by route");
+
+fastify.addHook("onResponse", async (request, reply) => {
+  // Route patterns, not raw URLs, to keep label cardinality bounded
+  const route = request.routeOptions.url || "unmatched";
+  httpRequests.inc({ method: request.method, route, status: String(reply.statusCode) });
+  if (route !== "/api/stream") httpDuration.observe({ route }, reply.elapsedTime / 1000);
+
+  // Health checks and scrapes are frequent; keep them at debug
+  const level = route === "/api/health" || route === "/api/metrics" ? "debug" : "info";
+  request.log[level]({
+    method: request.method,
+    url: redactUrl(request.url),
+    statusCode: reply.statusCode,
+    responseTimeMs: Math.round(reply.elapsedTime),
+    user: request.user?.username,
+  }, "request completed");
+});
+
+// --- Auth ---
+// Credentials: `Authorization: Bearer <session token or API key>`, `X-API-Key`,
+// or `?token=` for /api/stream, since EventSource cannot send headers.
+fastify.decorateRequest("user", null);
+fastify.decorateRequest("credential", null);
+
+fastify.addHook("onRequest", async (request, reply) => {
+  const bearer = request.headers.authorization?.match(/^Bearer (.+)$/)?.[1];
+  const path = request.routeOptions.url;
+  const credential = request.headers["x-api-key"]
+    || (bearer && bearer !== ADMIN_TOKEN ? bearer : null)
+    || (path === "/api/stream" && typeof request.query.token === "string" ? request.query.token : null);
+  request.credential = credential || null;
+  request.user = authenticate(credential);
+
+  if (credential && !request.user) return reply.code(401).send({ error: "Invalid or expired credentials" });
+  if (!AUTH_REQUIRED || request.user || request.method === "OPTIONS") return;
+  if (PUBLIC_ROUTES.has(path) || path?.startsWith("/api/admin/")) return;
+  return reply.code(401).send({ error: "Authentication required" });
+});
+
+function requireUser(request, reply) {
+  if (request.user) return true;
+  reply.code(401).send({ error: "Authentication required" });
+  return false;
+}
+
+function requireAdmin(request, reply) {
+  if (!ADMIN_TOKEN) {
+    reply.code(403).send({ error: "Admin actions are disabled (ADMIN_TOKEN not set)" });
+    return false;
+  }
+  if (request.headers.authorization !== `Bearer ${ADMIN_TOKEN}`) {
+    reply.code(401).send({ error: "Unauthorized" });
+    return false;
+  }
+  return true;
+}
+
+const owner = (request) => request.user?.username ?? null;
+
+fastify.get("/api/auth/config", async () => {
+  return { authRequired: AUTH_REQUIRED };
+});
+
+fastify.post("/api/auth/login", async (request, reply) => {
+  try {
+    return await login(request.body || {}, { ip: request.ip });
+  } catch (err) {
+    if (err.retryAfterMs != null) reply.header("Retry-After", Math.ceil(err.retryAfterMs / 1000));
+    return reply.code(err.statusCode || 500).send({ error: err.message });
+  }
+});
+
+// Exchange a one-time token from POST /api/admin/users/:username/magic for a session
+fastify.post("/api/auth/magic", async (request, reply) => {
+  try {
+    return await redeemMagicToken(request.body?.token);
+  } catch (err) {
+    return reply.code(err.statusCode || 500).send({ error: err.message });
+  }
+});
+
+fastify.post("/api/auth/logout", async (request, reply) => {
+  if (!requireUser(request, reply)) return;
+  await logout(request.credential);
+  return reply.code(204).send();
+});
+
+fastify.get("/api/auth/me", async (request, reply) => {
+  if (!requireUser(request, reply)) return;
+  return { user: request.user };
+});
+
+fastify.get("/api/auth/keys", async (request, reply) => {
+  if (!requireUser(request, reply)) return;
+  return { keys: listApiKeys(request.user.username) };
+});
+
+fastify.post("/api/auth/keys", async (request, reply) => {
+  if (!requireUser(request, reply)) return;
+  return reply.code(201).send(await createApiKey(request.user.username, request.body || {}));
+});
+
+fastify.delete("/api/auth/keys/:id", async (request, reply) => {
+  if (!requireUser(request, reply)) return;
+  if (!(await deleteApiKey(request.user.username, request.params.id))) {
+    return reply.code(404).send({ error: "API key not found" });
+  }
+  return reply.code(204).send();
+});
+
+// Per-user settings: saved filters, column layouts, preferences
+fastify.get("/api/me/settings", async (request, reply) => {
+  if (!requireUser(request, reply)) return;
+  return getSettings(request.user.username);
+});
+
+fastify.put("/api/me/settings", async (request, reply) => {
+  if (!requireUser(request, reply)) return;
+  try {
+    return await updateSettings(request.user.username, request.body);
+  } catch (err) {
+    return reply.code(err.statusCode || 500).send({ error: err.message });
+  }
 });
 
 // Health check
@@ -19,7 +177,19 @@ fastify.get("/api/health", async () => {
 
 // Stats endpoint
 fastify.get("/api/stats", async () => {
-  return getStats();
+  return { ...getStats(), ohlcv: getSchedulerStats() };
+});
+
+// Prometheus metrics. Public like /api/stats unless AUTH_REQUIRED is set; then
+// scrapers send an API key as a bearer token
+fastify.get("/api/metrics", async (request, reply) => {
+  reply.type(METRICS_CONTENT_TYPE);
+  return renderMetrics();
+});
+
+// Filter profiles
+fastify.get("/api/filters", async () => {
+  return { profiles: getFilterProfiles() };
 });
 
 // Snapshot endpoint
@@ -27,7 +197,214 @@ fastify.get("/api/snapshot", async () => {
   return getSnapshot();
 });
 
-// SSE stream
+// Recently removed pairs: why they left and their last known metrics
+fastify.get("/api/pairs/history", async (request) => {
+  const limit = Math.min(parseInt(request.query.limit || "50", 10) || 50, 200);
+  return { pairs: getPairHistory({ limit, reason: request.query.reason }) };
+});
+
+// One pair for the detail page: the pair (or its removal record), lifecycle
+// timeline and sampled liquidity/volume series
+fastify.get("/api/pairs/:address", async (request, reply) => {
+  const detail = getPairDetail(request.params.address);
+  if (!detail) return reply.code(404).send({ error: "Pair is not tracked and not in recent history" });
+  return detail;
+});
+
+// Candle history: ?tf=5m|15m|1h|4h&from=&to= (unix seconds, inclusive)
+fastify.get("/api/pairs/:address/candles", async (request, reply) => {
+  const { address } = request.params;
+  const { tf = "5m" } = request.query;
+  const tfSec = TIMEFRAMES[tf];
+  if (!tfSec) {
+    return reply.code(400).send({ error: `tf must be one of ${Object.keys(TIMEFRAMES).join(", ")}` });
+  }
+  const from = request.query.from != null ? Number(request.query.from) : -Infinity;
+  const to = request.query.to != null ? Number(request.query.to) : Infinity;
+  if (Number.isNaN(from) || Number.isNaN(to)) {
+    return reply.code(400).send({ error: "from and to must be unix timestamps in seconds" });
+  }
+  if (!hasCandles(address)) return reply.code(404).send({ error: "No candles for this pair" });
+
+  // Widen `from` to the start of its bar so the first bar is complete
+  const candles = getCandles(address, { from: Math.floor(from / tfSec) * tfSec, to });
+  return { pairAddress: address, tf, candles: resample(candles, tf) };
+});
+
+// Upstream OHLCV for any pool, tracked or not: ?tf=5m|15m|1h|4h&limit=1..1000
+// (defaults 1h, 24). Cached and rate limited server-side; see ohlcvProxy.js.
+fastify.get("/api/pairs/:address/ohlcv", async (request, reply) => {
+  const { address } = request.params;
+  let query;
+  try {
+    query = normalizeOhlcvQuery(address, request.query);
+  } catch (err) {
+    return reply.code(err.statusCode || 500).send({ error: err.message });
+  }
+  try {
+    const { candles, fetchedAt } = await getOhlcv(address, query.tf, query.limit);
+    return { pairAddress: address, ...query, fetchedAt, candles };
+  } catch (err) {
+    if (err.status === 404) return reply.code(404).send({ error: "Pool not found upstream" });
+    if (err.status === 429) {
+      if (err.retryAfterMs != null) reply.header("Retry-After", Math.ceil(err.retryAfterMs / 1000));
+      return reply.code(429).send({ error: "Upstream rate limit, try again later" });
+    }
+    log.warn({ err, pairAddress: address }, "OHLCV proxy request failed");
+    return reply.code(502).send({ error: "Upstream OHLCV request failed" });
+  }
+});
+
+// Download tracked pairs as CSV, JSON or NDJSON; see export.js for the query.
+// POST takes the same options as a JSON body, for address lists too long for a URL.
+function sendExport(query, reply) {
+  let options;
+  try {
+    options = normalizeExportQuery(query);
+  } catch (err) {
+    return reply.code(err.statusCode || 500).send({ error: err.message });
+  }
+  const { pairs } = getSnapshot();
+  // Unknown or no-longer-tracked addresses are skipped
+  const rows = options.pairs ? options.pairs.map((addr) => pairs[addr]).filter(Boolean) : Object.values(pairs);
+  const { contentType, filename, body } = renderExport(rows, options);
+  reply.type(contentType).header("Content-Disposition", `attachment; filename="${filename}"`);
+  return reply.send(body);
+}
+
+fastify.get("/api/export", async (request, reply) => sendExport(request.query, reply));
+
+fastify.post("/api/export", async (request, reply) => sendExport(request.body || {}, reply));
+
+// Backtest a strategy over stored candles: { pairs?: [address], timeframe,
+// rsiPeriod, entry, exit, feePct }. Defaults to every tracked pair.
+fastify.post("/api/backtest", async (request, reply) => {
+  const { pairs: addrs, ...strategy } = request.body || {};
+  if (addrs != null && !Array.isArray(addrs)) return reply.code(400).send({ error: "pairs must be an array of addresses" });
+  const targets = addrs?.length ? addrs : Object.keys(getSnapshot().pairs);
+  const candles = new Map();
+  for (const addr of targets) {
+    if (hasCandles(addr)) candles.set(addr, getCandles(addr));
+  }
+  if (!candles.size) return reply.code(404).send({ error: "No candles for the requested pairs" });
+  try {
+    return runBacktest(candles, strategy);
+  } catch (err) {
+    return reply.code(err.statusCode || 500).send({ error: err.message });
+  }
+});
+
+// Alert rules
+// Signed-in users see shared rules plus their own; new rules are owned by the
+// caller, or shared when created anonymously or with `"shared": true`.
+fastify.get("/api/alerts/rules", async (request) => {
+  return { rules: listAlertRules(owner(request)), types: ALERT_RULE_TYPES };
+});
+
+fastify.get("/api/alerts/rules/:id", async (request, reply) => {
+  const rule = getAlertRule(request.params.id, owner(request));
+  if (!rule) return reply.code(404).send({ error: "Rule not found" });
+  return rule;
+});
+
+fastify.post("/api/alerts/rules", async (request, reply) => {
+  try {
+    const body = request.body || {};
+    const rule = await createAlertRule(body, body.shared ? null : owner(request), owner(request));
+    return reply.code(201).send(rule);
+  } catch (err) {
+    return reply.code(err.statusCode || 500).send({ error: err.message });
+  }
+});
+
+fastify.put("/api/alerts/rules/:id", async (request, reply) => {
+  try {
+    const rule = await updateAlertRule(request.params.id, request.body || {}, owner(request));
+    if (!rule) return reply.code(404).send({ error: "Rule not found" });
+    return rule;
+  } catch (err) {
+    return reply.code(err.statusCode || 500).send({ error: err.message });
+  }
+});
+
+fastify.delete("/api/alerts/rules/:id", async (request, reply) => {
+  if (!(await deleteAlertRule(request.params.id, owner(request)))) return reply.code(404).send({ error: "Rule not found" });
+  return reply.code(204).send();
+});
+
+// Fired alerts, newest first: ?limit=&pair=
+fastify.get("/api/alerts/history", async (request) => {
+  const limit = Math.min(parseInt(request.query.limit || "100", 10) || 100, 500);
+  return { alerts: getAlertHistory({ limit, pairAddress: request.query.pair, owner: owner(request) }) };
+});
+
+// Watchlist: pinned pairs stay tracked regardless of filters. Signed-in users
+// get their own list; anonymous callers share one.
+fastify.get("/api/watchlist", async (request) => {
+  return { pairs: getWatchlist(owner(request)) };
+});
+
+fastify.post("/api/watchlist", async (request, reply) => {
+  const { pairAddress, note } = request.body || {};
+  if (!pairAddress || typeof pairAddress !== "string") {
+    return reply.code(400).send({ error: "pairAddress is required" });
+  }
+  try {
+    const entry = await watchPair(pairAddress, { note, owner: owner(request) });
+    if (!entry) return reply.code(404).send({ error: "Pair not found" });
+    return reply.code(201).send(entry);
+  } catch (err) {
+    return reply.code(502).send({ error: `Could not look up pair: ${err.message}` });
+  }
+});
+
+fastify.delete("/api/watchlist/:address", async (request, reply) => {
+  if (!(await unwatchPair(request.params.address, owner(request)))) return reply.code(404).send({ error: "Pair not watched" });
+  return reply.code(204).send();
+});
+
+// Admin: wipe tracked pairs (and optionally ATHs) from memory and Redis
+fastify.post("/api/admin/clear", async (request, reply) => {
+  if (!requireAdmin(request, reply)) return;
+  const includeAth = request.query.ath === "1" || request.query.ath === "true";
+  await clearState({ includeAth });
+  return { cleared: true, includeAth };
+});
+
+// Admin: user accounts
+fastify.get("/api/admin/users", async (request, reply) => {
+  if (!requireAdmin(request, reply)) return;
+  return { users: listUsers() };
+});
+
+fastify.post("/api/admin/users", async (request, reply) => {
+  if (!requireAdmin(request, reply)) return;
+  try {
+    return reply.code(201).send(await createUser(request.body || {}));
+  } catch (err) {
+    return reply.code(err.statusCode || 500).send({ error: err.message });
+  }
+});
+
+fastify.delete("/api/admin/users/:username", async (request, reply) => {
+  if (!requireAdmin(request, reply)) return;
+  const { username } = request.params;
+  if (!(await deleteUser(username))) return reply.code(404).send({ error: "User not found" });
+  await clearWatchlist(username);
+  await deleteAlertRulesOf(username);
+  return reply.code(204).send();
+});
+
+// One-time login token (15 min) to hand to a user, e.g. one without a password
+fastify.post("/api/admin/users/:username/magic", async (request, reply) => {
+  if (!requireAdmin(request, reply)) return;
+  const magic = createMagicToken(request.params.username);
+  if (!magic) return reply.code(404).send({ error: "User not found" });
+  return magic;
+});
+
+// SSE stream. Resumes from the Last-Event-ID header (or ?lastEventId= for
+// clients that reconnect with a new EventSource), else starts with a snapshot.
 fastify.get("/api/stream", (request, reply) => {
   reply.raw.writeHead(200, {
     "Content-Type": "text/event-stream",
@@ -36,12 +413,11 @@ fastify.get("/api/stream", (request, reply) => {
     "Access-Control-Allow-Origin": "*",
   });
 
-  // Send initial snapshot
-  const snapshot = getSnapshot();
-  reply.raw.write(`event: snapshot\ndata: ${JSON.stringify(snapshot)}\n\n`);
-
-  // Register for updates
-  registerSSEClient(reply.raw);
+  const lastEventId = request.headers["last-event-id"] || request.query.lastEventId;
+  // Alerts from personal rules only go to their owner
+  const username = owner(request);
+  const accept = (event, data) => event !== "alert" || !data.owner || data.owner === username;
+  openStream(reply.raw, { lastEventId, snapshot: getSnapshot, accept });
 
   // Heartbeat every 15s
   const heartbeat = setInterval(() => {
@@ -54,17 +430,16 @@ fastify.get("/api/stream", (request, reply) => {
 
   request.raw.on("close", () => {
     clearInterval(heartbeat);
-    removeSSEClient(reply.raw);
+    closeStream(reply.raw);
   });
 });
 
 // Start
 try {
-  await clearPairs();
+  await loadAuth();
   await startCollector();
   await fastify.listen({ port: PORT, host: "0.0.0.0" });
-  console.log(`[${new Date().toISOString()}] Server listening on port ${PORT}`);
 } catch (err) {
-  console.error("Fatal:", err);
+  log.fatal({ err }, "Fatal");
   process.exit(1);
 }
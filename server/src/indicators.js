@@ -0,0 +1,206 @@
+import { readFileSync } from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { computeRSI, computeRSISeries } from "./rsi.js";
+import { TIMEFRAMES } from "./resample.js";
+
+const DEFAULT_INDICATORS_PATH = path.resolve(
+  path.dirname(fileURLToPath(import.meta.url)),
+  "../config/indicators.json"
+);
+
+/**
+ * EMA of every value from index `period - 1` on, seeded with the SMA of the
+ * first `period` values.
+ * @param {number[]} values - oldest first
+ * @returns {number[]} empty if not enough data
+ */
+export function computeEMASeries(values, period) {
+  if (!values || values.length < period) return [];
+  const k = 2 / (period + 1);
+  let ema = values.slice(0, period).reduce((a, b) => a + b, 0) / period;
+  const out = [ema];
+  for (let i = period; i < values.length; i++) {
+    ema = values[i] * k + ema * (1 - k);
+    out.push(ema);
+  }
+  return out;
+}
+
+/**
+ * Latest EMA value.
+ * @param {number[]} closes - close prices (oldest first)
+ * @returns {number|null} null if not enough data
+ */
+export function computeEMA(closes, period) {
+  const series = computeEMASeries(closes, period);
+  return series.length ? series[series.length - 1] : null;
+}
+
+/**
+ * MACD line (fast EMA - slow EMA), its signal EMA and the histogram.
+ * @param {number[]} closes - close prices (oldest first)
+ * @returns {{ macd: number, signal: number, histogram: number }|null}
+ */
+export function computeMACD(closes, fast = 12, slow = 26, signal = 9) {
+  if (!closes || closes.length < slow + signal - 1) return null;
+  const fastSeries = computeEMASeries(closes, fast);
+  const slowSeries = computeEMASeries(closes, slow);
+  // Align the fast series to the slow one, which starts later
+  const offset = slow - fast;
+  const macdSeries = slowSeries.map((s, i) => fastSeries[i + offset] - s);
+  const signalSeries = computeEMASeries(macdSeries, signal);
+  if (!signalSeries.length) return null;
+  const macd = macdSeries[macdSeries.length - 1];
+  const sig = signalSeries[signalSeries.length - 1];
+  return { macd, signal: sig, histogram: macd - sig };
+}
+
+/**
+ * Bollinger Bands over the last `period` closes.
+ * @param {number[]} closes - close prices (oldest first)
+ * @returns {{ upper: number, middle: number, lower: number, percentB: number|null, bandwidth: number|null }|null}
+ */
+export function computeBollinger(closes, period = 20, mult = 2) {
+  if (!closes || closes.length < period) return null;
+  const window = closes.slice(-period);
+  const middle = window.reduce((a, b) => a + b, 0) / period;
+  const variance = window.reduce((a, b) => a + (b - middle) ** 2, 0) / period;
+  const sd = Math.sqrt(variance);
+  const upper = middle + mult * sd;
+  const lower = middle - mult * sd;
+  const last = closes[closes.length - 1];
+  return {
+    upper,
+    middle,
+    lower,
+    percentB: upper === lower ? null : (last - lower) / (upper - lower),
+    bandwidth: middle ? (upper - lower) / middle : null,
+  };
+}
+
+/**
+ * Volume-weighted average price over the given window.
+ * @param {number[]} prices - typical prices (h + l + c) / 3, oldest first
+ * @param {number[]} volumes - matching volumes
+ * @returns {number|null} null if there is no volume
+ */
+export function computeVWAP(prices, volumes) {
+  if (!prices?.length || prices.length !== volumes?.length) return null;
+  let pv = 0;
+  let vol = 0;
+  for (let i = 0; i < prices.length; i++) {
+    pv += prices[i] * volumes[i];
+    vol += volumes[i];
+  }
+  return vol > 0 ? pv / vol : null;
+}
+
+/**
+ * Stochastic RSI: where RSI sits in its own recent range, smoothed into %K and %D (0-100).
+ * @param {number[]} closes - close prices (oldest first)
+ * @returns {{ k: number, d: number }|null}
+ */
+export function computeStochRSI(closes, rsiPeriod = 14, stochPeriod = 14, kPeriod = 3, dPeriod = 3) {
+  const rsi = computeRSISeries(closes, rsiPeriod);
+  if (rsi.length < stochPeriod + kPeriod + dPeriod - 2) return null;
+
+  const raw = [];
+  for (let i = stochPeriod - 1; i < rsi.length; i++) {
+    const window = rsi.slice(i - stochPeriod + 1, i + 1);
+    const lo = Math.min(...window);
+    const hi = Math.max(...window);
+    raw.push(hi === lo ? 50 : ((rsi[i] - lo) / (hi - lo)) * 100);
+  }
+  const sma = (arr, n) => arr.slice(n - 1).map((_, i) => arr.slice(i, i + n).reduce((a, b) => a + b, 0) / n);
+  const k = sma(raw, kPeriod);
+  const d = sma(k, dPeriod);
+  return { k: k[k.length - 1], d: d[d.length - 1] };
+}
+
+// --- Registry ---
+// Each entry turns bars ({ t, o, h, l, c, v }, oldest first) into flat fields
+// that are merged into pair.indicators[timeframe].
+
+const pct = (a, b) => (a != null && b ? ((a - b) / b) * 100 : null);
+
+export const INDICATORS = {
+  rsi: (bars, { period = 14 } = {}) => ({
+    rsi: computeRSI(bars.map((b) => b.c), period),
+  }),
+
+  ema: (bars, { fast = 9, slow = 21 } = {}) => {
+    const closes = bars.map((b) => b.c);
+    const emaFast = computeEMA(closes, fast);
+    const emaSlow = computeEMA(closes, slow);
+    return { emaFast, emaSlow, emaSpreadPct: pct(emaFast, emaSlow) };
+  },
+
+  macd: (bars, { fast = 12, slow = 26, signal = 9 } = {}) => {
+    const m = computeMACD(bars.map((b) => b.c), fast, slow, signal);
+    const last = bars[bars.length - 1]?.c;
+    return {
+      macd: m?.macd ?? null,
+      macdSignal: m?.signal ?? null,
+      macdHist: m?.histogram ?? null,
+      // Histogram as % of price so it compares across tokens
+      macdHistPct: m && last ? (m.histogram / last) * 100 : null,
+    };
+  },
+
+  bollinger: (bars, { period = 20, mult = 2 } = {}) => {
+    const bb = computeBollinger(bars.map((b) => b.c), period, mult);
+    return {
+      bbUpper: bb?.upper ?? null,
+      bbLower: bb?.lower ?? null,
+      bbPctB: bb?.percentB ?? null,
+    };
+  },
+
+  vwap: (bars, { bars: window = 288 } = {}) => {
+    const recent = bars.slice(-window);
+    const vwap = computeVWAP(
+      recent.map((b) => (b.h + b.l + b.c) / 3),
+      recent.map((b) => b.v)
+    );
+    return { vwap, vwapDistPct: pct(recent[recent.length - 1]?.c, vwap) };
+  },
+
+  stochRsi: (bars, { rsiPeriod = 14, stochPeriod = 14, k = 3, d = 3 } = {}) => {
+    const s = computeStochRSI(bars.map((b) => b.c), rsiPeriod, stochPeriod, k, d);
+    return { stochK: s?.k ?? null, stochD: s?.d ?? null };
+  },
+};
+
+let config = { timeframes: { "5m": ["rsi"] }, params: {} };
+
+/**
+ * Load which indicators run on which timeframe from INDICATORS_PATH
+ * (default server/config/indicators.json). Throws on unknown indicators.
+ */
+export function loadIndicatorConfig(file = process.env.INDICATORS_PATH || DEFAULT_INDICATORS_PATH) {
+  const parsed = JSON.parse(readFileSync(file, "utf8"));
+  for (const [tf, names] of Object.entries(parsed.timeframes || {})) {
+    if (!TIMEFRAMES[tf]) throw new Error(`Unsupported indicator timeframe "${tf}"`);
+    const unknown = names.find((n) => !INDICATORS[n]);
+    if (unknown) throw new Error(`Unknown indicator "${unknown}" for ${tf}`);
+  }
+  config = { timeframes: parsed.timeframes || {}, params: parsed.params || {} };
+  return config;
+}
+
+export function getIndicatorConfig() {
+  return config;
+}
+
+/**
+ * Run the indicators configured for a timeframe over its bars.
+ * @returns {object} flat map of indicator fields
+ */
+export function computeIndicators(tf, bars) {
+  const out = {};
+  for (const name of config.timeframes[tf] || []) {
+    Object.assign(out, INDICATORS[name](bars, config.params[name]));
+  }
+  return out;
+}
@@ -0,0 +1,53 @@
+// Structured JSON logging, one line per entry:
+//   {"level":"info","time":"...","module":"collector","cycle":"discovery","cycleId":"discovery-1a2b3c4d","msg":"..."}
+//
+// LOG_LEVEL=trace|debug|info|warn|error|fatal|silent (default info)
+//
+// Work started through withCycle() carries its cycle name and ID on every
+// line it logs, including lines from fetcher.js and redis.js further down
+// the call chain.
+import { AsyncLocalStorage } from "node:async_hooks";
+import { randomBytes } from "node:crypto";
+import pino from "pino";
+
+const cycleContext = new AsyncLocalStorage();
+
+let output = process.stdout;
+
+/** Strip credentials from a logged URL (`?token=` on /api/stream). */
+export function redactUrl(url) {
+  return String(url).replace(/([?&]token=)[^&]*/, "$1[redacted]");
+}
+
+export const logger = pino(
+  {
+    level: process.env.LOG_LEVEL || "info",
+    base: undefined,
+    timestamp: pino.stdTimeFunctions.isoTime,
+    formatters: { level: (label) => ({ level: label }) },
+    mixin: () => cycleContext.getStore() || {},
+    serializers: {
+      req: (req) => ({ method: req.method, url: redactUrl(req.url), remoteAddress: req.ip }),
+    },
+  },
+  { write: (line) => output.write(line) }
+);
+
+/** A logger whose lines carry `module`. */
+export function createLogger(module) {
+  return logger.child({ module });
+}
+
+/**
+ * Run `fn` as one cycle of `cycle` work; every line logged inside it,
+ * however deep, gets `cycle` and a fresh `cycleId`.
+ */
+export function withCycle(cycle, fn) {
+  const cycleId = `${cycle}-${randomBytes(4).toString("hex")}`;
+  return cycleContext.run({ cycle, cycleId }, fn);
+}
+
+/** Send logs to stderr, keeping stdout for program output (CLIs). */
+export function logToStderr() {
+  output = process.stderr;
+}
@@ -0,0 +1,118 @@
+// Minimal Prometheus metrics: counters, gauges and histograms rendered in
+// the text exposition format (version 0.0.4) for GET /api/metrics.
+
+const registry = new Map(); // name -> metric
+
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+const escapeLabel = (v) => String(v).replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, '\\"');
+
+function labelKey(labels = {}) {
+  return JSON.stringify(Object.keys(labels).sort().map((k) => [k, String(labels[k])]));
+}
+
+function formatLabels(labels = {}, extra = {}) {
+  const all = { ...labels, ...extra };
+  const parts = Object.keys(all).map((k) => `${k}="${escapeLabel(all[k])}"`);
+  return parts.length ? `{${parts.join(",")}}` : "";
+}
+
+const formatValue = (v) => (v === Infinity ? "+Inf" : v === -Infinity ? "-Inf" : String(v));
+
+function register(metric) {
+  if (registry.has(metric.name)) throw new Error(`Metric ${metric.name} registered twice`);
+  registry.set(metric.name, metric);
+  return metric;
+}
+
+/** Monotonic counter. */
+export function counter(name, help) {
+  const values = new Map(); // labelKey -> { labels, value }
+  return register({
+    name, help, type: "counter",
+    inc(labels = {}, by = 1) {
+      const key = labelKey(labels);
+      const entry = values.get(key) || { labels, value: 0 };
+      entry.value += by;
+      values.set(key, entry);
+    },
+    samples: () => Array.from(values.values(), ({ labels, value }) => `${name}${formatLabels(labels)} ${formatValue(value)}`),
+  });
+}
+
+/**
+ * Gauge, either set directly or read at scrape time from `collect()`,
+ * which returns [labels, value] pairs.
+ */
+export function gauge(name, help, { collect } = {}) {
+  const values = new Map();
+  return register({
+    name, help, type: "gauge",
+    set(labels, value) {
+      values.set(labelKey(labels), { labels, value });
+    },
+    samples() {
+      const list = collect ? collect().map(([labels, value]) => ({ labels, value })) : Array.from(values.values());
+      return list.map(({ labels, value }) => `${name}${formatLabels(labels)} ${formatValue(value)}`);
+    },
+  });
+}
+
+/** Histogram with cumulative buckets (upper bounds in the metric's unit). */
+export function histogram(name, help, { buckets = DEFAULT_BUCKETS } = {}) {
+  const values = new Map(); // labelKey -> { labels, counts, sum, count }
+  return register({
+    name, help, type: "histogram",
+    observe(labels, value) {
+      const key = labelKey(labels);
+      let entry = values.get(key);
+      if (!entry) {
+        entry = { labels, counts: buckets.map(() => 0), sum: 0, count: 0 };
+        values.set(key, entry);
+      }
+      buckets.forEach((b, i) => {
+        if (value <= b) entry.counts[i]++;
+      });
+      entry.sum += value;
+      entry.count++;
+    },
+    /** Start a timer; calling the returned function observes the elapsed seconds. */
+    startTimer(labels = {}) {
+      const start = process.hrtime.bigint();
+      return (more = {}) => this.observe({ ...labels, ...more }, Number(process.hrtime.bigint() - start) / 1e9);
+    },
+    samples() {
+      const out = [];
+      for (const { labels, counts, sum, count } of values.values()) {
+        buckets.forEach((b, i) => out.push(`${name}_bucket${formatLabels(labels, { le: formatValue(b) })} ${counts[i]}`));
+        out.push(`${name}_bucket${formatLabels(labels, { le: "+Inf" })} ${count}`);
+        out.push(`${name}_sum${formatLabels(labels)} ${sum}`);
+        out.push(`${name}_count${formatLabels(labels)} ${count}`);
+      }
+      return out;
+    },
+  });
+}
+
+export const METRICS_CONTENT_TYPE = "text/plain; version=0.0.4; charset=utf-8";
+
+/** Every registered metric in Prometheus text format. */
+export function renderMetrics() {
+  const lines = [];
+  for (const m of registry.values()) {
+    lines.push(`# HELP ${m.name} ${m.help}`, `# TYPE ${m.name} ${m.type}`, ...m.samples());
+  }
+  return `${lines.join("\n")}\n`;
+}
+
+// --- Process ---
+
+const startedAt = Date.now();
+
+gauge("qba_process_uptime_seconds", "Seconds since the server started", {
+  collect: () => [[{}, (Date.now() - startedAt) / 1000]],
+});
+
+gauge("qba_process_resident_memory_bytes", "Resident set size", {
+  collect: () => [[{}, process.memoryUsage().rss]],
+});
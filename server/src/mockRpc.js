@@ -0,0 +1,113 @@
+// Minimal Solana JSON-RPC server over fixtures/rpc.json, for running the
+// token safety checks offline:
+//
+//   npm run mock-rpc
+//   SOLANA_RPC_URL=http://127.0.0.1:8899 MARKET_DATA=local npm start
+//
+// Serves getAccountInfo, getMultipleAccounts and getTokenLargestAccounts for
+// the fixture pairs: a clean token (MOONCAT), one with its mint authority
+// still set (GIGA), one on the pump.fun bonding curve (WIFHAT), and a rug
+// with a freeze authority and concentrated holders (RUGME).
+//
+// Tests start it in-process with startMockRpc({ port: 0 }).
+//
+// MOCK_RPC_PORT=8899   listen port
+// RPC_FIXTURE=path     fixture file (default server/fixtures/rpc.json)
+import { createServer } from "node:http";
+import { readFileSync } from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { createLogger } from "./logger.js";
+
+const PORT = parseInt(process.env.MOCK_RPC_PORT || "8899", 10);
+const FIXTURE = process.env.RPC_FIXTURE
+  || path.join(path.dirname(fileURLToPath(import.meta.url)), "..", "fixtures", "rpc.json");
+const SLOT = 300_000_000;
+
+const log = createLogger("mock-rpc");
+
+class RpcError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.code = code;
+  }
+}
+
+const withContext = (value) => ({ context: { slot: SLOT }, value });
+
+function createMethods({ accounts, largest }) {
+  const account = (address) => accounts[address] ?? null;
+  return {
+    getAccountInfo: ([address]) => withContext(account(address)),
+    getMultipleAccounts: ([addresses]) => {
+      if (!Array.isArray(addresses)) throw new RpcError(-32602, "Invalid params: expected an array of addresses");
+      return withContext(addresses.map(account));
+    },
+    getTokenLargestAccounts: ([mint]) => {
+      if (!largest[mint]) throw new RpcError(-32602, "Invalid param: not a Token mint");
+      return withContext(largest[mint]);
+    },
+  };
+}
+
+/**
+ * Start the mock RPC. Port 0 picks a free port; `calls` lists the method of
+ * every request served, in order.
+ * @returns {Promise<{ url: string, port: number, calls: string[], close: () => Promise<void> }>}
+ */
+export function startMockRpc({ port = PORT, fixture = FIXTURE } = {}) {
+  const methods = createMethods(JSON.parse(readFileSync(fixture, "utf8")));
+  const calls = [];
+
+  const handle = (req) => {
+    const base = { jsonrpc: "2.0", id: req?.id ?? null };
+    calls.push(req?.method);
+    try {
+      const method = methods[req?.method];
+      if (!method) throw new RpcError(-32601, "Method not found");
+      return { ...base, result: method(req.params || []) };
+    } catch (err) {
+      if (!(err instanceof RpcError)) throw err;
+      return { ...base, error: { code: err.code, message: err.message } };
+    }
+  };
+
+  const server = createServer((req, res) => {
+    if (req.method !== "POST") {
+      res.writeHead(405).end();
+      return;
+    }
+    let raw = "";
+    req.on("data", (chunk) => (raw += chunk));
+    req.on("end", () => {
+      let body;
+      try {
+        const parsed = JSON.parse(raw);
+        // Batches are arrays of requests, answered in one array
+        body = Array.isArray(parsed) ? parsed.map(handle) : handle(parsed);
+      } catch {
+        body = { jsonrpc: "2.0", id: null, error: { code: -32700, message: "Parse error" } };
+      }
+      log.debug({ request: raw.slice(0, 200) }, "RPC request");
+      res.writeHead(200, { "Content-Type": "application/json" }).end(JSON.stringify(body));
+    });
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(port, "127.0.0.1", () => {
+      const actual = server.address().port;
+      resolve({
+        url: `http://127.0.0.1:${actual}`,
+        port: actual,
+        calls,
+        close: () => new Promise((done) => server.close(() => done())),
+      });
+    });
+  });
+}
+
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  const { url } = await startMockRpc();
+  log.info(`Mock Solana RPC on ${url} (fixture ${FIXTURE})`);
+}
@@ -0,0 +1,96 @@
+// OHLCV for any pool, fetched from GeckoTerminal on behalf of the frontend
+// so browsers never call upstream themselves. Every client shares one TTL
+// cache, requests go through geckoLimiter alongside the collector's own, and
+// identical requests in flight at the same time share a single upstream call.
+//
+// Each pool and timeframe is fetched once at GECKO_MAX_CANDLES and sliced to
+// the requested limit, so varying `limit` cannot get past the cache. Failures
+// are cached for a few seconds, 429s until their Retry-After, and while the
+// OHLCV scheduler is paused after a 429 no upstream call is made.
+import { fetchOhlcvTimeframe, GECKO_MAX_CANDLES } from "./providers/geckoterminal.js";
+import { TIMEFRAMES } from "./resample.js";
+import { counter } from "./metrics.js";
+import { ohlcvPausedUntil, pauseOhlcv } from "./collector.js";
+
+const CACHE_TTL_MS = parseInt(process.env.OHLCV_CACHE_TTL_MS || "60000", 10);
+const FAILURE_TTL_MS = 10_000;
+const CACHE_MAX_ENTRIES = 500;
+const DEFAULT_LIMIT = 24;
+
+// Solana addresses are base58, 32-44 characters
+const ADDRESS_RE = /^[1-9A-HJ-NP-Za-km-z]{32,44}$/;
+
+const cache = new Map(); // `${address}:${tf}` -> { candles, fetchedAt, expiresAt } or { error, expiresAt }, oldest first
+const inFlight = new Map(); // key -> Promise<candles>
+
+const cacheRequests = counter("qba_ohlcv_proxy_requests_total", "OHLCV proxy requests by result (hit, miss, coalesced)");
+
+function httpError(statusCode, message) {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+}
+
+/**
+ * Validate and default the query. Throws errors with statusCode 400.
+ * @returns {{ tf: string, limit: number }}
+ */
+export function normalizeOhlcvQuery(address, { tf = "1h", limit = DEFAULT_LIMIT } = {}) {
+  if (!ADDRESS_RE.test(address)) throw httpError(400, "address must be a Solana address");
+  if (!TIMEFRAMES[tf]) throw httpError(400, `tf must be one of ${Object.keys(TIMEFRAMES).join(", ")}`);
+  const n = Number(limit);
+  if (!Number.isInteger(n) || n < 1 || n > GECKO_MAX_CANDLES) {
+    throw httpError(400, `limit must be an integer from 1 to ${GECKO_MAX_CANDLES}`);
+  }
+  return { tf, limit: n };
+}
+
+function rateLimited(waitMs) {
+  const err = new Error("Upstream rate limited");
+  err.status = 429;
+  err.retryAfterMs = waitMs;
+  return err;
+}
+
+function remember(key, entry) {
+  cache.delete(key);
+  cache.set(key, entry);
+  while (cache.size > CACHE_MAX_ENTRIES) cache.delete(cache.keys().next().value);
+  return entry;
+}
+
+function fetchUpstream(key, address, tf) {
+  return fetchOhlcvTimeframe(address, tf, GECKO_MAX_CANDLES)
+    .then((candles) => remember(key, { candles, fetchedAt: Date.now(), expiresAt: Date.now() + CACHE_TTL_MS }))
+    .catch((err) => {
+      const ttl = err.status === 429 ? pauseOhlcv(err.retryAfterMs) : FAILURE_TTL_MS;
+      remember(key, { error: err, expiresAt: Date.now() + ttl });
+      throw err;
+    })
+    .finally(() => inFlight.delete(key));
+}
+
+/**
+ * Candles for a pool, oldest first, served from the cache while fresh.
+ * Upstream failures keep their HTTP `status` (and `retryAfterMs` on 429).
+ * @returns {Promise<{ candles: object[], fetchedAt: number }>}
+ */
+export async function getOhlcv(address, tf, limit) {
+  const key = `${address}:${tf}`;
+  const now = Date.now();
+  let entry = cache.get(key);
+  if (entry && now < entry.expiresAt) {
+    cacheRequests.inc({ result: "hit" });
+  } else if (inFlight.has(key)) {
+    cacheRequests.inc({ result: "coalesced" });
+    entry = await inFlight.get(key);
+  } else {
+    if (now < ohlcvPausedUntil()) throw rateLimited(ohlcvPausedUntil() - now);
+    cacheRequests.inc({ result: "miss" });
+    const request = fetchUpstream(key, address, tf);
+    inFlight.set(key, request);
+    entry = await request;
+  }
+  if (entry.error) throw entry.error;
+  return { candles: entry.candles.slice(-limit), fetchedAt: entry.fetchedAt };
+}
@@ -0,0 +1,139 @@
+import { fetchWithRetry, BROWSER_HEADERS } from "../fetcher.js";
+import { dexLimiter, discoveryLimiter } from "../rateLimiter.js";
+import { createLogger } from "../logger.js";
+
+const BOOSTS_URL = "https://api.dexscreener.com/token-boosts/top/v1";
+const TOKENS_URL = (addrs) =>
+  `https://api.dexscreener.com/latest/dex/tokens/${addrs}`;
+const PAIRS_URL = (addrs) =>
+  `https://api.dexscreener.com/latest/dex/pairs/solana/${addrs}`;
+const SEARCH_URL = (q) =>
+  `https://api.dexscreener.com/latest/dex/search?q=${encodeURIComponent(q)}`;
+
+// Dexscreener allows up to 30 addresses per request
+const BATCH_SIZE = 30;
+
+const log = createLogger("dexscreener");
+
+// --- Boosts: top boosted tokens -> pairs for those tokens ---
+
+function extractSolanaTokenAddresses(boosts) {
+  const addrs = [];
+  const seen = new Set();
+  for (const b of boosts) {
+    if (b.chainId !== "solana") continue;
+    const addr = b.tokenAddress;
+    if (addr && !seen.has(addr)) {
+      seen.add(addr);
+      addrs.push(addr);
+    }
+  }
+  return addrs;
+}
+
+async function fetchInBatches(addresses, urlFor, label) {
+  const results = [];
+  for (let i = 0; i < addresses.length; i += BATCH_SIZE) {
+    const batch = addresses.slice(i, i + BATCH_SIZE).join(",");
+    try {
+      const data = await fetchWithRetry(urlFor(batch), dexLimiter);
+      if (data?.pairs) results.push(...data.pairs);
+    } catch (err) {
+      log.error(`${label} batch fetch error: ${err.message}`);
+    }
+  }
+  return results;
+}
+
+async function discoverViaBoosts() {
+  const boosts = await fetchWithRetry(BOOSTS_URL, discoveryLimiter, { retries: 1 });
+  log.info(`Boosts: fetched ${boosts.length} boosted tokens`);
+
+  const solanaAddrs = extractSolanaTokenAddresses(boosts);
+  log.info(`Boosts: ${solanaAddrs.length} unique Solana token addresses`);
+  if (!solanaAddrs.length) return [];
+
+  return fetchInBatches(solanaAddrs, TOKENS_URL, "Token");
+}
+
+// --- Search: server-side filtered io endpoints, then official search ---
+
+const SEARCH_ENDPOINTS = [
+  {
+    name: "io-internal",
+    url: "https://io.dexscreener.com/dex/search/pairs/solana?rankBy=trendingScoreH6&order=desc&dexIds=pumpswap,pumpfun&minLiq=10000&minMarketCap=30000&minAge=2&maxAge=1000&min24HVol=80000&max24HVol=180000&profile=0&launchpads=1",
+  },
+  {
+    name: "io-page-api",
+    url: "https://io.dexscreener.com/dex/search/pairs/solana?dexIds=pumpswap,pumpfun&minLiq=10000&minMarketCap=30000&minAge=2&maxAge=1000&min24HVol=80000&max24HVol=180000",
+  },
+];
+
+const SEARCH_QUERIES = ["pump", "pumpswap", "pumpfun", "sol meme", "doge", "pepe", "cat", "dog", "ai", "trump"];
+
+/**
+ * Try the io.dexscreener.com endpoints (server-side filtering) in order,
+ * falling back to several official search queries with dedup.
+ */
+async function discoverViaSearch() {
+  for (const endpoint of SEARCH_ENDPOINTS) {
+    try {
+      const data = await fetchWithRetry(endpoint.url, discoveryLimiter, {
+        retries: 1,
+        headers: BROWSER_HEADERS,
+      });
+      const pairs = data?.pairs || data?.results || [];
+      // Only keep Solana pairs with a valid pairAddress
+      const valid = pairs.filter((p) => p.pairAddress && (p.chainId === "solana" || !p.chainId));
+      log.info(`Search: ${endpoint.name} returned ${pairs.length} total, ${valid.length} solana pairs`);
+      if (valid.length > 0) return valid;
+    } catch (err) {
+      log.warn(`Search: ${endpoint.name} failed: ${err.message}`);
+    }
+  }
+  return discoverViaOfficialSearch();
+}
+
+async function discoverViaOfficialSearch() {
+  const results = await Promise.allSettled(
+    SEARCH_QUERIES.map((q) => fetchWithRetry(SEARCH_URL(q), discoveryLimiter))
+  );
+
+  const seen = new Set();
+  const allPairs = [];
+  for (const r of results) {
+    if (r.status !== "fulfilled" || !r.value?.pairs) continue;
+    for (const p of r.value.pairs) {
+      if (!p.pairAddress || seen.has(p.pairAddress)) continue;
+      if (p.chainId !== "solana") continue;
+      const dex = (p.dexId || "").toLowerCase();
+      if (dex !== "pumpswap" && dex !== "pumpfun") continue;
+      seen.add(p.pairAddress);
+      allPairs.push(p);
+    }
+  }
+
+  log.info(`Search: official search found ${allPairs.length} pumpswap/pumpfun solana pairs from ${SEARCH_QUERIES.length} queries`);
+  return allPairs;
+}
+
+// --- Live pair stats ---
+
+async function fetchPairStats(addresses) {
+  if (!addresses.length) return [];
+  return fetchInBatches(addresses, PAIRS_URL, "Pair stats");
+}
+
+/** Discovery from the top boosts list; also serves live pair stats. */
+export const dexscreenerBoosts = {
+  name: "dexscreener-boosts",
+  discoverPairs: discoverViaBoosts,
+  fetchPairStats,
+};
+
+/** Discovery from Dexscreener search endpoints. */
+export const dexscreenerSearch = {
+  name: "dexscreener-search",
+  discoverPairs: discoverViaSearch,
+  fetchPairStats,
+};
@@ -0,0 +1,52 @@
+import { fetchWithRetry } from "../fetcher.js";
+import { geckoLimiter } from "../rateLimiter.js";
+
+const GECKO_OHLCV = (addr, period = "minute", aggregate = 5, limit = 100) =>
+  `https://api.geckoterminal.com/api/v2/networks/solana/pools/${addr}/ohlcv/${period}?aggregate=${aggregate}&limit=${limit}&currency=usd`;
+
+// Our timeframes as GeckoTerminal period + aggregate
+const GECKO_TIMEFRAMES = {
+  "5m": ["minute", 5],
+  "15m": ["minute", 15],
+  "1h": ["hour", 1],
+  "4h": ["hour", 4],
+};
+
+/** GeckoTerminal returns at most this many candles per request. */
+export const GECKO_MAX_CANDLES = 1000;
+
+/**
+ * Convert a GeckoTerminal OHLCV response (newest first) into candles, oldest first.
+ * @returns {{ t: number, o: number, h: number, l: number, c: number, v: number }[]}
+ */
+export function parseOhlcvResponse(data) {
+  const list = data?.data?.attributes?.ohlcv_list || [];
+  return list.slice().reverse().map((c) => ({
+    t: c[0], o: +c[1], h: +c[2], l: +c[3], c: +c[4], v: +c[5],
+  }));
+}
+
+/**
+ * Fetch the latest 100 5m candles for a single pool.
+ * Not retried: a 429 is rethrown with its Retry-After so the OHLCV
+ * scheduler can back off as a whole.
+ */
+async function fetchOHLCV(poolAddress) {
+  const data = await fetchWithRetry(GECKO_OHLCV(poolAddress), geckoLimiter, { retries: 0 });
+  return parseOhlcvResponse(data);
+}
+
+/**
+ * Fetch the latest `limit` candles of a timeframe ("5m", "15m", "1h", "4h")
+ * for a single pool, oldest first. Not retried, like fetchOHLCV.
+ */
+export async function fetchOhlcvTimeframe(poolAddress, tf, limit) {
+  const [period, aggregate] = GECKO_TIMEFRAMES[tf];
+  const data = await fetchWithRetry(GECKO_OHLCV(poolAddress, period, aggregate, limit), geckoLimiter, { retries: 0 });
+  return parseOhlcvResponse(data);
+}
+
+export const geckoterminal = {
+  name: "geckoterminal",
+  fetchOHLCV,
+};
@@ -0,0 +1,109 @@
+import { dexscreenerBoosts, dexscreenerSearch } from "./dexscreener.js";
+import { geckoterminal } from "./geckoterminal.js";
+import { createLocalProvider } from "./local.js";
+import { createLogger } from "../logger.js";
+
+/**
+ * A market-data provider is a plain object with a `name` and any subset of:
+ *
+ *   discoverPairs()             -> Promise<DexPair[]>  candidate pairs (Dexscreener pair shape)
+ *   fetchPairStats(addresses)   -> Promise<DexPair[]>  live stats for known pair addresses
+ *   fetchOHLCV(poolAddress)     -> Promise<Candle[]>   5m candles { t, o, h, l, c, v }, oldest first
+ *
+ * The collector only talks to the combined object returned by createMarketData().
+ */
+
+const REGISTRY = {
+  "dexscreener-boosts": () => dexscreenerBoosts,
+  "dexscreener-search": () => dexscreenerSearch,
+  geckoterminal: () => geckoterminal,
+  local: () => createLocalProvider(),
+};
+
+const DEFAULT_CHAINS = {
+  discovery: ["dexscreener-boosts"],
+  stats: ["dexscreener-boosts"],
+  ohlcv: ["geckoterminal"],
+};
+
+const log = createLogger("providers");
+
+function parseList(value) {
+  return value ? value.split(",").map((s) => s.trim()).filter(Boolean) : null;
+}
+
+/**
+ * Try each provider in turn; the first non-empty result wins.
+ * Errors and empty results fall through to the next provider. If every
+ * provider threw, the last error is rethrown.
+ */
+async function firstResult(providers, method, label, args) {
+  let lastErr = null;
+  let failures = 0;
+  for (const provider of providers) {
+    try {
+      const result = await provider[method](...args);
+      if (result?.length) return result;
+      if (providers.length > 1) log.warn(`${label}: ${provider.name} returned nothing`);
+    } catch (err) {
+      lastErr = err;
+      failures++;
+      if (providers.length > 1) log.warn(`${label}: ${provider.name} failed: ${err.message}`);
+    }
+  }
+  if (failures === providers.length) throw lastErr;
+  return [];
+}
+
+/**
+ * Build the market-data facade used by the collector.
+ *
+ * Each capability takes an ordered list of providers, either passed in
+ * (names or provider objects) or read from env:
+ *   MARKET_DATA=local                       every capability from fixtures
+ *   DISCOVERY_PROVIDERS=a,b                 discovery fallback chain
+ *   STATS_PROVIDERS / OHLCV_PROVIDERS       same for stats and candles
+ */
+export function createMarketData(chains = {}) {
+  const env = process.env;
+  const all = parseList(env.MARKET_DATA);
+
+  const instances = new Map();
+
+  const resolve = (entry) => {
+    if (typeof entry !== "string") return entry;
+    const make = REGISTRY[entry];
+    if (!make) throw new Error(`Unknown market-data provider "${entry}"`);
+    if (!instances.has(entry)) instances.set(entry, make());
+    return instances.get(entry);
+  };
+
+  const pick = (key, envVar) =>
+    (chains[key] || parseList(env[envVar]) || all || DEFAULT_CHAINS[key]).map(resolve);
+
+  const discovery = pick("discovery", "DISCOVERY_PROVIDERS");
+  const stats = pick("stats", "STATS_PROVIDERS");
+  const ohlcv = pick("ohlcv", "OHLCV_PROVIDERS");
+
+  for (const [label, list, method] of [
+    ["discovery", discovery, "discoverPairs"],
+    ["stats", stats, "fetchPairStats"],
+    ["ohlcv", ohlcv, "fetchOHLCV"],
+  ]) {
+    const missing = list.find((p) => typeof p[method] !== "function");
+    if (missing) throw new Error(`Provider "${missing.name}" cannot serve ${label}`);
+  }
+
+  return {
+    describe() {
+      return {
+        discovery: discovery.map((p) => p.name),
+        stats: stats.map((p) => p.name),
+        ohlcv: ohlcv.map((p) => p.name),
+      };
+    },
+    discoverPairs: () => firstResult(discovery, "discoverPairs", "Discovery", []),
+    fetchPairStats: (addresses) => firstResult(stats, "fetchPairStats", "Pair stats", [addresses]),
+    fetchOHLCV: (poolAddress) => firstResult(ohlcv, "fetchOHLCV", "OHLCV", [poolAddress]),
+  };
+}
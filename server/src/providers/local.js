@@ -0,0 +1,70 @@
+import { readFile } from "node:fs/promises";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { parseOhlcvResponse } from "./geckoterminal.js";
+
+const DEFAULT_FIXTURES_DIR = path.resolve(
+  path.dirname(fileURLToPath(import.meta.url)),
+  "../../fixtures"
+);
+
+/**
+ * Fixture-backed provider for offline runs.
+ *
+ * Layout of the fixtures directory:
+ *   pairs.json          { capturedAt, pairs: [Dexscreener pair, ...] }
+ *   ohlcv/<pool>.json   GeckoTerminal OHLCV response for that pool
+ *
+ * Timestamps are shifted by (now - capturedAt) so pair ages and candle
+ * times look current however old the capture is.
+ */
+export function createLocalProvider(dir = process.env.FIXTURES_DIR || DEFAULT_FIXTURES_DIR) {
+  let pairsFile = null;
+
+  async function load() {
+    if (!pairsFile) {
+      pairsFile = JSON.parse(await readFile(path.join(dir, "pairs.json"), "utf8"));
+    }
+    return pairsFile;
+  }
+
+  async function shiftMs() {
+    const { capturedAt } = await load();
+    return capturedAt ? Date.now() - capturedAt : 0;
+  }
+
+  async function currentPairs() {
+    const { pairs = [] } = await load();
+    const shift = await shiftMs();
+    return pairs.map((p) => ({
+      ...p,
+      pairCreatedAt: p.pairCreatedAt != null ? p.pairCreatedAt + shift : p.pairCreatedAt,
+    }));
+  }
+
+  return {
+    name: "local",
+
+    async discoverPairs() {
+      return currentPairs();
+    },
+
+    async fetchPairStats(addresses) {
+      const wanted = new Set(addresses);
+      return (await currentPairs()).filter((p) => wanted.has(p.pairAddress));
+    },
+
+    async fetchOHLCV(poolAddress) {
+      let data;
+      try {
+        data = JSON.parse(await readFile(path.join(dir, "ohlcv", `${poolAddress}.json`), "utf8"));
+      } catch (err) {
+        if (err.code === "ENOENT") return [];
+        throw err;
+      }
+      // Keep candles on 5m boundaries after shifting
+      const shift = Math.floor((await shiftMs()) / 300_000) * 300;
+      return parseOhlcvResponse(data).map((c) => ({ ...c, t: c.t + shift }));
+    },
+  };
+}
@@ -1,5 +1,12 @@
+import { histogram } from "./metrics.js";
+
+const limiterWait = histogram("qba_rate_limiter_wait_seconds", "Time spent waiting for a rate limiter token", {
+  buckets: [0, 0.1, 0.5, 1, 2, 5, 10, 30, 60],
+});
+
 export class TokenBucketLimiter {
-  constructor(maxTokens, refillRate) {
+  constructor(maxTokens, refillRate, name = "default") {
+    this.name = name;
     this.maxTokens = maxTokens;
     this.tokens = maxTokens;
     this.refillRate = refillRate; // tokens per second
@@ -10,15 +17,31 @@ export class TokenBucketLimiter {
     this._refill();
     if (this.tokens >= 1) {
       this.tokens -= 1;
+      limiterWait.observe({ limiter: this.name }, 0);
       return true;
     }
     const waitMs = ((1 - this.tokens) / this.refillRate) * 1000;
     await new Promise((r) => setTimeout(r, Math.ceil(waitMs)));
     this._refill();
     this.tokens -= 1;
+    limiterWait.observe({ limiter: this.name }, Math.ceil(waitMs) / 1000);
+    return true;
+  }
+
+  /** Take a token if one is available now, without waiting. */
+  tryAcquire() {
+    this._refill();
+    if (this.tokens < 1) return false;
+    this.tokens -= 1;
     return true;
   }
 
+  /** Milliseconds until a token is available. */
+  msUntilToken() {
+    this._refill();
+    return this.tokens >= 1 ? 0 : Math.ceil(((1 - this.tokens) / this.refillRate) * 1000);
+  }
+
   _refill() {
     const now = Date.now();
     const elapsed = (now - this.lastRefill) / 1000;
@@ -28,8 +51,10 @@ export class TokenBucketLimiter {
 }
 
 // Dexscreener: generous bucket
-export const dexLimiter = new TokenBucketLimiter(10, 2);
+export const dexLimiter = new TokenBucketLimiter(10, 2, "dexscreener");
 // GeckoTerminal: stricter (30 req/min free tier)
-export const geckoLimiter = new TokenBucketLimiter(5, 0.5);
+export const geckoLimiter = new TokenBucketLimiter(5, 0.5, "geckoterminal");
 // Discovery endpoint
-export const discoveryLimiter = new TokenBucketLimiter(3, 0.1);
+export const discoveryLimiter = new TokenBucketLimiter(3, 0.1, "discovery");
+// Solana JSON-RPC for token safety checks; public endpoints allow roughly 10 req/s
+export const rpcLimiter = new TokenBucketLimiter(5, parseFloat(process.env.SOLANA_RPC_RPS || "5"), "solana-rpc");
@@ -0,0 +1,178 @@
+// Record and replay of upstream HTTP traffic.
+//
+// UPSTREAM_RECORD_DIR=dir   append every upstream request made through
+//                           fetchWithRetry to dir/upstream-<start>.ndjson
+// UPSTREAM_REPLAY=path      serve responses from an .ndjson file (or every
+//                           .ndjson file in a directory) instead of the network
+// REPLAY_SPEED=n            replay clock speed (default 1)
+//
+// One line per exchange:
+//   { ts, url, status, retryAfterMs, body, error, durationMs }
+// `body` is the parsed JSON for 2xx responses; `error` is set when no
+// response arrived at all.
+//
+// Replay runs a virtual clock from the first recorded exchange at REPLAY_SPEED
+// and answers each URL with the latest recording at or before that time (the
+// earliest if there is none yet). Timestamps in Dexscreener pairs and
+// GeckoTerminal candles are shifted so the recording looks current.
+import { createWriteStream, readFileSync, readdirSync, statSync, mkdirSync } from "node:fs";
+import path from "node:path";
+import { createLogger } from "./logger.js";
+
+const RECORD_DIR = process.env.UPSTREAM_RECORD_DIR || "";
+const REPLAY_PATH = process.env.UPSTREAM_REPLAY || "";
+const REPLAY_SPEED = parseFloat(process.env.REPLAY_SPEED || "1") || 1;
+
+if (RECORD_DIR && REPLAY_PATH) throw new Error("UPSTREAM_RECORD_DIR and UPSTREAM_REPLAY are mutually exclusive");
+
+let recordStream = null;
+let replay = null; // { byUrl: Map<url, entry[]>, start, end, startedAt, shiftMs, ended }
+
+const log = createLogger("recorder");
+
+export function isReplaying() {
+  return !!REPLAY_PATH;
+}
+
+/** Scale a real-time interval to the replay clock; unchanged when not replaying. */
+export function replayInterval(ms) {
+  return isReplaying() ? Math.max(1, Math.round(ms / REPLAY_SPEED)) : ms;
+}
+
+// --- Record ---
+
+function openRecordStream() {
+  mkdirSync(RECORD_DIR, { recursive: true });
+  const file = path.join(RECORD_DIR, `upstream-${new Date().toISOString().replace(/[:.]/g, "-")}.ndjson`);
+  recordStream = createWriteStream(file, { flags: "a" });
+  recordStream.on("error", (err) => log.error(`Recorder: write error: ${err.message}`));
+  log.info(`Recorder: writing upstream traffic to ${file}`);
+}
+
+/**
+ * Append one exchange to the recording.
+ * @param {{ ts: number, url: string, status?: number, retryAfterMs?: number|null, body?: any, error?: string, durationMs: number }} entry
+ */
+export function recordExchange(entry) {
+  if (!RECORD_DIR) return;
+  if (!recordStream) openRecordStream();
+  recordStream.write(`${JSON.stringify(entry)}\n`);
+}
+
+// --- Replay ---
+
+function replayFiles(p) {
+  if (!statSync(p).isDirectory()) return [p];
+  return readdirSync(p).filter((f) => f.endsWith(".ndjson")).sort().map((f) => path.join(p, f));
+}
+
+/** Load the recording and start the replay clock. Called on boot, or by the first replayed request. */
+export function startReplay() {
+  const byUrl = new Map();
+  let start = Infinity;
+  let end = -Infinity;
+  let count = 0;
+  for (const file of replayFiles(REPLAY_PATH)) {
+    for (const line of readFileSync(file, "utf8").split("\n")) {
+      if (!line.trim()) continue;
+      const entry = JSON.parse(line);
+      if (!byUrl.has(entry.url)) byUrl.set(entry.url, []);
+      byUrl.get(entry.url).push(entry);
+      start = Math.min(start, entry.ts);
+      end = Math.max(end, entry.ts);
+      count++;
+    }
+  }
+  if (!count) throw new Error(`No recorded exchanges in ${REPLAY_PATH}`);
+  for (const list of byUrl.values()) list.sort((a, b) => a.ts - b.ts);
+
+  const startedAt = Date.now();
+  // Whole 5m steps, so shifted candles stay on bar boundaries
+  const shiftMs = Math.floor((startedAt - start) / 300_000) * 300_000;
+  replay = { byUrl, start, end, startedAt, shiftMs, ended: false };
+  log.info(`Replay: ${count} exchanges for ${byUrl.size} URLs, ${Math.round((end - start) / 60_000)}m recorded, speed ${REPLAY_SPEED}x`);
+}
+
+function replayNow() {
+  const t = replay.start + (Date.now() - replay.startedAt) * REPLAY_SPEED;
+  if (t > replay.end && !replay.ended) {
+    replay.ended = true;
+    log.info("Replay: reached the end of the recording, serving the last responses from now on");
+  }
+  return t;
+}
+
+/** Latest entry at or before `t`, else the earliest. */
+function pick(list, t) {
+  let found = list[0];
+  for (const e of list) {
+    if (e.ts > t) break;
+    found = e;
+  }
+  return found;
+}
+
+// Batched Dexscreener lookups rarely repeat the exact address list, so
+// rebuild them from the latest recorded pair for each requested address,
+// taken from any recorded pairs or tokens lookup.
+const BATCH_RE = /^https:\/\/api\.dexscreener\.com\/latest\/dex\/(pairs\/solana|tokens)\/([^/?]+)$/;
+
+function synthesizeBatch(url, t) {
+  const m = url.match(BATCH_RE);
+  if (!m) return null;
+  const [, kind, list] = m;
+  const byPair = kind !== "tokens";
+  const wanted = new Set(list.split(","));
+  const latest = new Map(); // pairAddress -> { ts, pair }
+  for (const [recUrl, entries] of replay.byUrl) {
+    if (!BATCH_RE.test(recUrl)) continue;
+    for (const e of entries) {
+      if (e.ts > t || !e.body?.pairs) continue;
+      for (const pair of e.body.pairs) {
+        const key = byPair ? pair.pairAddress : pair.baseToken?.address;
+        if (!wanted.has(key)) continue;
+        const k = pair.pairAddress;
+        if (!latest.has(k) || latest.get(k).ts <= e.ts) latest.set(k, { ts: e.ts, pair });
+      }
+    }
+  }
+  return { ts: t, url, status: 200, body: { pairs: Array.from(latest.values(), (v) => v.pair) } };
+}
+
+function shiftBody(url, body) {
+  const { shiftMs } = replay;
+  if (!body || !shiftMs) return body;
+  if (url.includes("api.geckoterminal.com") && body.data?.attributes?.ohlcv_list) {
+    const list = body.data.attributes.ohlcv_list.map(([t, ...rest]) => [t + shiftMs / 1000, ...rest]);
+    return { ...body, data: { ...body.data, attributes: { ...body.data.attributes, ohlcv_list: list } } };
+  }
+  const shiftPair = (p) => (p?.pairCreatedAt != null ? { ...p, pairCreatedAt: p.pairCreatedAt + shiftMs } : p);
+  if (Array.isArray(body.pairs)) return { ...body, pairs: body.pairs.map(shiftPair) };
+  if (Array.isArray(body)) return body.map(shiftPair);
+  return body;
+}
+
+/**
+ * The recorded answer for a URL, as fetchWithRetry would have produced it:
+ * resolves with the JSON body or throws an error carrying `status` and
+ * `retryAfterMs`. URLs never recorded fail with status 404.
+ */
+export async function replayFetch(url) {
+  if (!replay) startReplay();
+  const t = replayNow();
+  const list = replay.byUrl.get(url);
+  const entry = list ? pick(list, t) : synthesizeBatch(url, t);
+  if (!entry) {
+    const err = new Error(`HTTP 404 Not recorded: ${url}`);
+    err.status = 404;
+    throw err;
+  }
+  if (entry.error) throw new Error(entry.error);
+  if (entry.status < 200 || entry.status >= 300) {
+    const err = new Error(`HTTP ${entry.status} (replayed)`);
+    err.status = entry.status;
+    err.retryAfterMs = entry.retryAfterMs ?? null;
+    throw err;
+  }
+  return shiftBody(url, entry.body);
+}
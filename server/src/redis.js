@@ -1,8 +1,17 @@
 import { Redis } from "@upstash/redis";
+import { isReplaying } from "./recorder.js";
+import { counter } from "./metrics.js";
+import { createLogger } from "./logger.js";
+
+const log = createLogger("redis");
 
 let redis = null;
 
+export const persistFailures = counter("qba_redis_persist_failures_total", "Failed Redis writes by kind of data");
+
+// Replays stay off Redis so they neither read nor overwrite live state
 export function getRedis() {
+  if (isReplaying()) return null;
   if (!redis && process.env.UPSTASH_REDIS_URL && process.env.UPSTASH_REDIS_TOKEN) {
     redis = new Redis({
       url: process.env.UPSTASH_REDIS_URL,
@@ -25,18 +34,54 @@ export async function persistState(pairsMap) {
     }
     await r.set(PAIRS_KEY, JSON.stringify(serializable));
   } catch (err) {
-    console.error(`[${new Date().toISOString()}] Redis persist error:`, err.message);
+    persistFailures.inc({ kind: "pairs" });
+    log.error(`Redis persist error: ${err.message}`);
   }
 }
 
-export async function clearPairs() {
+export async function clearPairs({ includeAth = false } = {}) {
   const r = getRedis();
   if (!r) return;
   try {
-    await r.del(PAIRS_KEY);
-    console.log(`[${new Date().toISOString()}] Cleared pair data from Redis`);
+    await r.del(...(includeAth ? [PAIRS_KEY, ATH_KEY] : [PAIRS_KEY]));
+    log.info(`Cleared pair data${includeAth ? " and ATHs" : ""} from Redis`);
+  } catch (err) {
+    log.error(`Redis clear error: ${err.message}`);
+  }
+}
+
+/**
+ * ATHs live in their own hash (pairAddress -> price) with no expiry, so a
+ * pair keeps its ATH across restarts and after leaving and re-entering tracking.
+ */
+export async function persistAths(athMap) {
+  const r = getRedis();
+  if (!r || !athMap.size) return true;
+  try {
+    await r.hset(ATH_KEY, Object.fromEntries(athMap));
+    return true;
   } catch (err) {
-    console.error(`[${new Date().toISOString()}] Redis clear error:`, err.message);
+    persistFailures.inc({ kind: "aths" });
+    log.error(`Redis ATH persist error: ${err.message}`);
+    return false;
+  }
+}
+
+export async function restoreAths() {
+  const r = getRedis();
+  if (!r) return new Map();
+  try {
+    const raw = await r.hgetall(ATH_KEY);
+    const map = new Map();
+    for (const [addr, v] of Object.entries(raw || {})) {
+      const ath = Number(v);
+      if (Number.isFinite(ath) && ath > 0) map.set(addr, ath);
+    }
+    log.info(`Restored ${map.size} ATHs from Redis`);
+    return map;
+  } catch (err) {
+    log.error(`Redis ATH restore error: ${err.message}`);
+    return new Map();
   }
 }
 
@@ -51,10 +96,109 @@ export async function restoreState() {
     for (const [addr, data] of Object.entries(parsed)) {
       map.set(addr, data);
     }
-    console.log(`[${new Date().toISOString()}] Restored ${map.size} pairs from Redis`);
+    log.info(`Restored ${map.size} pairs from Redis`);
     return map;
   } catch (err) {
-    console.error(`[${new Date().toISOString()}] Redis restore error:`, err.message);
+    log.error(`Redis restore error: ${err.message}`);
     return new Map();
   }
 }
+
+// Candle history: one sorted set per pair, scored by candle open time
+const CANDLES_KEY = (addr) => `qba:candles:${addr}`;
+
+/**
+ * Write changed candles, replacing any stored at the same timestamp, and
+ * trim each series to the retention window. Keys expire once a pair stops
+ * being written for a full retention period.
+ * @param {Map<string, Map<number, object>>} batch - pairAddress -> (t -> candle)
+ * @param {{ seconds: number, maxPerPair: number }} retention
+ */
+export async function persistCandles(batch, { seconds, maxPerPair }) {
+  const r = getRedis();
+  if (!r || !batch.size) return true;
+  try {
+    const cutoff = Math.floor(Date.now() / 1000) - seconds;
+    const p = r.pipeline();
+    for (const [addr, candles] of batch) {
+      const key = CANDLES_KEY(addr);
+      for (const [t, c] of candles) {
+        p.zremrangebyscore(key, t, t);
+        p.zadd(key, { score: t, member: JSON.stringify(c) });
+      }
+      p.zremrangebyscore(key, "-inf", cutoff - 1);
+      p.zremrangebyrank(key, 0, -(maxPerPair + 1));
+      p.expire(key, seconds);
+    }
+    await p.exec();
+    return true;
+  } catch (err) {
+    persistFailures.inc({ kind: "candles" });
+    log.error(`Redis candle persist error: ${err.message}`);
+    return false;
+  }
+}
+
+/**
+ * Load stored candles for the given pairs, oldest first.
+ * @returns {Promise<Map<string, object[]>>}
+ */
+export async function restoreCandles(addrs, { seconds }) {
+  const r = getRedis();
+  const out = new Map();
+  if (!r || !addrs.length) return out;
+  try {
+    const cutoff = Math.floor(Date.now() / 1000) - seconds;
+    const p = r.pipeline();
+    for (const addr of addrs) p.zrange(CANDLES_KEY(addr), cutoff, "+inf", { byScore: true });
+    const results = await p.exec();
+    addrs.forEach((addr, i) => {
+      const list = (results[i] || []).map((m) => (typeof m === "string" ? JSON.parse(m) : m));
+      if (list.length) out.set(addr, list);
+    });
+    let total = 0;
+    for (const list of out.values()) total += list.length;
+    log.info(`Restored ${total} candles for ${out.size} pairs from Redis`);
+    return out;
+  } catch (err) {
+    log.error(`Redis candle restore error: ${err.message}`);
+    return out;
+  }
+}
+
+export async function clearCandleHistory(addrs) {
+  const r = getRedis();
+  if (!r || !addrs.length) return;
+  try {
+    await r.del(...addrs.map(CANDLES_KEY));
+  } catch (err) {
+    log.error(`Redis candle clear error: ${err.message}`);
+  }
+}
+
+// Pairs that left tracking, newest first
+const PAIR_HISTORY_KEY = "qba:pairs:history";
+
+export async function recordPairExits(entries, limit) {
+  const r = getRedis();
+  if (!r || !entries.length) return;
+  try {
+    await r.lpush(PAIR_HISTORY_KEY, ...entries.map((e) => JSON.stringify(e)));
+    await r.ltrim(PAIR_HISTORY_KEY, 0, limit - 1);
+  } catch (err) {
+    persistFailures.inc({ kind: "pair_history" });
+    log.error(`Redis pair history persist error: ${err.message}`);
+  }
+}
+
+export async function restorePairHistory(limit) {
+  const r = getRedis();
+  if (!r) return [];
+  try {
+    const raw = await r.lrange(PAIR_HISTORY_KEY, 0, limit - 1);
+    return (raw || []).map((v) => (typeof v === "string" ? JSON.parse(v) : v));
+  } catch (err) {
+    log.error(`Redis pair history restore error: ${err.message}`);
+    return [];
+  }
+}
@@ -0,0 +1,54 @@
+// Build higher-timeframe OHLCV bars from 5m candles, aligned to UTC
+// boundaries (15m bars open at :00/:15/:30/:45, 4h bars at 00:00, 04:00, ...).
+
+export const TIMEFRAMES = { "5m": 300, "15m": 900, "1h": 3600, "4h": 14400 };
+
+const BASE_SEC = TIMEFRAMES["5m"];
+
+/**
+ * Resample 5m candles into bars of the given timeframe.
+ *
+ * - Bars are bucketed by wall-clock time, not by position in the array.
+ * - A bucket missing some 5m candles is built from the ones present.
+ * - Buckets with no candles at all (no trades, or a gap in the upstream
+ *   data) become flat zero-volume bars at the previous close, so period-based
+ *   indicators count time the way charting sites do.
+ * - A leading bucket that starts mid-way is dropped since its open, high and
+ *   low are unknown. The trailing, still-forming bucket is kept.
+ *
+ * @param {{ t: number, o: number, h: number, l: number, c: number, v: number }[]} candles -
+ *   5m candles, oldest first, `t` in unix seconds
+ * @param {string} tf - key of TIMEFRAMES
+ * @returns {{ t: number, o: number, h: number, l: number, c: number, v: number }[]}
+ */
+export function resample(candles, tf) {
+  const tfSec = TIMEFRAMES[tf];
+  if (!tfSec) throw new Error(`Unsupported timeframe "${tf}"`);
+  if (!candles?.length) return [];
+
+  const bars = [];
+  let firstBucketComplete = true;
+  for (const c of candles) {
+    const t = Math.floor(c.t / tfSec) * tfSec;
+    const bar = bars[bars.length - 1];
+    if (bar && bar.t === t) {
+      bar.h = Math.max(bar.h, c.h);
+      bar.l = Math.min(bar.l, c.l);
+      bar.c = c.c;
+      bar.v += c.v;
+      continue;
+    }
+    if (bar) {
+      // Flat bars for empty buckets between the previous bar and this one
+      for (let gap = bar.t + tfSec; gap < t; gap += tfSec) {
+        bars.push({ t: gap, o: bar.c, h: bar.c, l: bar.c, c: bar.c, v: 0 });
+      }
+    } else {
+      firstBucketComplete = c.t - t < BASE_SEC;
+    }
+    bars.push({ t, o: c.o, h: c.h, l: c.l, c: c.c, v: c.v });
+  }
+
+  if (!firstBucketComplete && tfSec > BASE_SEC) bars.shift();
+  return bars;
+}
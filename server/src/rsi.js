@@ -1,36 +1,44 @@
 /**
- * Compute RSI(14) using Wilder's smoothing on close prices.
+ * RSI for every close from index `period` on, using Wilder's smoothing.
+ * The frontend's rsiSeries (frontend/lib/indicators.js) mirrors this for charts.
  * @param {number[]} closes - array of close prices (oldest first)
  * @param {number} period - RSI period (default 14)
- * @returns {number|null} RSI value or null if not enough data
+ * @returns {number[]} RSI values aligned to closes[period..]; empty if not enough data
  */
-export function computeRSI(closes, period = 14) {
-  if (!closes || closes.length < period + 1) return null;
+export function computeRSISeries(closes, period = 14) {
+  if (!closes || closes.length < period + 1) return [];
 
+  // Initial average gain/loss over first `period` changes
   let avgGain = 0;
   let avgLoss = 0;
-
-  // Initial average gain/loss over first `period` changes
   for (let i = 1; i <= period; i++) {
     const change = closes[i] - closes[i - 1];
     if (change > 0) avgGain += change;
     else avgLoss += Math.abs(change);
   }
-
   avgGain /= period;
   avgLoss /= period;
 
+  const toRsi = () => (avgLoss === 0 ? 100 : 100 - 100 / (1 + avgGain / avgLoss));
+  const out = [toRsi()];
   // Wilder's smoothing for remaining prices
   for (let i = period + 1; i < closes.length; i++) {
     const change = closes[i] - closes[i - 1];
-    const gain = change > 0 ? change : 0;
-    const loss = change < 0 ? Math.abs(change) : 0;
-
-    avgGain = (avgGain * (period - 1) + gain) / period;
-    avgLoss = (avgLoss * (period - 1) + loss) / period;
+    avgGain = (avgGain * (period - 1) + (change > 0 ? change : 0)) / period;
+    avgLoss = (avgLoss * (period - 1) + (change < 0 ? -change : 0)) / period;
+    out.push(toRsi());
   }
+  return out;
+}
 
-  if (avgLoss === 0) return 100;
-  const rs = avgGain / avgLoss;
-  return 100 - 100 / (1 + rs);
+/**
+ * Compute RSI(14) using Wilder's smoothing on close prices: the latest value
+ * of computeRSISeries.
+ * @param {number[]} closes - array of close prices (oldest first)
+ * @param {number} period - RSI period (default 14)
+ * @returns {number|null} RSI value or null if not enough data
+ */
+export function computeRSI(closes, period = 14) {
+  const series = computeRSISeries(closes, period);
+  return series.length ? series[series.length - 1] : null;
 }
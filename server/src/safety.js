@@ -0,0 +1,159 @@
+// Token safety checks over Solana JSON-RPC, run when a pair is tracked and
+// repeated every SAFETY_TTL_MS per token:
+//   - mint and freeze authority, revoked or still set
+//   - share of supply held by the 10 largest holders, not counting the
+//     pair's own pool or bonding-curve accounts
+//   - pump.fun bonding-curve progress and completion
+//
+// SOLANA_RPC_URL=https://...   endpoint; checks are off when unset, and during replays
+// SAFETY_TTL_MS=3600000        how long a result is reused
+import { fetchWithRetry } from "./fetcher.js";
+import { rpcLimiter } from "./rateLimiter.js";
+import { isReplaying } from "./recorder.js";
+import { counter } from "./metrics.js";
+import { createLogger, withCycle } from "./logger.js";
+
+const RPC_URL = process.env.SOLANA_RPC_URL || "";
+const SAFETY_TTL_MS = parseInt(process.env.SAFETY_TTL_MS || "3600000", 10);
+const RETRY_AFTER_FAILURE_MS = 10 * 60_000;
+const CACHE_MAX_ENTRIES = 5000;
+
+const PUMP_PROGRAM = "6EF8rrecthR5Dkzon8Nwu78hRvfCKubJ14M5uBEwF6P";
+// Tokens a pump.fun curve sells before it completes: 793.1M at 6 decimals
+const PUMP_INITIAL_REAL_TOKEN_RESERVES = 793_100_000_000_000n;
+// Owner of every Raydium AMM v4 pool vault
+const RAYDIUM_AMM_AUTHORITY = "5Q544fKrFoe6tsEbD7S8EmxGTJYAKtTVhAW5Q5pge4j1";
+
+const TOP_HOLDERS = 10;
+const TOP10_MEDIUM_PCT = 30;
+const TOP10_HIGH_PCT = 50;
+const RISK_LEVELS = ["low", "medium", "high"];
+
+const cache = new Map(); // mint -> result, oldest first
+const failedAt = new Map(); // mint -> ms
+const queue = new Map(); // mint -> pairAddress, waiting to be checked
+let draining = false;
+let drainDone = Promise.resolve();
+
+const checksTotal = counter("qba_safety_checks_total", "Token safety checks by outcome (ok, error)");
+
+const log = createLogger("safety");
+
+export function safetyEnabled() {
+  return !!RPC_URL && !isReplaying();
+}
+
+async function rpc(method, params) {
+  const data = await fetchWithRetry(RPC_URL, rpcLimiter, {
+    retries: 1,
+    body: { jsonrpc: "2.0", id: 1, method, params },
+  });
+  if (data.error) throw new Error(`RPC ${method}: ${data.error.message}`);
+  return data.result;
+}
+
+/** Decode a pump.fun bonding-curve account; null for any other account. */
+export function parseBondingCurve(account) {
+  if (account?.owner !== PUMP_PROGRAM || !Array.isArray(account.data)) return null;
+  const buf = Buffer.from(account.data[0], "base64");
+  // discriminator, virtual token/SOL reserves, real token/SOL reserves, total supply, complete
+  if (buf.length < 49) return null;
+  const complete = buf[48] === 1;
+  const remaining = buf.readBigUInt64LE(24);
+  const progressPct = complete ? 100 : Math.max(0, Number(10_000n - (remaining * 10_000n) / PUMP_INITIAL_REAL_TOKEN_RESERVES) / 100);
+  return { complete, progressPct };
+}
+
+/**
+ * Score raw findings: each flag is { code, level, detail } and the overall
+ * risk is the highest flag level ("low" without flags).
+ */
+export function assessRisk({ mintAuthority, freezeAuthority, top10Pct }) {
+  const flags = [];
+  if (mintAuthority) flags.push({ code: "mint_authority", level: "high", detail: "Mint authority not revoked" });
+  if (freezeAuthority) flags.push({ code: "freeze_authority", level: "high", detail: "Freeze authority set" });
+  if (top10Pct != null && top10Pct >= TOP10_MEDIUM_PCT) {
+    flags.push({
+      code: "holder_concentration",
+      level: top10Pct >= TOP10_HIGH_PCT ? "high" : "medium",
+      detail: `Top 10 holders own ${top10Pct.toFixed(1)}%`,
+    });
+  }
+  const risk = RISK_LEVELS[Math.max(0, ...flags.map((f) => RISK_LEVELS.indexOf(f.level)))];
+  return { risk, flags };
+}
+
+async function inspect(mint, pairAddress) {
+  const [mintAccount, pairAccount] = (
+    await rpc("getMultipleAccounts", [[mint, pairAddress], { encoding: "jsonParsed" }])
+  ).value;
+  if (mintAccount?.data?.parsed?.type !== "mint") throw new Error(`${mint} is not a token mint`);
+  const info = mintAccount.data.parsed.info;
+  const supply = BigInt(info.supply);
+
+  // Largest token accounts, minus those owned by the pool or curve itself
+  const largest = (await rpc("getTokenLargestAccounts", [mint])).value;
+  const owners = largest.length
+    ? (await rpc("getMultipleAccounts", [largest.map((a) => a.address), { encoding: "jsonParsed" }])).value
+    : [];
+  const isPool = (i) => [pairAddress, RAYDIUM_AMM_AUTHORITY].includes(owners[i]?.data?.parsed?.info?.owner);
+  const sum = (list) => list.reduce((total, a) => total + BigInt(a.amount), 0n);
+  const pct = (n) => (supply > 0n ? Number((n * 10_000n) / supply) / 100 : null);
+
+  const findings = {
+    mintAuthority: info.mintAuthority ?? null,
+    freezeAuthority: info.freezeAuthority ?? null,
+    top10Pct: pct(sum(largest.filter((_, i) => !isPool(i)).slice(0, TOP_HOLDERS))),
+    poolPct: pct(sum(largest.filter((_, i) => isPool(i)))),
+    bondingCurve: parseBondingCurve(pairAccount),
+  };
+  return { ...findings, ...assessRisk(findings), checkedAt: Date.now() };
+}
+
+/** Latest result for a token mint, or null when it has not been checked. */
+export function getSafety(mint) {
+  return cache.get(mint) ?? null;
+}
+
+async function drain(onResult) {
+  draining = true;
+  while (queue.size) {
+    const [mint, pairAddress] = queue.entries().next().value;
+    queue.delete(mint);
+    try {
+      const result = await inspect(mint, pairAddress);
+      cache.delete(mint);
+      cache.set(mint, result);
+      while (cache.size > CACHE_MAX_ENTRIES) cache.delete(cache.keys().next().value);
+      failedAt.delete(mint);
+      checksTotal.inc({ outcome: "ok" });
+      onResult(mint, result);
+    } catch (err) {
+      failedAt.set(mint, Date.now());
+      checksTotal.inc({ outcome: "error" });
+      log.warn({ mint, pairAddress }, `Safety check failed: ${err.message}`);
+    }
+  }
+  draining = false;
+}
+
+/**
+ * Queue checks for the pairs' tokens that have no result yet or an expired
+ * one; a failed check is retried after 10 minutes. Checks run one at a time
+ * in the background and `onResult(mint, result)` is called for each.
+ * @returns {Promise<void>} settles once the queue has drained
+ */
+export function requestSafetyChecks(pairList, onResult) {
+  if (!safetyEnabled()) return Promise.resolve();
+  const now = Date.now();
+  for (const p of pairList) {
+    const mint = p.baseToken?.address;
+    if (!mint || queue.has(mint)) continue;
+    if (now - (cache.get(mint)?.checkedAt ?? 0) < SAFETY_TTL_MS) continue;
+    if (now - (failedAt.get(mint) ?? 0) < RETRY_AFTER_FAILURE_MS) continue;
+    queue.set(mint, p.pairAddress);
+  }
+  if (!queue.size || draining) return drainDone;
+  drainDone = withCycle("safety", () => drain(onResult));
+  return drainDone;
+}
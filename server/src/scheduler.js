@@ -0,0 +1,153 @@
+import { createLogger, withCycle } from "./logger.js";
+
+const log = createLogger("scheduler");
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+/**
+ * Continuously refreshes a changing set of keys, one job per key at a time.
+ *
+ * Each pick takes the due key with the highest priority, where
+ * priority = seconds since last refresh x (1 + volatility). Keys never
+ * refreshed go first. A key is due once `minIntervalMs` has passed since its
+ * last attempt.
+ *
+ * Request pacing is left to the job's rate limiter. When a job fails with
+ * HTTP 429 the whole scheduler pauses for the Retry-After delay, and the
+ * rejected key is due again as soon as the pause ends.
+ */
+export class RefreshScheduler {
+  /**
+   * @param {object} options
+   * @param {string} options.name - used in logs; each job logs as one cycle of this name, lowercased
+   * @param {() => string[]} options.keys - current set of keys to keep fresh
+   * @param {(key: string) => Promise<void>} options.run - refresh one key
+   * @param {(key: string) => number} [options.volatility] - 0 = calm; 1 doubles the priority
+   * @param {number} [options.minIntervalMs] - minimum time between refreshes of one key
+   * @param {number} [options.concurrency] - jobs in flight at once (different keys)
+   * @param {number} [options.defaultBackoffMs] - pause after a 429 without Retry-After
+   */
+  constructor({ name, keys, run, volatility = () => 0, minIntervalMs = 60_000, concurrency = 1, defaultBackoffMs = 30_000 }) {
+    this.name = name;
+    this.keys = keys;
+    this.run = run;
+    this.volatility = volatility;
+    this.minIntervalMs = minIntervalMs;
+    this.concurrency = concurrency;
+    this.defaultBackoffMs = defaultBackoffMs;
+
+    this.state = new Map(); // key -> { lastRefreshAt, lastAttemptAt, lastError, lastDurationMs }
+    this.inFlight = new Set();
+    this.pausedUntil = 0;
+    this.running = false;
+    this.generation = 0; // bumped by start(), so workers left over from before a stop() exit
+    this.completed = 0;
+    this.failed = 0;
+  }
+
+  start() {
+    if (this.running) return;
+    this.running = true;
+    const generation = ++this.generation;
+    for (let i = 0; i < this.concurrency; i++) this._worker(generation);
+  }
+
+  stop() {
+    this.running = false;
+  }
+
+  /** Hold every worker for `ms`, or defaultBackoffMs when null; returns the wait. */
+  pause(ms) {
+    const wait = ms ?? this.defaultBackoffMs;
+    this.pausedUntil = Math.max(this.pausedUntil, Date.now() + wait);
+    return wait;
+  }
+
+  priority(key, now = Date.now()) {
+    const s = this.state.get(key);
+    if (!s?.lastRefreshAt) return Infinity;
+    const ageSec = (now - s.lastRefreshAt) / 1000;
+    return ageSec * (1 + Math.max(0, this.volatility(key) || 0));
+  }
+
+  /** Keys that could be refreshed now, highest priority first. */
+  dueKeys(now = Date.now()) {
+    const live = new Set(this.keys());
+    for (const key of this.state.keys()) {
+      if (!live.has(key)) this.state.delete(key);
+    }
+    return Array.from(live)
+      .filter((key) => !this.inFlight.has(key) && now - (this.state.get(key)?.lastAttemptAt || 0) >= this.minIntervalMs)
+      .map((key) => ({ key, priority: this.priority(key, now) }))
+      .sort((a, b) => b.priority - a.priority)
+      .map((e) => e.key);
+  }
+
+  async _worker(generation) {
+    while (this.running && generation === this.generation) {
+      const now = Date.now();
+      if (now < this.pausedUntil) {
+        await sleep(this.pausedUntil - now);
+        continue;
+      }
+      const [key] = this.dueKeys(now);
+      if (!key) {
+        await sleep(1000);
+        continue;
+      }
+      await withCycle(this.name.toLowerCase(), () => this._runOne(key));
+    }
+  }
+
+  async _runOne(key) {
+    this.inFlight.add(key);
+    const s = this.state.get(key) || {};
+    this.state.set(key, s);
+    const started = Date.now();
+    s.lastAttemptAt = started;
+    try {
+      await this.run(key);
+      s.lastRefreshAt = Date.now();
+      s.lastError = null;
+      this.completed++;
+    } catch (err) {
+      s.lastError = err.message;
+      this.failed++;
+      if (err.status === 429) {
+        const wait = this.pause(err.retryAfterMs);
+        s.lastAttemptAt = 0;
+        log.warn(`${this.name}: 429, pausing ${Math.round(wait / 1000)}s`);
+      } else {
+        log.error(`${this.name} error ${key.slice(0, 8)}...: ${err.message}`);
+      }
+    } finally {
+      s.lastDurationMs = Date.now() - started;
+      this.inFlight.delete(key);
+    }
+  }
+
+  /** Queue depth and per-key freshness for /api/stats. */
+  stats() {
+    const now = Date.now();
+    const freshness = {};
+    for (const key of this.keys()) {
+      const s = this.state.get(key);
+      const priority = this.priority(key, now);
+      freshness[key] = {
+        lastRefreshAt: s?.lastRefreshAt ?? null,
+        ageSec: s?.lastRefreshAt ? Math.round((now - s.lastRefreshAt) / 1000) : null,
+        inFlight: this.inFlight.has(key),
+        lastError: s?.lastError ?? null,
+        priority: Number.isFinite(priority) ? +priority.toFixed(1) : null,
+      };
+    }
+    return {
+      queueDepth: this.dueKeys(now).length,
+      inFlight: this.inFlight.size,
+      pausedUntil: this.pausedUntil > now ? this.pausedUntil : null,
+      completed: this.completed,
+      failed: this.failed,
+      freshness,
+    };
+  }
+}
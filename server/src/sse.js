@@ -0,0 +1,79 @@
+// SSE fan-out with resumable event ids.
+//
+// Every broadcast gets an id `<epoch>-<seq>`, where epoch identifies this
+// server process and seq increases by one per event. The last events are
+// kept in a bounded buffer so a reconnecting client that sends its
+// Last-Event-ID gets exactly what it missed; if that is no longer buffered,
+// or the id is from a previous process, it gets a fresh snapshot instead.
+
+import { gauge } from "./metrics.js";
+import { createLogger } from "./logger.js";
+
+const BUFFER_SIZE = parseInt(process.env.SSE_REPLAY_BUFFER || "2000", 10);
+const EPOCH = Date.now().toString(36);
+
+let seq = 0;
+const buffer = []; // { seq, event, data, msg }, oldest first
+const clients = new Map(); // response -> accept(event, data)
+
+gauge("qba_sse_clients", "Connected SSE clients", { collect: () => [[{}, clients.size]] });
+
+const log = createLogger("sse");
+
+function format(id, event, data) {
+  return `id: ${id}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+}
+
+export function currentEventId() {
+  return `${EPOCH}-${seq}`;
+}
+
+export function broadcast(event, data) {
+  seq++;
+  const msg = format(`${EPOCH}-${seq}`, event, data);
+  buffer.push({ seq, event, data, msg });
+  if (buffer.length > BUFFER_SIZE) buffer.shift();
+  for (const [c, accept] of clients) {
+    if (!accept(event, data)) continue;
+    try { c.write(msg); } catch { clients.delete(c); }
+  }
+}
+
+/**
+ * Buffered messages after `lastEventId`, or null when the client cannot be
+ * caught up from the buffer and needs a snapshot.
+ */
+function replaySince(lastEventId, accept) {
+  const [epoch, n] = String(lastEventId).split("-");
+  const since = Number(n);
+  if (epoch !== EPOCH || !Number.isInteger(since) || since > seq) return null;
+  const oldest = buffer.length ? buffer[0].seq : seq + 1;
+  if (since + 1 < oldest) return null;
+  return buffer.filter((e) => e.seq > since && accept(e.event, e.data)).map((e) => e.msg);
+}
+
+/**
+ * Start streaming to a client: replay what it missed since `lastEventId`,
+ * or send a `snapshot` event, then register it for live events.
+ * `accept(event, data)` decides which events this client may see.
+ * @param {import("node:http").ServerResponse} raw
+ * @param {{ lastEventId?: string, snapshot: () => object, accept?: (event: string, data: object) => boolean }} options
+ */
+export function openStream(raw, { lastEventId, snapshot, accept = () => true }) {
+  const replay = lastEventId ? replaySince(lastEventId, accept) : null;
+  if (replay) {
+    for (const msg of replay) raw.write(msg);
+    log.info(`SSE: resumed client from ${lastEventId}, replayed ${replay.length} events`);
+  } else {
+    raw.write(format(currentEventId(), "snapshot", snapshot()));
+  }
+  clients.set(raw, accept);
+}
+
+export function closeStream(raw) {
+  clients.delete(raw);
+}
+
+export function clientCount() {
+  return clients.size;
+}
@@ -0,0 +1,87 @@
+import { getRedis, persistFailures } from "./redis.js";
+import { createLogger } from "./logger.js";
+
+// One hash for every list. Fields are the pair address for the shared list
+// and `<username>:<address>` for a user's own list; values are entries
+// { pairAddress, owner, addedAt, note }.
+const WATCHLIST_KEY = "qba:watchlist";
+
+let entries = new Map(); // field -> entry
+
+const fieldOf = (addr, owner) => (owner ? `${owner}:${addr}` : addr);
+
+const log = createLogger("watchlist");
+
+// Write to Redis; a failure is logged and counted, and memory stays authoritative
+async function persist(what, write) {
+  const r = getRedis();
+  if (!r) return;
+  try {
+    await write(r);
+  } catch (err) {
+    persistFailures.inc({ kind: "watchlist" });
+    log.error(`Watchlist: ${what} error: ${err.message}`);
+  }
+}
+
+export async function loadWatchlist() {
+  const r = getRedis();
+  if (!r) return;
+  try {
+    const raw = await r.hgetall(WATCHLIST_KEY);
+    entries = new Map();
+    for (const [field, v] of Object.entries(raw || {})) {
+      const entry = typeof v === "string" ? JSON.parse(v) : v;
+      entries.set(field, { owner: null, ...entry });
+    }
+    log.info(`Watchlist: loaded ${entries.size} entries`);
+  } catch (err) {
+    log.error(`Watchlist: load error: ${err.message}`);
+  }
+}
+
+/**
+ * One owner's list, newest first.
+ * @param {string|null} owner - username, or null for the shared list
+ */
+export function getWatchlist(owner = null) {
+  return Array.from(entries.values())
+    .filter((e) => e.owner === owner)
+    .sort((a, b) => b.addedAt - a.addedAt);
+}
+
+/** Whether anyone watches the pair. */
+export function isWatched(addr) {
+  return watchedAddresses().includes(addr);
+}
+
+/** Every watched address, across all lists. */
+export function watchedAddresses() {
+  return Array.from(new Set(Array.from(entries.values(), (e) => e.pairAddress)));
+}
+
+/** @returns {Promise<object>} the new or existing entry */
+export async function addToWatchlist(addr, { note = null, owner = null } = {}) {
+  const field = fieldOf(addr, owner);
+  const existing = entries.get(field);
+  if (existing) return existing;
+  const entry = { pairAddress: addr, owner, addedAt: Date.now(), note };
+  entries.set(field, entry);
+  await persist("persist", (r) => r.hset(WATCHLIST_KEY, { [field]: JSON.stringify(entry) }));
+  return entry;
+}
+
+/** @returns {Promise<boolean>} false if the pair was not on that list */
+export async function removeFromWatchlist(addr, owner = null) {
+  const field = fieldOf(addr, owner);
+  if (!entries.delete(field)) return false;
+  await persist("delete", (r) => r.hdel(WATCHLIST_KEY, field));
+  return true;
+}
+
+/** Drop a user's whole list, e.g. when the account is deleted. */
+export async function clearWatchlist(owner) {
+  const fields = Array.from(entries).filter(([, e]) => e.owner === owner).map(([f]) => f);
+  for (const f of fields) entries.delete(f);
+  if (fields.length) await persist("delete", (r) => r.hdel(WATCHLIST_KEY, ...fields));
+}
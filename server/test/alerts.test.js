@@ -0,0 +1,96 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { createServer } from "node:http";
+
+// ALERT_WEBHOOK_URL is read when alerts.js loads, so it is imported once the receiver is up
+let alerts;
+let receiver;
+const received = []; // { path, body }
+
+before(async () => {
+  receiver = createServer((req, res) => {
+    let raw = "";
+    req.on("data", (chunk) => (raw += chunk));
+    req.on("end", () => {
+      received.push({ path: req.url, body: JSON.parse(raw) });
+      // The global webhook redirects, to check that delivery does not follow it
+      if (req.url === "/global") res.writeHead(307, { Location: "/followed" });
+      res.end();
+    });
+  });
+  await new Promise((resolve) => receiver.listen(0, "127.0.0.1", resolve));
+  process.env.ALERT_WEBHOOK_URL = `http://127.0.0.1:${receiver.address().port}/global`;
+  delete process.env.UPSTASH_REDIS_URL;
+  alerts = await import("../src/alerts.js");
+});
+
+after(() => new Promise((resolve) => receiver.close(resolve)));
+
+const rule = (extra) => ({ type: "new_pair", ...extra });
+
+test("webhookUrl requires a signed-in caller", async () => {
+  await assert.rejects(alerts.createAlertRule(rule({ webhookUrl: "https://example.com/hook" })), { statusCode: 403 });
+  // Shared rules created by a signed-in user may carry one
+  const shared = await alerts.createAlertRule(rule({ webhookUrl: "https://example.com/hook" }), null, "alice");
+  assert.equal(shared.owner, null);
+  // Anonymous edits that keep the URL are fine, changing it is not
+  assert.ok(await alerts.updateAlertRule(shared.id, { name: "renamed" }));
+  await assert.rejects(alerts.updateAlertRule(shared.id, { webhookUrl: "https://example.org/hook" }), { statusCode: 403 });
+  await alerts.deleteAlertRule(shared.id);
+});
+
+test("webhookUrl rejects internal and non-http targets", async () => {
+  for (const url of [
+    "http://localhost:3001/x", "http://localhost./x", "http://127.0.0.1/", "http://169.254.169.254/latest/meta-data", "http://10.1.2.3/",
+    "http://172.16.0.1/", "http://192.168.1.1/", "http://[::1]/", "http://[::ffff:127.0.0.1]/", "http://[fd00::1]/",
+    "ftp://example.com/", "not a url",
+  ]) {
+    await assert.rejects(alerts.createAlertRule(rule({ webhookUrl: url }), "alice"), { statusCode: 400 }, url);
+  }
+  const ok = await alerts.createAlertRule(rule({ webhookUrl: "https://hooks.example.com/qba" }), "alice");
+  await alerts.deleteAlertRule(ok.id, "alice");
+});
+
+test("the global webhook only receives alerts from shared rules", async () => {
+  const shared = await alerts.createAlertRule(rule({ name: "shared" }));
+  const personal = await alerts.createAlertRule(rule({ name: "personal" }), "alice");
+
+  alerts.evaluateAlerts(new Map()); // baseline
+  const pair = { pairAddress: "Pair1111", baseToken: { symbol: "TEST" }, priceUsd: 1, indicators: {} };
+  const fired = alerts.evaluateAlerts(new Map([[pair.pairAddress, pair]]));
+  assert.deepEqual(fired.map((a) => a.ruleName).sort(), ["personal", "shared"]);
+
+  await new Promise((resolve) => setTimeout(resolve, 200));
+  assert.deepEqual(received.map((r) => [r.path, r.body.ruleName]), [["/global", "shared"]]);
+
+  await alerts.deleteAlertRule(shared.id);
+  await alerts.deleteAlertRule(personal.id, "alice");
+});
+
+test("webhook redirects are not followed", async () => {
+  received.length = 0;
+  const shared = await alerts.createAlertRule(rule({ name: "redirected" }));
+
+  alerts.evaluateAlerts(new Map());
+  const pair = { pairAddress: "Pair2222", baseToken: { symbol: "TEST" }, priceUsd: 1, indicators: {} };
+  assert.equal(alerts.evaluateAlerts(new Map([[pair.pairAddress, pair]])).length, 1);
+
+  await new Promise((resolve) => setTimeout(resolve, 200));
+  assert.deepEqual(received.map((r) => r.path), ["/global"]);
+
+  await alerts.deleteAlertRule(shared.id);
+});
+
+test("cooldowns are forgotten once their pair leaves tracking", async () => {
+  const personal = await alerts.createAlertRule(rule({ name: "re-entry", cooldownSec: 3600 }), "alice");
+  const pair = { pairAddress: "Pair3333", baseToken: { symbol: "BACK" }, priceUsd: 1, indicators: {} };
+  const tracked = new Map([[pair.pairAddress, pair]]);
+
+  alerts.evaluateAlerts(new Map());
+  assert.equal(alerts.evaluateAlerts(tracked).length, 1);
+  alerts.evaluateAlerts(new Map()); // removed
+  // Entering tracking again fires again, within the hour
+  assert.equal(alerts.evaluateAlerts(tracked).length, 1);
+
+  await alerts.deleteAlertRule(personal.id, "alice");
+});
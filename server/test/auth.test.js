@@ -0,0 +1,59 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createUser, login, authenticate, createApiKey, createMagicToken, redeemMagicToken } from "../src/auth.js";
+
+delete process.env.UPSTASH_REDIS_URL;
+
+test("authenticate ignores credentials that are not strings", async () => {
+  await createUser({ username: "carol", password: "correct-horse" });
+  const { token } = await login({ username: "carol", password: "correct-horse" });
+  const { key } = await createApiKey("carol");
+
+  assert.equal(authenticate(token).username, "carol");
+  assert.equal(authenticate(key).via, "apiKey");
+  // ?token=a&token=b
+  assert.equal(authenticate([token, token]), null);
+  assert.equal(authenticate({ token }), null);
+  assert.equal(authenticate(undefined), null);
+});
+
+test("login rejects wrong passwords with a 401", async () => {
+  await createUser({ username: "dave", password: "correct-horse" });
+  await assert.rejects(login({ username: "dave", password: "battery-staple" }), { statusCode: 401 });
+  await assert.rejects(login({ username: "nobody", password: "correct-horse" }), { statusCode: 401 });
+  // Magic-link users have no password to log in with
+  await createUser({ username: "frank" });
+  await assert.rejects(login({ username: "frank", password: "" }), { statusCode: 401 });
+});
+
+test("unknown usernames cost a password hash like wrong passwords", async () => {
+  await createUser({ username: "gina", password: "correct-horse" });
+  const time = async (username) => {
+    const start = process.hrtime.bigint();
+    await login({ username, password: "battery-staple" }).catch(() => {});
+    return Number(process.hrtime.bigint() - start) / 1e6;
+  };
+  await time("gina"); // warm up
+  const [known, unknown] = [await time("gina"), await time("nobody")];
+  // scrypt takes tens of milliseconds; skipping it would be far below half
+  assert.ok(unknown > known / 2, `unknown ${unknown.toFixed(1)}ms vs known ${known.toFixed(1)}ms`);
+});
+
+test("login attempts are limited per client IP", async () => {
+  await createUser({ username: "hank", password: "correct-horse" });
+  for (let i = 0; i < 5; i++) {
+    await assert.rejects(login({ username: "hank", password: "wrong" }, { ip: "203.0.113.7" }), { statusCode: 401 });
+  }
+  const err = await login({ username: "hank", password: "correct-horse" }, { ip: "203.0.113.7" }).catch((e) => e);
+  assert.equal(err.statusCode, 429);
+  assert.ok(err.retryAfterMs > 0 && err.retryAfterMs <= 60_000);
+  // Other clients are unaffected
+  assert.ok((await login({ username: "hank", password: "correct-horse" }, { ip: "198.51.100.1" })).token);
+});
+
+test("magic tokens sign in once", async () => {
+  await createUser({ username: "erin" });
+  const { token } = createMagicToken("erin");
+  assert.equal((await redeemMagicToken(token)).user.username, "erin");
+  await assert.rejects(redeemMagicToken(token), { statusCode: 401 });
+});
@@ -0,0 +1,36 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { strategyFromArgs, sourceFromArgs, normalizeStrategy, DEFAULT_STRATEGY } from "../src/backtest.js";
+
+const entryOf = (band) => normalizeStrategy(strategyFromArgs({ "entry-rsi": band })).entry;
+
+test("--entry-rsi sets only the bounds it names", () => {
+  assert.deepEqual([entryOf("20-60").rsiMin, entryOf("20-60").rsiMax], [20, 60]);
+  assert.deepEqual([entryOf("30").rsiMin, entryOf("30").rsiMax], [30, DEFAULT_STRATEGY.entry.rsiMax]);
+  assert.deepEqual([entryOf("30-").rsiMin, entryOf("30-").rsiMax], [30, DEFAULT_STRATEGY.entry.rsiMax]);
+  assert.deepEqual([entryOf("-40").rsiMin, entryOf("-40").rsiMax], [DEFAULT_STRATEGY.entry.rsiMin, 40]);
+  assert.deepEqual([entryOf("22.5-47.5").rsiMin, entryOf("22.5-47.5").rsiMax], [22.5, 47.5]);
+});
+
+test("--entry-rsi rejects malformed bands", () => {
+  for (const band of ["-", "abc", "30-40-50", "30 40", "30-x"]) {
+    assert.throws(() => strategyFromArgs({ "entry-rsi": band }), { statusCode: 400 }, band);
+  }
+});
+
+test("other flags parse numbers and off", () => {
+  const strategy = strategyFromArgs({ tp: "off", sl: "5", fee: "0.25" });
+  assert.deepEqual(strategy.exit, { takeProfitPct: null, stopLossPct: 5 });
+  assert.equal(strategy.feePct, 0.25);
+  assert.throws(() => strategyFromArgs({ sl: "five" }), { statusCode: 400 });
+});
+
+test("--source accepts redis or fixtures and defaults by configuration", () => {
+  assert.equal(sourceFromArgs({}, true), "redis");
+  assert.equal(sourceFromArgs({}, false), "fixtures");
+  assert.equal(sourceFromArgs({ source: "fixtures" }, true), "fixtures");
+  assert.equal(sourceFromArgs({ source: "redis" }, false), "redis");
+  for (const source of ["foo", "", "Redis"]) {
+    assert.throws(() => sourceFromArgs({ source }, false), { statusCode: 400 }, source);
+  }
+});
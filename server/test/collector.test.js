@@ -0,0 +1,78 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+
+// Offline: the local provider serves fixtures/, nothing is persisted, and the
+// price loop runs fast enough to see one cycle. Env is read when the modules load.
+process.env.MARKET_DATA = "local";
+process.env.PRICE_INTERVAL_MS = "100";
+delete process.env.UPSTASH_REDIS_URL;
+delete process.env.UPSTREAM_REPLAY;
+delete process.env.SOLANA_RPC_URL;
+
+const { startCollector, stopCollector, getSnapshot, getStats, diffPairs } = await import("../src/collector.js");
+
+const MOONCAT = "7xKXtg2CW87d97TXJSDpbD5jBkheTqA83TZRuJosgAsU";
+const GIGA = "9wFFyRfZBsuAha4YcuxcXLKwMxJR43S7fPfQLusDBzvT";
+const WIFHAT = "5quBtoiQqxF9Jv6KYKctB59NT3gtJD2Y65kdnB1Uev3h";
+const RUGME = "HJPjoWUrhoZzkNfRpHuieeFk9WcZWjwy6PBjZ81ngndJ";
+
+async function until(check, timeoutMs = 5000) {
+  const start = Date.now();
+  while (!check()) {
+    if (Date.now() - start > timeoutMs) throw new Error("timed out");
+    await new Promise((r) => setTimeout(r, 50));
+  }
+}
+
+before(() => startCollector());
+after(() => stopCollector());
+
+test("discovery tracks the fixture pairs that pass the filter profiles", () => {
+  const { pairs, stats } = getSnapshot();
+  assert.deepEqual(Object.keys(pairs).sort(), [GIGA, MOONCAT, WIFHAT].sort());
+  assert.ok(!pairs[RUGME]);
+  assert.equal(stats.collectorStatus, "running");
+  assert.ok(stats.lastDiscovery > 0);
+
+  const moon = pairs[MOONCAT];
+  assert.equal(moon.baseToken.symbol, "MOONCAT");
+  assert.equal(moon.dexId, "pumpswap");
+  assert.equal(moon.status, "new");
+  assert.ok(moon.profiles.length > 0);
+  assert.ok(moon.priceUsd > 0);
+  assert.ok(moon.liquidity > 0);
+});
+
+test("a price cycle refreshes every tracked pair from the local provider", async () => {
+  const { lastDiscovery } = getStats();
+  await until(() => getStats().lastPriceUpdate > lastDiscovery);
+  const { pairs } = getSnapshot();
+  for (const addr of [MOONCAT, GIGA, WIFHAT]) {
+    assert.ok(pairs[addr].priceUsd > 0, addr);
+    assert.ok(pairs[addr].ath >= pairs[addr].priceUsd, addr);
+  }
+});
+
+test("diffPairs sends new pairs whole, then only changed fields, then removals with their reason", () => {
+  const published = new Map();
+  const a = { pairAddress: "A", priceUsd: 1, liquidity: 500, safety: { risk: "low" }, note: "x" };
+  const b = { pairAddress: "B", priceUsd: 2, liquidity: 900 };
+  assert.deepEqual(diffPairs(published, new Map([["A", a], ["B", b]]), new Map()), [["pair:add", a], ["pair:add", b]]);
+
+  // Unchanged pairs send nothing; dropped fields go out as null
+  const a2 = { pairAddress: "A", priceUsd: 1.5, liquidity: 500, safety: { risk: "low" } };
+  assert.deepEqual(diffPairs(published, new Map([["A", a2], ["B", { ...b }]]), new Map()), [
+    ["pair:patch", { pairAddress: "A", changes: { priceUsd: 1.5, note: null } }],
+  ]);
+  // Nested values are compared by content
+  const a3 = { ...a2, safety: { risk: "high" } };
+  assert.deepEqual(diffPairs(published, new Map([["A", a3], ["B", b]]), new Map()), [
+    ["pair:patch", { pairAddress: "A", changes: { safety: { risk: "high" } } }],
+  ]);
+
+  const reason = { code: "filter_failed", detail: "default: Liquidity $10K+ (was $900)" };
+  assert.deepEqual(diffPairs(published, new Map([["A", a3]]), new Map([["B", reason]])), [
+    ["pair:remove", { pairAddress: "B", reason }],
+  ]);
+  assert.deepEqual([...published.keys()], ["A"]);
+});
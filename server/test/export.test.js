@@ -0,0 +1,52 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { normalizeExportQuery, renderExport } from "../src/export.js";
+
+const pairs = [
+  { pairAddress: "A1", baseToken: { symbol: "AAA", name: "Alpha, Inc" }, priceUsd: 1.5, safety: { risk: "low", top10Pct: 12 } },
+  { pairAddress: "B2", baseToken: { symbol: "BBB", name: "Beta" }, priceUsd: null, safety: null },
+];
+
+test("query strings and JSON bodies give the same options", () => {
+  const fromQuery = normalizeExportQuery({ format: "json", fields: "symbol, priceUsd", pairs: "B2,A1", candles: "1" });
+  const fromBody = normalizeExportQuery({ format: "json", fields: ["symbol", "priceUsd"], pairs: ["B2", "A1"], candles: true });
+  assert.deepEqual(fromBody, fromQuery);
+  assert.deepEqual(fromBody.pairs, ["B2", "A1"]);
+  assert.equal(fromBody.candles.tf, "5m");
+});
+
+test("defaults and validation", () => {
+  const options = normalizeExportQuery({});
+  assert.equal(options.format, "csv");
+  assert.equal(options.pairs, null);
+  assert.equal(normalizeExportQuery({ pairs: [] }).pairs, null);
+  assert.throws(() => normalizeExportQuery({ format: "xml" }), { statusCode: 400 });
+  assert.throws(() => normalizeExportQuery({ fields: ["nope"] }), { statusCode: 400 });
+  assert.throws(() => normalizeExportQuery({ candles: true, tf: "2m" }), { statusCode: 400 });
+});
+
+test("CSV quotes cells and leaves missing values empty", () => {
+  const { contentType, body } = renderExport(pairs, normalizeExportQuery({ fields: "symbol,name,priceUsd,risk,top10Pct" }));
+  assert.match(contentType, /^text\/csv/);
+  assert.equal(body, 'symbol,name,priceUsd,risk,top10Pct\nAAA,"Alpha, Inc",1.5,low,12\nBBB,Beta,,,\n');
+});
+
+test("CSV neutralizes text cells that spreadsheets would run as formulas", () => {
+  const hostile = [
+    { pairAddress: "C3", baseToken: { symbol: "@SUM(A1)", name: '=HYPERLINK("http://x","y")' }, priceUsd: -1 },
+    { pairAddress: "D4", baseToken: { symbol: "+CMD", name: "\tTab" }, priceUsd: 2 },
+  ];
+  const { body } = renderExport(hostile, normalizeExportQuery({ fields: "symbol,name,priceUsd" }));
+  assert.equal(body, `symbol,name,priceUsd\n'@SUM(A1),"'=HYPERLINK(""http://x"",""y"")",-1\n'+CMD,'\tTab,2\n`);
+  // Other formats keep the values as they are
+  const json = renderExport(hostile, normalizeExportQuery({ format: "ndjson", fields: "symbol" })).body;
+  assert.equal(JSON.parse(json.split("\n")[0]).symbol, "@SUM(A1)");
+});
+
+test("NDJSON has one object per pair with nulls for missing values", () => {
+  const { body } = renderExport(pairs, normalizeExportQuery({ format: "ndjson", fields: ["pairAddress", "risk"] }));
+  assert.deepEqual(body.trim().split("\n").map((l) => JSON.parse(l)), [
+    { pairAddress: "A1", risk: "low" },
+    { pairAddress: "B2", risk: null },
+  ]);
+});
@@ -0,0 +1,78 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+
+delete process.env.UPSTASH_REDIS_URL;
+delete process.env.UPSTREAM_REPLAY;
+
+const { getOhlcv } = await import("../src/ohlcvProxy.js");
+const { ohlcvPausedUntil } = await import("../src/collector.js");
+const { renderMetrics } = await import("../src/metrics.js");
+
+const POOL_A = "7xKXtg2CW87d97TXJSDpbD5jBkheTqA83TZRuJosgAsU";
+const POOL_B = "9wFFyRfZBsuAha4YcuxcXLKwMxJR43S7fPfQLusDBzvT";
+const POOL_C = "5quBtoiQqxF9Jv6KYKctB59NT3gtJD2Y65kdnB1Uev3h";
+const POOL_D = "HJPjoWUrhoZzkNfRpHuieeFk9WcZWjwy6PBjZ81ngndJ";
+
+// GeckoTerminal stand-in: answers per pool, newest candle first
+const upstream = [];
+const responses = {
+  [POOL_A]: () => Response.json({ data: { attributes: { ohlcv_list: [[300, 3, 3, 3, 3, 30], [200, 2, 2, 2, 2, 20], [100, 1, 1, 1, 1, 10]] } } }),
+  [POOL_B]: () => new Response("boom", { status: 500 }),
+  [POOL_C]: () => new Response("slow down", { status: 429, headers: { "Retry-After": "60" } }),
+};
+const realFetch = globalThis.fetch;
+
+before(() => {
+  globalThis.fetch = async (url) => {
+    upstream.push(String(url));
+    // Let concurrent callers queue up behind the first request
+    await new Promise((resolve) => setTimeout(resolve, 20));
+    return responses[String(url).match(/pools\/(\w+)/)[1]]();
+  };
+});
+
+after(() => {
+  globalThis.fetch = realFetch;
+});
+
+const proxyRequests = (result) =>
+  Number(renderMetrics().match(new RegExp(`qba_ohlcv_proxy_requests_total\\{result="${result}"\\} (\\d+)`))?.[1] ?? 0);
+
+test("one upstream call per pool and timeframe, whatever the limit", async () => {
+  const [two, one] = await Promise.all([getOhlcv(POOL_A, "1h", 2), getOhlcv(POOL_A, "1h", 1)]);
+  assert.equal(upstream.length, 1);
+  assert.match(upstream[0], /\/ohlcv\/hour\?aggregate=1&limit=1000&/);
+  assert.deepEqual(two.candles.map((c) => c.t), [200, 300]);
+  assert.deepEqual(one.candles.map((c) => c.t), [300]);
+  assert.equal(proxyRequests("miss"), 1);
+  assert.equal(proxyRequests("coalesced"), 1);
+
+  const all = await getOhlcv(POOL_A, "1h", 1000);
+  assert.deepEqual(all.candles.map((c) => c.t), [100, 200, 300]);
+  assert.equal(all.fetchedAt, two.fetchedAt);
+  assert.equal(proxyRequests("hit"), 1);
+  assert.equal(upstream.length, 1);
+
+  await getOhlcv(POOL_A, "5m", 1);
+  assert.equal(upstream.length, 2);
+  assert.equal(proxyRequests("miss"), 2);
+});
+
+test("failures are cached briefly", async () => {
+  upstream.length = 0;
+  await assert.rejects(getOhlcv(POOL_B, "1h", 24), { status: 500 });
+  await assert.rejects(getOhlcv(POOL_B, "1h", 12), { status: 500 });
+  assert.equal(upstream.length, 1);
+});
+
+test("a 429 pauses the scheduler and later requests wait it out", async () => {
+  upstream.length = 0;
+  await assert.rejects(getOhlcv(POOL_C, "1h", 24), { status: 429, retryAfterMs: 60_000 });
+  assert.ok(ohlcvPausedUntil() > Date.now() + 55_000);
+
+  // Another pool is not fetched while the pause lasts
+  const err = await getOhlcv(POOL_D, "1h", 24).catch((e) => e);
+  assert.equal(err.status, 429);
+  assert.ok(err.retryAfterMs > 55_000);
+  assert.equal(upstream.length, 1);
+});
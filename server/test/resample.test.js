@@ -0,0 +1,59 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { resample } from "../src/resample.js";
+
+const MIDNIGHT = Date.UTC(2024, 0, 1) / 1000;
+
+// `n` consecutive 5m candles from `start`, closing 1 higher each time
+const run = (start, n, first = 1) =>
+  Array.from({ length: n }, (_, i) => {
+    const o = first + i;
+    return { t: start + i * 300, o, h: o + 2, l: o - 1, c: o + 1, v: 10 };
+  });
+
+test("bars align to UTC boundaries", () => {
+  const candles = run(MIDNIGHT, 8 * 12); // 8 hours
+  assert.deepEqual(resample(candles, "15m").slice(0, 3).map((b) => b.t), [MIDNIGHT, MIDNIGHT + 900, MIDNIGHT + 1800]);
+  assert.deepEqual(resample(candles, "1h").map((b) => (b.t - MIDNIGHT) / 3600), [0, 1, 2, 3, 4, 5, 6, 7]);
+  assert.deepEqual(resample(candles, "4h").map((b) => b.t), [MIDNIGHT, MIDNIGHT + 14400]);
+  // Starting on a bucket boundary that is not midnight still lands on UTC buckets
+  assert.deepEqual(resample(run(MIDNIGHT + 3600, 6), "15m").map((b) => (b.t - MIDNIGHT) / 60), [60, 75]);
+});
+
+test("bars aggregate open, high, low, close and volume", () => {
+  const candles = [
+    { t: MIDNIGHT, o: 5, h: 6, l: 4, c: 5.5, v: 1 },
+    { t: MIDNIGHT + 300, o: 5.5, h: 9, l: 5, c: 8, v: 2 },
+    { t: MIDNIGHT + 600, o: 8, h: 8.5, l: 3, c: 7, v: 4 },
+  ];
+  assert.deepEqual(resample(candles, "15m"), [{ t: MIDNIGHT, o: 5, h: 9, l: 3, c: 7, v: 7 }]);
+});
+
+test("a leading bucket that starts mid-way is dropped", () => {
+  // 00:10 is the last 5m candle of the 00:00 15m bucket and mid-way through the 1h one
+  const candles = run(MIDNIGHT + 600, 15);
+  assert.deepEqual(resample(candles, "15m").map((b) => (b.t - MIDNIGHT) / 60), [15, 30, 45, 60, 75]);
+  assert.deepEqual(resample(candles, "1h").map((b) => (b.t - MIDNIGHT) / 3600), [1]);
+  // 5m candles are never partial
+  assert.equal(resample(candles, "5m").length, 15);
+});
+
+test("gaps in the 5m input", () => {
+  // 00:00-00:25, nothing for 45 minutes, then 01:10-01:25
+  const candles = [...run(MIDNIGHT, 6), ...run(MIDNIGHT + 4200, 4, 20)];
+  const bars = resample(candles, "15m");
+  assert.deepEqual(bars.map((b) => (b.t - MIDNIGHT) / 60), [0, 15, 30, 45, 60, 75]);
+  // 00:15 is built from the 5m candles it has
+  assert.deepEqual(bars[1], { t: MIDNIGHT + 900, o: 4, h: 8, l: 3, c: 7, v: 30 });
+  // Empty buckets are flat at the previous close, with no volume
+  assert.deepEqual(bars[2], { t: MIDNIGHT + 1800, o: 7, h: 7, l: 7, c: 7, v: 0 });
+  assert.deepEqual(bars[3], { t: MIDNIGHT + 2700, o: 7, h: 7, l: 7, c: 7, v: 0 });
+  assert.deepEqual(bars[4], { t: MIDNIGHT + 3600, o: 20, h: 22, l: 19, c: 21, v: 10 });
+  // The trailing bucket is kept while it forms
+  assert.deepEqual(bars[5], { t: MIDNIGHT + 4500, o: 21, h: 25, l: 20, c: 24, v: 30 });
+});
+
+test("empty input and unknown timeframes", () => {
+  assert.deepEqual(resample([], "1h"), []);
+  assert.throws(() => resample(run(MIDNIGHT, 3), "2h"), /Unsupported timeframe/);
+});
@@ -0,0 +1,31 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { computeRSI, computeRSISeries } from "../src/rsi.js";
+
+// Wilder's worked example (New Concepts in Technical Trading Systems)
+const CLOSES = [
+  44.34, 44.09, 44.15, 43.61, 44.33, 44.83, 45.1, 45.42, 45.84, 46.08, 45.89, 46.03, 45.61, 46.28, 46.28, 46.0,
+  46.03, 46.41, 46.22, 45.64,
+];
+
+test("matches the reference values", () => {
+  const series = computeRSISeries(CLOSES);
+  assert.equal(series.length, CLOSES.length - 14);
+  assert.equal(series[0].toFixed(2), "70.46");
+  assert.equal(series[series.length - 1].toFixed(2), "57.92");
+});
+
+test("computeRSI is the last value of the series for every prefix", () => {
+  for (let n = 0; n <= CLOSES.length; n++) {
+    const series = computeRSISeries(CLOSES.slice(0, n));
+    assert.equal(computeRSI(CLOSES.slice(0, n)), series.length ? series[series.length - 1] : null, `n=${n}`);
+  }
+});
+
+test("edge cases", () => {
+  assert.equal(computeRSI(CLOSES.slice(0, 14)), null);
+  assert.equal(computeRSI(null), null);
+  assert.equal(computeRSI(Array.from({ length: 20 }, (_, i) => i + 1)), 100);
+  assert.equal(computeRSI(Array.from({ length: 20 }, () => 5)), 100);
+  assert.equal(computeRSI(Array.from({ length: 20 }, (_, i) => 20 - i)), 0);
+});
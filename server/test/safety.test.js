@@ -0,0 +1,111 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startMockRpc } from "../src/mockRpc.js";
+
+// The RPC endpoint is read when safety.js loads, so it is imported once the mock is up
+let rpc;
+let safety;
+
+const PUMP_PROGRAM = "6EF8rrecthR5Dkzon8Nwu78hRvfCKubJ14M5uBEwF6P";
+
+const pair = (pairAddress, mint) => ({ pairAddress, baseToken: { address: mint } });
+const MOONCAT = pair("7xKXtg2CW87d97TXJSDpbD5jBkheTqA83TZRuJosgAsU", "7xKXtg2CW87d97TXJSDpbD5jBkheTqA83TZRuJospump");
+const GIGA = pair("9wFFyRfZBsuAha4YcuxcXLKwMxJR43S7fPfQLusDBzvT", "9wFFyRfZBsuAha4YcuxcXLKwMxJR43S7fPfQLusDpump");
+const WIFHAT = pair("5quBtoiQqxF9Jv6KYKctB59NT3gtJD2Y65kdnB1Uev3h", "5quBtoiQqxF9Jv6KYKctB59NT3gtJD2Y65kdnB1Upump");
+const RUGME = pair("HJPjoWUrhoZzkNfRpHuieeFk9WcZWjwy6PBjZ81ngndJ", "HJPjoWUrhoZzkNfRpHuieeFk9WcZWjwy6PBjZ81npump");
+
+before(async () => {
+  rpc = await startMockRpc({ port: 0 });
+  process.env.SOLANA_RPC_URL = rpc.url;
+  safety = await import("../src/safety.js");
+});
+
+after(() => rpc.close());
+
+function curveAccount(realTokenReserves, complete) {
+  const buf = Buffer.alloc(49);
+  buf.writeBigUInt64LE(realTokenReserves, 24);
+  buf[48] = complete ? 1 : 0;
+  return { owner: PUMP_PROGRAM, data: [buf.toString("base64"), "base64"] };
+}
+
+test("assessRisk: revoked authorities and spread holders are low risk", () => {
+  assert.deepEqual(safety.assessRisk({ mintAuthority: null, freezeAuthority: null, top10Pct: 12 }), { risk: "low", flags: [] });
+});
+
+test("assessRisk: authorities are high risk, concentration medium from 30% and high from 50%", () => {
+  assert.equal(safety.assessRisk({ mintAuthority: "x", top10Pct: 5 }).risk, "high");
+  assert.equal(safety.assessRisk({ freezeAuthority: "x", top10Pct: 5 }).risk, "high");
+  assert.equal(safety.assessRisk({ top10Pct: 29.9 }).risk, "low");
+  assert.equal(safety.assessRisk({ top10Pct: 30 }).risk, "medium");
+  assert.equal(safety.assessRisk({ top10Pct: 50 }).risk, "high");
+  const { flags } = safety.assessRisk({ mintAuthority: "x", freezeAuthority: "y", top10Pct: 40 });
+  assert.deepEqual(flags.map((f) => f.code), ["mint_authority", "freeze_authority", "holder_concentration"]);
+});
+
+test("parseBondingCurve: progress from the real token reserves left", () => {
+  assert.deepEqual(safety.parseBondingCurve(curveAccount(793_100_000_000_000n, false)), { complete: false, progressPct: 0 });
+  assert.deepEqual(safety.parseBondingCurve(curveAccount(396_550_000_000_000n, false)), { complete: false, progressPct: 50 });
+  assert.deepEqual(safety.parseBondingCurve(curveAccount(0n, true)), { complete: true, progressPct: 100 });
+});
+
+test("parseBondingCurve: other programs and short data are not curves", () => {
+  assert.equal(safety.parseBondingCurve(null), null);
+  assert.equal(safety.parseBondingCurve({ ...curveAccount(0n, true), owner: "pAMMBay6oceH9fJKBRHGP5D4bD4sWpmSwMn52FMfXEA" }), null);
+  assert.equal(safety.parseBondingCurve({ owner: PUMP_PROGRAM, data: [Buffer.alloc(24).toString("base64"), "base64"] }), null);
+});
+
+test("requestSafetyChecks: checks each fixture token over RPC", async () => {
+  const results = new Map();
+  await safety.requestSafetyChecks([MOONCAT, GIGA, WIFHAT, RUGME], (mint, result) => results.set(mint, result));
+
+  assert.equal(results.size, 4);
+  const moon = results.get(MOONCAT.baseToken.address);
+  assert.equal(moon.risk, "low");
+  assert.equal(moon.top10Pct, 11.4);
+  assert.equal(moon.poolPct, 21.4);
+  assert.equal(moon.bondingCurve, null);
+
+  const giga = results.get(GIGA.baseToken.address);
+  assert.equal(giga.risk, "high");
+  assert.ok(giga.mintAuthority);
+  assert.equal(giga.freezeAuthority, null);
+
+  const wif = results.get(WIFHAT.baseToken.address);
+  assert.equal(wif.risk, "medium");
+  assert.equal(wif.top10Pct, 34.4);
+  assert.deepEqual(wif.bondingCurve, { complete: false, progressPct: 49.41 });
+
+  const rug = results.get(RUGME.baseToken.address);
+  assert.equal(rug.risk, "high");
+  assert.ok(rug.freezeAuthority);
+  assert.ok(rug.top10Pct >= 50);
+  assert.deepEqual(rug.flags.map((f) => f.code), ["freeze_authority", "holder_concentration"]);
+
+  // Three calls per token
+  assert.equal(rpc.calls.length, 12);
+  assert.deepEqual(rpc.calls.slice(0, 3), ["getMultipleAccounts", "getTokenLargestAccounts", "getMultipleAccounts"]);
+});
+
+test("requestSafetyChecks: results are cached per mint", async () => {
+  const before = rpc.calls.length;
+  const called = [];
+  // Another pair of an already checked token reuses its result
+  await safety.requestSafetyChecks([MOONCAT, pair("OtherPool111111111111111111111111111111111", MOONCAT.baseToken.address)], (mint) => called.push(mint));
+  assert.equal(rpc.calls.length, before);
+  assert.deepEqual(called, []);
+  assert.equal(safety.getSafety(MOONCAT.baseToken.address).risk, "low");
+  assert.equal(safety.getSafety("NotChecked1111111111111111111111111111111111"), null);
+});
+
+test("requestSafetyChecks: an unknown mint fails without a result and is not retried at once", async () => {
+  const unknown = pair("UnknownPool11111111111111111111111111111111", "UnknownMint11111111111111111111111111111111");
+  const called = [];
+  await safety.requestSafetyChecks([unknown], (mint) => called.push(mint));
+  assert.deepEqual(called, []);
+  assert.equal(safety.getSafety(unknown.baseToken.address), null);
+
+  const before = rpc.calls.length;
+  await safety.requestSafetyChecks([unknown], (mint) => called.push(mint));
+  assert.equal(rpc.calls.length, before);
+});
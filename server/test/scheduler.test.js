@@ -0,0 +1,116 @@
+import { test, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import { RefreshScheduler } from "../src/scheduler.js";
+
+// Workers sleep on setTimeout and read Date.now(), both mocked; setImmediate
+// is left real so pending promise chains can settle between ticks.
+const settle = async () => {
+  for (let i = 0; i < 5; i++) await new Promise((resolve) => setImmediate(resolve));
+};
+
+async function advance(ms) {
+  mock.timers.tick(ms);
+  await settle();
+}
+
+beforeEach(() => mock.timers.enable({ apis: ["setTimeout", "Date"], now: 1_000_000 }));
+afterEach(() => mock.timers.reset());
+
+test("never refreshed keys go first, then staleness times volatility", () => {
+  const volatility = { calm: 0, wild: 2, fresh: 0 };
+  const scheduler = new RefreshScheduler({ name: "Test", keys: () => ["calm", "wild", "new", "fresh"], run: async () => {}, volatility: (k) => volatility[k] });
+  const now = Date.now();
+  scheduler.state.set("calm", { lastRefreshAt: now - 300_000, lastAttemptAt: now - 300_000 });
+  scheduler.state.set("wild", { lastRefreshAt: now - 120_000, lastAttemptAt: now - 120_000 });
+  scheduler.state.set("fresh", { lastRefreshAt: now - 10_000, lastAttemptAt: now - 10_000 });
+
+  // 120s x 3 beats 300s x 1; "fresh" is not due within minIntervalMs
+  assert.deepEqual(scheduler.dueKeys(now), ["new", "wild", "calm"]);
+  assert.equal(scheduler.priority("wild", now), 360);
+});
+
+test("a failed key waits minIntervalMs like any other", async () => {
+  const runs = [];
+  const scheduler = new RefreshScheduler({
+    name: "Test",
+    keys: () => ["a"],
+    run: async (key) => {
+      runs.push(Date.now());
+      throw new Error(`no candles for ${key}`);
+    },
+    minIntervalMs: 10_000,
+  });
+  scheduler.start();
+  await settle();
+  await advance(9_000);
+  assert.equal(runs.length, 1);
+  assert.equal(scheduler.stats().freshness.a.lastError, "no candles for a");
+
+  await advance(1_000);
+  assert.equal(runs.length, 2);
+  assert.equal(scheduler.failed, 2);
+  scheduler.stop();
+});
+
+test("a 429 pauses every key for Retry-After, then retries the rejected key first", async () => {
+  const runs = [];
+  let limited = true;
+  const scheduler = new RefreshScheduler({
+    name: "Test",
+    keys: () => ["a", "b"],
+    run: async (key) => {
+      runs.push(key);
+      if (limited) {
+        limited = false;
+        throw Object.assign(new Error("HTTP 429"), { status: 429, retryAfterMs: 5_000 });
+      }
+    },
+    minIntervalMs: 60_000,
+  });
+  scheduler.start();
+  await settle();
+  assert.deepEqual(runs, ["a"]);
+  assert.equal(scheduler.stats().pausedUntil, Date.now() + 5_000);
+
+  await advance(4_999);
+  assert.deepEqual(runs, ["a"]);
+  await advance(1);
+  assert.deepEqual(runs, ["a", "a", "b"]);
+  scheduler.stop();
+});
+
+test("a 429 without Retry-After pauses for defaultBackoffMs", async () => {
+  const scheduler = new RefreshScheduler({
+    name: "Test",
+    keys: () => ["a"],
+    run: async () => {
+      throw Object.assign(new Error("HTTP 429"), { status: 429 });
+    },
+    defaultBackoffMs: 7_000,
+  });
+  scheduler.start();
+  await settle();
+  assert.equal(scheduler.pausedUntil, Date.now() + 7_000);
+  scheduler.stop();
+});
+
+test("start() after stop() does not add workers", async () => {
+  let polls = 0;
+  const scheduler = new RefreshScheduler({ name: "Test", keys: () => (polls++, []), run: async () => {} });
+  scheduler.start();
+  await settle();
+  scheduler.stop();
+  scheduler.start();
+  scheduler.start();
+  await settle();
+  polls = 0;
+
+  // One worker polls once a second when nothing is due
+  await advance(1_000);
+  await advance(1_000);
+  await advance(1_000);
+  assert.equal(polls, 3);
+  scheduler.stop();
+  await advance(1_000);
+  assert.equal(polls, 3);
+});
@@ -0,0 +1,54 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+// The replay buffer size is read when sse.js loads
+process.env.SSE_REPLAY_BUFFER = "5";
+const { broadcast, openStream, closeStream, currentEventId } = await import("../src/sse.js");
+
+// Stand-in for the HTTP response: the events written to it, by name
+function connect(lastEventId, accept) {
+  const written = [];
+  const raw = { write: (msg) => written.push(msg) };
+  openStream(raw, { lastEventId, snapshot: () => ({ pairs: {} }), accept });
+  closeStream(raw);
+  return written.map((msg) => msg.match(/^event: (.+)$/m)[1]);
+}
+
+test("a client resuming inside the buffer gets exactly the missed events", () => {
+  broadcast("pair:add", { pairAddress: "A" });
+  const lastSeen = currentEventId();
+  broadcast("pair:patch", { pairAddress: "A", changes: { priceUsd: 1 } });
+  broadcast("pair:remove", { pairAddress: "A", reason: null });
+
+  assert.deepEqual(connect(lastSeen), ["pair:patch", "pair:remove"]);
+  assert.deepEqual(connect(currentEventId()), []);
+  // Events the client may not see are skipped
+  assert.deepEqual(connect(lastSeen, (event) => event !== "pair:patch"), ["pair:remove"]);
+});
+
+test("an id from another server process gets a snapshot", () => {
+  const [epoch, seq] = currentEventId().split("-");
+  assert.deepEqual(connect(`${epoch}x-${seq}`), ["snapshot"]);
+  // So does an id ahead of this process, or one that does not parse
+  assert.deepEqual(connect(`${epoch}-${Number(seq) + 1}`), ["snapshot"]);
+  assert.deepEqual(connect("garbage"), ["snapshot"]);
+});
+
+test("an id older than the buffer gets a snapshot", () => {
+  const lastSeen = currentEventId();
+  for (let i = 0; i < 5; i++) broadcast("stats", { i });
+  // The five newest events are buffered: exactly enough to catch up
+  assert.deepEqual(connect(lastSeen), ["stats", "stats", "stats", "stats", "stats"]);
+
+  broadcast("stats", { i: 5 });
+  assert.deepEqual(connect(lastSeen), ["snapshot"]);
+});
+
+test("the first connection gets a snapshot tagged with the current id", () => {
+  const written = [];
+  const raw = { write: (msg) => written.push(msg) };
+  openStream(raw, { snapshot: () => ({ pairs: {} }) });
+  closeStream(raw);
+  assert.equal(written.length, 1);
+  assert.match(written[0], new RegExp(`^id: ${currentEventId()}\nevent: snapshot\ndata: \\{"pairs":\\{\\}\\}\n\n$`));
+});